@@ -8,20 +8,27 @@ import {
   KeyboardAvoidingView,
   Platform,
   Alert,
+  Pressable,
 } from "react-native";
-import { Link } from "expo-router";
+import { Link, useRouter } from "expo-router";
 import styles from "../../assets/styles/login.styles";
 import { useState } from "react";
 import { Ionicons } from "@expo/vector-icons";
 import COLORS from "../../constants/colors";
 
 import { useAuthStore } from "../../store/authStore";
+import { useEnvironmentStore } from "../../store/environmentStore";
+import { DEFAULT_ENVIRONMENT } from "../../constants/api";
 
 export default function Login() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
   const { isLoading, login } = useAuthStore();
+  const activeProfile = useEnvironmentStore(
+    (state) => state.profiles[state.environment],
+  );
+  const router = useRouter();
 
   const handleLogin = async () => {
     const result = await login(email, password);
@@ -38,13 +45,23 @@ export default function Login() {
     >
       <View style={styles.container}>
         {/* ILLUSTRATION */}
-        <View style={styles.topIllustration}>
+        {/* Long-press opens the hidden developer screen */}
+        <Pressable
+          style={styles.topIllustration}
+          onLongPress={() => router.push("/developer")}
+          delayLongPress={1500}
+        >
           <Image
             source={require("../../assets/images/i.png")}
             style={styles.illustrationImage}
             resizeMode="contain"
           />
-        </View>
+          {activeProfile?.name !== DEFAULT_ENVIRONMENT && (
+            <Text style={styles.environmentBadge}>
+              {activeProfile?.label}: {activeProfile?.apiUrl}
+            </Text>
+          )}
+        </Pressable>
 
         <View style={styles.card}>
           <View style={styles.formContainer}>
@@ -3,9 +3,16 @@ import { Ionicons } from "@expo/vector-icons"
 import {Tabs} from "expo-router"
 import COLORS from "../../constants/colors"
 import { useSafeAreaInsets } from "react-native-safe-area-context"
+import { useUnreadStore } from "../../store/unreadStore"
+import { useNotificationStore } from "../../store/notificationStore"
+
+// Tab badge text, or undefined to hide it
+const badgeFor = (count) => (count > 0 ? (count > 99 ? "99+" : count) : undefined)
 
 export default function TabLayout() {
     const insets = useSafeAreaInsets()
+    const messageCount = useUnreadStore((state) => state.messageTotal)
+    const notificationCount = useNotificationStore((state) => state.unreadCount)
   return (
     <Tabs
     screenOptions={{
@@ -17,6 +24,10 @@ export default function TabLayout() {
             
         },
         headerShadowVisible:false,
+        tabBarBadgeStyle:{
+            backgroundColor:COLORS.primary,
+            fontSize:10,
+        },
         tabBarStyle:{
             backgroundColor:COLORS.cardBackground,
             borderTopWidth:1,
@@ -33,6 +44,7 @@ export default function TabLayout() {
         options={{
             title:"Home",
             href: "/",
+            tabBarBadge: badgeFor(notificationCount),
             tabBarIcon: ({color,size}) =>(<Ionicons
             name = "home-outline"
             size ={size}
@@ -57,6 +69,7 @@ export default function TabLayout() {
         name="profile"
         options={{
             title:"Profile",
+            tabBarBadge: badgeFor(messageCount),
             tabBarIcon: ({color,size}) =>(<Ionicons
                 name = "person-outline"
                 size ={size}
@@ -65,12 +78,6 @@ export default function TabLayout() {
                 />)
         }}    
         />
-        <Tabs.Screen 
-        name="userProfile"
-        options={{
-            href: null, // Hide from tab bar
-        }}    
-        />
 
             
     </Tabs>
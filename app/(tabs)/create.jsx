@@ -19,7 +19,7 @@ import { useAuthStore } from "../../store/authStore";
 
 import * as ImagePicker from "expo-image-picker";
 import * as FileSystem from "expo-file-system/legacy";
-import { API_URL } from "../../constants/api";
+import { api } from "../../utils/apiClient";
 
 const MAX_VIDEO_MB = 100;
 const MAX_IMAGE_MB = 50;
@@ -170,31 +170,7 @@ export default function Create() {
       form.append("rating", String(rating));
       form.append("mediaType", mediaType);
 
-      const response = await fetch(`${API_URL}/books/create`, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${token}` },
-        body: form,
-      });
-
-      if (!response.ok) {
-        const text = await response.text();
-        let errorMessage = "Something went wrong";
-        try {
-          const data = JSON.parse(text);
-          errorMessage = data.message || errorMessage;
-        } catch {
-          errorMessage = text || `Server error: ${response.status}`;
-        }
-        if (response.status === 401) {
-          await logout();
-          Alert.alert("Session Expired", "Please log in again to continue.");
-          router.replace("/(auth)");
-          return;
-        }
-        throw new Error(errorMessage);
-      }
-
-      await response.json();
+      await api.books.create(form);
       Alert.alert("Success", "Your meme recommendation has been posted!");
       setTitle("");
       setCaption("");
@@ -203,6 +179,12 @@ export default function Create() {
       setMediaType(null);
       router.push("/");
     } catch (error) {
+      if (error.isUnauthorized) {
+        await logout();
+        Alert.alert("Session Expired", "Please log in again to continue.");
+        router.replace("/(auth)");
+        return;
+      }
       console.error("Error creating post:", error);
       Alert.alert("Error", error.message || "Something went wrong");
     } finally {
@@ -6,17 +6,14 @@ import {
   ActivityIndicator,
   RefreshControl,
 } from "react-native";
-import { useAuthStore } from "../../store/authStore";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { useRouter, useLocalSearchParams } from "expo-router";
-import { useFocusEffect } from "@react-navigation/native";
+import { useRouter } from "expo-router";
 
 import { Image } from "expo-image";
-import React, { useEffect, useState, useRef, useCallback } from "react";
+import React, { useEffect, useState, useRef } from "react";
 import { Video, ResizeMode } from "expo-av";
 
 import styles from "../../assets/styles/home.styles";
-import { API_URL } from "../../constants/api";
+import { api } from "../../utils/apiClient";
 import { Ionicons } from "@expo/vector-icons";
 import { formatPublishDate } from "../../utils/dateUtils";
 import COLORS from "../../constants/colors";
@@ -24,13 +21,15 @@ import Loader from "../../components/Loader";
 import CommentModal from "../../components/CommentModal";
 import LikesModal from "../../components/LikesModal";
 import NotificationModal from "../../components/NotificationModal";
+import { useNotificationStore } from "../../store/notificationStore";
+import { routes } from "../../utils/deepLinks";
 
 export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 export default function Home() {
-  const { token, user } = useAuthStore();
+  const { unreadCount: notificationCount, fetchUnreadCount } =
+    useNotificationStore();
   const router = useRouter();
-  const params = useLocalSearchParams();
   const [books, setBooks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -41,17 +40,11 @@ export default function Home() {
   const [notificationModalVisible, setNotificationModalVisible] = useState(false);
   const [selectedBookId, setSelectedBookId] = useState(null);
   const [likingBookId, setLikingBookId] = useState(null);
-  const [notificationCount, setNotificationCount] = useState(0);
-  const [visitedNotifications, setVisitedNotifications] = useState(new Set());
-  const flatListRef = useRef(null);
   const videoRefs = useRef({});
 
   const handleUserProfilePress = (userId) => {
     if (userId) {
-      router.push({
-        pathname: "/(tabs)/userProfile",
-        params: { userId },
-      });
+      router.push(routes.user(userId));
     }
   };
 
@@ -60,14 +53,8 @@ export default function Home() {
       if (refresh) setRefreshing(true);
       else if (pageNum === 1) setLoading(true);
 
-      const response = await fetch(`${API_URL}/books/all?page=${pageNum}&limit=5`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.message || "Failed to fetch books");
+      const data = await api.books.all(pageNum, 5);
 
-      
       const uniqueBooks =
         refresh || pageNum === 1
           ? data.books
@@ -91,392 +78,12 @@ export default function Home() {
 
   useEffect(() => {
     const initialize = async () => {
-      await loadVisitedNotifications();
+      fetchUnreadCount();
       await fetchBooks();
-      // Wait a bit for visitedNotifications to be set
-      setTimeout(() => {
-        fetchNotificationCount();
-      }, 100);
     };
     initialize();
   }, []);
 
-  // Handle scrolling to a specific book when navigated from profile
-  const checkAndScrollToBook = async () => {
-    try {
-      // Check both params and AsyncStorage for scrollToBookId
-      const storedBookId = await AsyncStorage.getItem("scrollToBookId");
-      const scrollToBookId = params?.scrollToBookId || storedBookId;
-      
-      if (!scrollToBookId) return;
-      
-      // Clear from AsyncStorage immediately to prevent multiple triggers
-      if (storedBookId) {
-        await AsyncStorage.removeItem("scrollToBookId");
-      }
-      
-      // Clear params if exists
-      if (params?.scrollToBookId) {
-        router.setParams({ scrollToBookId: undefined });
-      }
-      
-      if (books.length === 0) {
-        // If no books loaded yet, wait for them to load
-        return;
-      }
-      
-      const postIndex = books.findIndex((book) => book._id === scrollToBookId);
-      
-      if (postIndex !== -1 && flatListRef.current) {
-        // Check if we should open comments after scrolling
-        const shouldOpenComments = await AsyncStorage.getItem("@open_comments_for_book");
-        const openCommentsForThisBook = shouldOpenComments === scrollToBookId;
-        
-        // Wait a bit for the list to render, then scroll
-        setTimeout(() => {
-          try {
-            flatListRef.current?.scrollToIndex({
-              index: postIndex,
-              animated: true,
-              viewPosition: 0.1,
-            });
-            
-            // If we should open comments, do it after scrolling
-            if (openCommentsForThisBook) {
-              setTimeout(async () => {
-                setSelectedBookId(scrollToBookId);
-                setCommentModalVisible(true);
-                await AsyncStorage.removeItem("@open_comments_for_book");
-              }, 800);
-            }
-          } catch (error) {
-            // If scrollToIndex fails, try scrollToOffset as fallback
-            try {
-              flatListRef.current?.scrollToOffset({
-                offset: postIndex * 500, // Approximate offset per item (increased for better accuracy)
-                animated: true,
-              });
-              
-              // If we should open comments, do it after scrolling
-              if (openCommentsForThisBook) {
-                setTimeout(async () => {
-                  setSelectedBookId(scrollToBookId);
-                  setCommentModalVisible(true);
-                  await AsyncStorage.removeItem("@open_comments_for_book");
-                }, 800);
-              }
-            } catch (offsetError) {
-              console.log("Scroll to offset also failed:", offsetError);
-            }
-          }
-        }, 600);
-      } else {
-        // Book not in current list, try to fetch it
-        try {
-          const response = await fetch(`${API_URL}/books/${scrollToBookId}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
-          if (response.ok) {
-            const data = await response.json();
-            const book = data.book || data;
-            // Check if book already exists to avoid duplicates
-            const exists = books.some(b => b._id === book._id);
-            if (!exists) {
-              // Add to the beginning of the list
-              setBooks((prev) => [book, ...prev]);
-              
-              // Check if we should open comments
-              const shouldOpenComments = await AsyncStorage.getItem("@open_comments_for_book");
-              const openCommentsForThisBook = shouldOpenComments === scrollToBookId;
-              
-              // Scroll to the first item (the newly added book)
-              setTimeout(() => {
-                if (flatListRef.current) {
-                  try {
-                    flatListRef.current.scrollToIndex({
-                      index: 0,
-                      animated: true,
-                      viewPosition: 0.1,
-                    });
-                    
-                    // If we should open comments, do it after scrolling
-                    if (openCommentsForThisBook) {
-                      setTimeout(async () => {
-                        setSelectedBookId(scrollToBookId);
-                        setCommentModalVisible(true);
-                        await AsyncStorage.removeItem("@open_comments_for_book");
-                      }, 800);
-                    }
-                  } catch (error) {
-                    try {
-                      flatListRef.current.scrollToOffset({
-                        offset: 0,
-                        animated: true,
-                      });
-                      
-                      // If we should open comments, do it after scrolling
-                      if (openCommentsForThisBook) {
-                        setTimeout(async () => {
-                          setSelectedBookId(scrollToBookId);
-                          setCommentModalVisible(true);
-                          await AsyncStorage.removeItem("@open_comments_for_book");
-                        }, 800);
-                      }
-                    } catch (offsetError) {
-                      console.log("Could not scroll to book");
-                    }
-                  }
-                }
-              }, 800);
-            } else {
-              // Book exists, find and scroll to it
-              const existingIndex = books.findIndex((b) => b._id === book._id);
-              if (existingIndex !== -1 && flatListRef.current) {
-                // Check if we should open comments
-                const shouldOpenComments = await AsyncStorage.getItem("@open_comments_for_book");
-                const openCommentsForThisBook = shouldOpenComments === scrollToBookId;
-                
-                setTimeout(() => {
-                  try {
-                    flatListRef.current.scrollToIndex({
-                      index: existingIndex,
-                      animated: true,
-                      viewPosition: 0.1,
-                    });
-                    
-                    // If we should open comments, do it after scrolling
-                    if (openCommentsForThisBook) {
-                      setTimeout(async () => {
-                        setSelectedBookId(scrollToBookId);
-                        setCommentModalVisible(true);
-                        await AsyncStorage.removeItem("@open_comments_for_book");
-                      }, 800);
-                    }
-                  } catch (error) {
-                    flatListRef.current.scrollToOffset({
-                      offset: existingIndex * 500,
-                      animated: true,
-                    });
-                    
-                    // If we should open comments, do it after scrolling
-                    if (openCommentsForThisBook) {
-                      setTimeout(async () => {
-                        setSelectedBookId(scrollToBookId);
-                        setCommentModalVisible(true);
-                        await AsyncStorage.removeItem("@open_comments_for_book");
-                      }, 800);
-                    }
-                  }
-                }, 600);
-              }
-            }
-          }
-        } catch (fetchError) {
-          console.log("Could not fetch book:", fetchError);
-        }
-      }
-    } catch (error) {
-      console.error("Error in checkAndScrollToBook:", error);
-    }
-  };
-
-  // Check when component mounts or when books/params change
-  useEffect(() => {
-    let mounted = true;
-    let retryTimer = null;
-    
-    const checkScroll = async () => {
-      if (!mounted) return;
-      
-      // Check AsyncStorage first
-      const storedBookId = await AsyncStorage.getItem("scrollToBookId");
-      const scrollToBookId = params?.scrollToBookId || storedBookId;
-      
-      if (scrollToBookId && books.length > 0) {
-        await checkAndScrollToBook();
-      } else if (scrollToBookId && books.length === 0) {
-        // If we have a bookId but no books loaded yet, wait a bit more
-        retryTimer = setTimeout(async () => {
-          if (mounted && books.length > 0) {
-            await checkAndScrollToBook();
-          }
-        }, 1500);
-      }
-    };
-    
-    const timer = setTimeout(checkScroll, 500); // Delay to ensure navigation is complete
-    
-    return () => {
-      mounted = false;
-      clearTimeout(timer);
-      if (retryTimer) clearTimeout(retryTimer);
-    };
-  }, [params?.scrollToBookId, books.length, token]);
-
-  // Also check when screen comes into focus (for navigation from other tabs)
-  useFocusEffect(
-    useCallback(() => {
-      let mounted = true;
-      let retryTimer = null;
-      let retryCount = 0;
-      const maxRetries = 5;
-      
-      const checkScrollOnFocus = async () => {
-        if (!mounted) return;
-        
-        // Check AsyncStorage when screen comes into focus
-        const storedBookId = await AsyncStorage.getItem("scrollToBookId");
-        const scrollToBookId = params?.scrollToBookId || storedBookId;
-        
-        if (scrollToBookId && books.length > 0) {
-          // Small delay to ensure screen is fully rendered
-          setTimeout(async () => {
-            if (mounted) {
-              await checkAndScrollToBook();
-            }
-          }, 400);
-        } else if (scrollToBookId && books.length === 0 && retryCount < maxRetries) {
-          // If we have a bookId but no books loaded yet, retry with exponential backoff
-          retryCount++;
-          retryTimer = setTimeout(async () => {
-            if (mounted) {
-              await checkScrollOnFocus();
-            }
-          }, 500 * retryCount); // 500ms, 1000ms, 1500ms, etc.
-        }
-      };
-      
-      const timer = setTimeout(checkScrollOnFocus, 300);
-      
-      return () => {
-        mounted = false;
-        clearTimeout(timer);
-        if (retryTimer) clearTimeout(retryTimer);
-      };
-    }, [books.length, params?.scrollToBookId, token])
-  );
-
-  const loadVisitedNotifications = async () => {
-    try {
-      const visited = await AsyncStorage.getItem("visitedNotifications");
-      if (visited) {
-        setVisitedNotifications(new Set(JSON.parse(visited)));
-      }
-    } catch (error) {
-      console.error("Error loading visited notifications:", error);
-    }
-  };
-
-  const saveVisitedNotifications = async (visitedSet) => {
-    try {
-      await AsyncStorage.setItem("visitedNotifications", JSON.stringify(Array.from(visitedSet)));
-    } catch (error) {
-      console.error("Error saving visited notifications:", error);
-    }
-  };
-
-  const markNotificationsAsVisited = async (notificationIds) => {
-    const newVisited = new Set([...visitedNotifications, ...notificationIds]);
-    setVisitedNotifications(newVisited);
-    await saveVisitedNotifications(newVisited);
-    // Update count with new visited set
-    await fetchNotificationCount(newVisited);
-  };
-
-  const fetchNotificationCount = async (visitedSet = null) => {
-    try {
-      // Use provided visitedSet or current state
-      const visited = visitedSet || visitedNotifications;
-      
-      // Fetch user's posts
-      const booksResponse = await fetch(`${API_URL}/books/user`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (!booksResponse.ok) return;
-
-      const booksData = await booksResponse.json();
-      const userBooks = booksData.books || [];
-
-      let unvisitedCount = 0;
-
-      for (const book of userBooks) {
-        // Fetch likes for this book
-        try {
-          const likesResponse = await fetch(`${API_URL}/likes/${book._id}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
-
-          if (likesResponse.ok) {
-            const likesData = await likesResponse.json();
-            const likes = likesData.likes || [];
-            // Count unvisited likes from other users
-            likes.forEach((like) => {
-              if (like.user?._id !== user?._id) {
-                const notificationId = `like_${like._id}`;
-                if (!visited.has(notificationId)) {
-                  unvisitedCount++;
-                }
-              }
-            });
-          }
-        } catch (error) {
-          console.error("Error fetching likes:", error);
-        }
-
-        // Fetch comments for this book
-        try {
-          const commentsResponse = await fetch(`${API_URL}/comments/${book._id}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
-
-          if (commentsResponse.ok) {
-            const commentsData = await commentsResponse.json();
-            const comments = commentsData.comments || [];
-            // Count unvisited comments from other users (excluding replies)
-            comments.forEach((comment) => {
-              if (comment.user?._id !== user?._id && !comment.parentComment) {
-                const notificationId = `comment_${comment._id}`;
-                if (!visited.has(notificationId)) {
-                  unvisitedCount++;
-                }
-              }
-            });
-          }
-        } catch (error) {
-          console.error("Error fetching comments:", error);
-        }
-      }
-
-      // Fetch friend request notifications
-      try {
-        const friendRequestsResponse = await fetch(`${API_URL}/friends/requests/received`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-
-        if (friendRequestsResponse.ok) {
-          const friendRequestsData = await friendRequestsResponse.json();
-          const friendRequests = friendRequestsData.requests || friendRequestsData || [];
-
-          friendRequests.forEach((request) => {
-            if (request.sender && request.sender._id !== user?._id) {
-              const notificationId = `friend_request_${request._id}`;
-              if (!visited.has(notificationId)) {
-                unvisitedCount++;
-              }
-            }
-          });
-        }
-      } catch (error) {
-        console.error("Error fetching friend requests:", error);
-      }
-
-      setNotificationCount(unvisitedCount);
-    } catch (error) {
-      console.error("Error fetching notification count:", error);
-    }
-  };
-
   const handleLoadMore = async () => {
     if (hasMore && !loading && !refreshing) {
       await fetchBooks(page + 1);
@@ -488,14 +95,7 @@ export default function Home() {
     
     setLikingBookId(bookId);
     try {
-      const response = await fetch(`${API_URL}/likes/${bookId}`, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (!response.ok) throw new Error("Failed to toggle like");
-
-      const data = await response.json();
+      const data = await api.likes.toggle(bookId);
 
       // Update the book in the list
       setBooks((prevBooks) =>
@@ -512,9 +112,7 @@ export default function Home() {
           return book;
         })
       );
-      
-      // Refresh notification count after like action
-      fetchNotificationCount();
+
     } catch (error) {
       console.error("Error toggling like:", error);
     } finally {
@@ -559,8 +157,6 @@ export default function Home() {
           return book;
         })
       );
-      // Refresh notification count after comment action
-      fetchNotificationCount();
     }
   };
 
@@ -664,28 +260,17 @@ export default function Home() {
   return (
     <View style={styles.container}>
       <FlatList
-        ref={flatListRef}
         data={books}
         renderItem={renderItem}
         keyExtractor={(item) => item._id}
         contentContainerStyle={styles.listContainer}
         showsVerticalScrollIndicator={false}
-        onScrollToIndexFailed={(info) => {
-          // Fallback if scrollToIndex fails
-          const wait = new Promise((resolve) => setTimeout(resolve, 500));
-          wait.then(() => {
-            flatListRef.current?.scrollToIndex({
-              index: info.index,
-              animated: true,
-            });
-          });
-        }}
         refreshControl={
           <RefreshControl
             refreshing={refreshing}
             onRefresh={() => {
               fetchBooks(1, true);
-              fetchNotificationCount();
+              fetchUnreadCount();
             }}
             colors={[COLORS.primary]}
             tintColor={COLORS.primary}
@@ -703,11 +288,7 @@ export default function Home() {
                 </View>
                 <TouchableOpacity
                   style={styles.notificationButton}
-                  onPress={async () => {
-                    setNotificationModalVisible(true);
-                    // Mark all current notifications as visited when opening modal
-                    await fetchNotificationCount();
-                  }}
+                  onPress={() => setNotificationModalVisible(true)}
                 >
                   <Ionicons name="notifications" size={26} color={COLORS.primary} />
                   {notificationCount > 0 && (
@@ -755,116 +336,9 @@ export default function Home() {
       />
       <NotificationModal
         visible={notificationModalVisible}
-        onClose={async () => {
-          setNotificationModalVisible(false);
-          await fetchNotificationCount();
-        }}
-        onNotificationClick={async (bookId, notificationId) => {
-          // Mark notification as visited
-          const newVisited = new Set([...visitedNotifications, notificationId]);
-          setVisitedNotifications(newVisited);
-          await saveVisitedNotifications(newVisited);
-          
-          // Close modal
+        onClose={() => {
           setNotificationModalVisible(false);
-          
-          // Find and scroll to the post
-          const postIndex = books.findIndex((book) => book._id === bookId);
-          if (postIndex !== -1 && flatListRef.current) {
-            setTimeout(() => {
-              try {
-                flatListRef.current?.scrollToIndex({
-                  index: postIndex,
-                  animated: true,
-                  viewPosition: 0.1,
-                });
-              } catch (error) {
-                // If scrollToIndex fails, try scrollToOffset as fallback
-                console.log("Scroll to index failed, using offset");
-                flatListRef.current?.scrollToOffset({
-                  offset: postIndex * 300, // Approximate offset
-                  animated: true,
-                });
-              }
-            }, 300);
-          }
-          
-          // Refresh notification count with updated visited set
-          await fetchNotificationCount(newVisited);
-        }}
-        onModalOpen={async () => {
-          // Mark all notifications as visited when modal opens
-          const allNotificationIds = [];
-          try {
-            const booksResponse = await fetch(`${API_URL}/books/user`, {
-              headers: { Authorization: `Bearer ${token}` },
-            });
-            if (booksResponse.ok) {
-              const booksData = await booksResponse.json();
-              const userBooks = booksData.books || [];
-              
-              for (const book of userBooks) {
-                // Get likes
-                try {
-                  const likesResponse = await fetch(`${API_URL}/likes/${book._id}`, {
-                    headers: { Authorization: `Bearer ${token}` },
-                  });
-                  if (likesResponse.ok) {
-                    const likesData = await likesResponse.json();
-                    const likes = likesData.likes || [];
-                    likes.forEach((like) => {
-                      if (like.user?._id !== user?._id) {
-                        allNotificationIds.push(`like_${like._id}`);
-                      }
-                    });
-                  }
-                } catch (error) {
-                  console.error("Error:", error);
-                }
-                
-                // Get comments
-                try {
-                  const commentsResponse = await fetch(`${API_URL}/comments/${book._id}`, {
-                    headers: { Authorization: `Bearer ${token}` },
-                  });
-                  if (commentsResponse.ok) {
-                    const commentsData = await commentsResponse.json();
-                    const comments = commentsData.comments || [];
-                    comments.forEach((comment) => {
-                      if (comment.user?._id !== user?._id && !comment.parentComment) {
-                        allNotificationIds.push(`comment_${comment._id}`);
-                      }
-                    });
-                  }
-                } catch (error) {
-                  console.error("Error:", error);
-                }
-              }
-              
-              // Get friend requests
-              try {
-                const friendRequestsResponse = await fetch(`${API_URL}/friends/requests/received`, {
-                  headers: { Authorization: `Bearer ${token}` },
-                });
-                if (friendRequestsResponse.ok) {
-                  const friendRequestsData = await friendRequestsResponse.json();
-                  const friendRequests = friendRequestsData.requests || friendRequestsData || [];
-                  friendRequests.forEach((request) => {
-                    if (request.sender && request.sender._id !== user?._id) {
-                      allNotificationIds.push(`friend_request_${request._id}`);
-                    }
-                  });
-                }
-              } catch (error) {
-                console.error("Error fetching friend requests:", error);
-              }
-              
-              await markNotificationsAsVisited(allNotificationIds);
-              await fetchNotificationCount();
-            }
-          } catch (error) {
-            console.error("Error marking notifications as visited:", error);
-          }
+          fetchUnreadCount();
         }}
       />
     </View>
@@ -9,9 +9,10 @@ import {
   RefreshControl,
 } from "react-native";
 import { useRouter } from "expo-router";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { API_URL } from "../../constants/api";
+import { api } from "../../utils/apiClient";
+import { routes } from "../../utils/deepLinks";
 import { useAuthStore } from "../../store/authStore";
+import { useUnreadStore } from "../../store/unreadStore";
 import { useSocket } from "../../hooks/useSocket";
 import styles from "../../assets/styles/profile.styles";
 import ProfileHeader from "../../components/ProfileHeader";
@@ -33,11 +34,11 @@ export default function Profile() {
   const [friendsModalVisible, setFriendsModalVisible] = useState(false);
   const [messagesModalVisible, setMessagesModalVisible] = useState(false);
   const [chatModalUser, setChatModalUser] = useState(null);
-  const [unreadCount, setUnreadCount] = useState(0);
-  const [navigatingToPost, setNavigatingToPost] = useState(false);
 
   const { token, user } = useAuthStore();
-  const socketApi = useSocket(token);
+  const unreadCount = useUnreadStore((state) => state.messageTotal);
+  const syncMessageCounts = useUnreadStore((state) => state.syncMessageCounts);
+  const socketApi = useSocket();
 
   const router = useRouter();
 
@@ -45,13 +46,7 @@ export default function Profile() {
     try {
       setIsLoading(true);
 
-      const response = await fetch(`${API_URL}/books/user`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.message || "Failed to fetch user memes");
-
+      const data = await api.books.mine();
       setBooks(data.books || data);
     } catch (error) {
       console.error("Error fetching data:", error);
@@ -63,43 +58,6 @@ export default function Profile() {
 
   useEffect(() => {
     fetchData();
-    fetchUnreadCount();
-    const interval = setInterval(fetchUnreadCount, 10000); // Refresh every 10s
-    return () => clearInterval(interval);
-  }, [token]);
-
-  // Check if we should open a chat from a notification
-  useEffect(() => {
-    const checkAndOpenChat = async () => {
-      try {
-        const userIdToOpen = await AsyncStorage.getItem("@open_chat_with_user");
-        if (userIdToOpen) {
-          // Clear the flag
-          await AsyncStorage.removeItem("@open_chat_with_user");
-          
-          // Fetch user data and open chat
-          try {
-            const userResponse = await fetch(`${API_URL}/users/${userIdToOpen}`, {
-              headers: { Authorization: `Bearer ${token}` },
-            });
-            if (userResponse.ok) {
-              const userData = await userResponse.json();
-              if (userData.user) {
-                setChatModalUser(userData.user);
-              }
-            }
-          } catch (e) {
-            console.warn("Failed to fetch user for chat:", e);
-          }
-        }
-      } catch (e) {
-        // Ignore errors
-      }
-    };
-    
-    if (token) {
-      checkAndOpenChat();
-    }
   }, [token]);
 
   // Listen for new messages globally to show notifications
@@ -117,9 +75,8 @@ export default function Profile() {
         scheduleLocalNotification(
           senderName,
           msg.text?.length > 80 ? msg.text.slice(0, 77) + "…" : msg.text || "New message",
-          { type: "message", senderId: String(senderId), messageId: msg._id }
+          { type: "message", senderId: String(senderId), actorName: senderName, messageId: msg._id }
         );
-        fetchUnreadCount(); // Refresh count
       }
     };
     
@@ -129,33 +86,12 @@ export default function Profile() {
     };
   }, [socketApi, token, user?._id, chatModalUser?._id]);
 
-  const fetchUnreadCount = async () => {
-    if (!token) return;
-    try {
-      const res = await fetch(`${API_URL}/messages/conversations`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (res.ok) {
-        const data = await res.json();
-        const total = (data.conversations || []).reduce((sum, c) => sum + (c.unreadCount || 0), 0);
-        setUnreadCount(total);
-      }
-    } catch (e) {
-      // ignore
-    }
-  };
 
   const handleDeleteBook = async (bookId) => {
     try {
       setDeleteBookId(bookId);
 
-      const response = await fetch(`${API_URL}/books/delete/${bookId}`, {
-        method: "DELETE",
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.message || "Failed to delete meme");
+      await api.books.remove(bookId);
 
       setBooks(books.filter((book) => book._id !== bookId));
       Alert.alert("Success", "Recommendation deleted successfully");
@@ -189,47 +125,8 @@ export default function Profile() {
     return stars;
   };
 
-  const handleBookPress = async (bookId) => {
-    if (!bookId || navigatingToPost) return;
-    
-    setNavigatingToPost(true);
-    
-    // Store the bookId in AsyncStorage for the home screen to pick up
-    try {
-      await AsyncStorage.setItem("scrollToBookId", bookId);
-      
-      // Navigate to home tab - use the root path which is the most reliable
-      // The index tab has href="/" so we can navigate to root
-      setTimeout(() => {
-        try {
-          // Try navigating to root path first (most reliable)
-          router.push("/");
-        } catch (error1) {
-          try {
-            // Fallback: Try with full tabs path
-            router.push("/(tabs)/index");
-          } catch (error2) {
-            try {
-              // Fallback: Try with navigate
-              router.navigate("/(tabs)/index");
-            } catch (error3) {
-              console.error("Navigation failed:", error3);
-              setNavigatingToPost(false);
-              Alert.alert("Error", "Failed to navigate. Please tap the Home tab manually.");
-            }
-          }
-        }
-      }, 150);
-      
-      // Reset loading state after navigation completes
-      setTimeout(() => {
-        setNavigatingToPost(false);
-      }, 2000);
-    } catch (error) {
-      console.error("Error navigating to post:", error);
-      setNavigatingToPost(false);
-      Alert.alert("Error", "Failed to navigate to post. Please try again.");
-    }
+  const handleBookPress = (bookId) => {
+    if (bookId) router.push(routes.post(bookId));
   };
 
   const renderBookItem = ({ item }) => (
@@ -276,7 +173,7 @@ export default function Profile() {
     setChatModalUser(user);
   };
 
-  if ((isLoading && !refreshing) || navigatingToPost) return <Loader />;
+  if (isLoading && !refreshing) return <Loader />;
 
   return (
     <View style={styles.container}>
@@ -284,8 +181,9 @@ export default function Profile() {
         onFriendCountPress={() => setFriendsModalVisible(true)}
         onMessagePress={() => {
           setMessagesModalVisible(true);
-          fetchUnreadCount(); // Refresh when opening
+          syncMessageCounts(); // Refresh when opening
         }}
+        onSecurityPress={() => router.push("/keyBackup")}
         unreadCount={unreadCount}
       />
       <LogoutButton />
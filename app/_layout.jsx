@@ -1,10 +1,17 @@
 import "react-native-get-random-values";
-import { SplashScreen, Stack, useRouter, useSegments } from "expo-router";
+import { SplashScreen, Stack, usePathname, useRouter, useSegments } from "expo-router";
 import { SafeAreaProvider } from "react-native-safe-area-context";
 import SafeScreen from "../components/SafeScreen";
+import ConnectionBanner from "../components/ConnectionBanner";
+import InAppToast from "../components/InAppToast";
+import VaultPassphraseModal from "../components/VaultPassphraseModal";
+import RestoreKeysModal from "../components/RestoreKeysModal";
 import { StatusBar } from "expo-status-bar";
 import { useEffect, useState, useRef } from "react";
 import { useAuthStore } from "../store/authStore";
+import { useEnvironmentStore } from "../store/environmentStore";
+import { useSocketStore } from "../store/socketStore";
+import { useNotificationPrefsStore } from "../store/notificationPrefsStore";
 import { useFonts } from "expo-font";
 import {
   registerForPushNotificationsAsync,
@@ -13,13 +20,27 @@ import {
   setupNotificationResponseHandler,
 } from "../utils/notifications";
 import useKeyStorage from "../hooks/useKeyStorage";
+import { useNotificationSocket } from "../hooks/useNotificationSocket";
+import { useUnreadSync } from "../hooks/useUnreadSync";
+import { useOutboxSync } from "../hooks/useOutboxSync";
+import { useDeliveryReceipts } from "../hooks/useDeliveryReceipts";
+import { consumePendingLink, setPendingLink } from "../utils/deepLinks";
+import { IS_WEB_VAULT, loadVault } from "../utils/secureStorage";
 
 SplashScreen.preventAutoHideAsync();
 
 export default function RootLayout() {
   const router = useRouter();
   const segments = useSegments();
+  const pathname = usePathname();
   const { checkAuth, user, token } = useAuthStore();
+  const loadEnvironment = useEnvironmentStore((state) => state.loadEnvironment);
+  const socketUrl = useEnvironmentStore(
+    (state) => state.profiles[state.environment]?.socketUrl,
+  );
+  const loadNotificationPrefs = useNotificationPrefsStore((state) => state.loadPrefs);
+  const connectSocket = useSocketStore((state) => state.connect);
+  const disconnectSocket = useSocketStore((state) => state.disconnect);
   const [isReady, setIsReady] = useState(false);
   const notificationResponseSubscription = useRef(null);
 
@@ -70,11 +91,16 @@ export default function RootLayout() {
 
   useEffect(() => {
     const initAuth = async () => {
+      // Resolve the backend before anything talks to it
+      await loadEnvironment();
+      await loadNotificationPrefs();
+      // Web: find out whether the passphrase vault needs unlocking
+      await loadVault();
       await checkAuth();
       setIsReady(true);
     };
     initAuth();
-  }, []);
+  }, [checkAuth, loadEnvironment, loadNotificationPrefs]);
 
   // Log E2EE initialization status
   useEffect(() => {
@@ -86,6 +112,21 @@ export default function RootLayout() {
     }
   }, [keysInitialized, keysError]);
 
+  // One socket per session, shared by every screen through useSocket()
+  useEffect(() => {
+    if (!isReady) return;
+    if (token && socketUrl) connectSocket(token, socketUrl);
+    else disconnectSocket();
+  }, [isReady, token, socketUrl, connectSocket, disconnectSocket]);
+
+  useEffect(() => () => disconnectSocket(), [disconnectSocket]);
+
+  // Live likes, comments and friend activity
+  useNotificationSocket();
+  useUnreadSync();
+  useOutboxSync();
+  useDeliveryReceipts();
+
   // Register push token when user logs in
   useEffect(() => {
     if (!token || !user) return;
@@ -130,18 +171,43 @@ export default function RootLayout() {
   useEffect(() => {
     if (!isReady || !segments || segments.length === 0) return;
     const isAuthScreen = segments[0] === "(auth)";
+    // The developer screen must stay reachable while signed out
+    if (segments[0] === "developer") return;
     const isSignedIn = user && token;
-    if (!isSignedIn && !isAuthScreen) router.replace("/(auth)");
-    else if (isSignedIn && isAuthScreen) router.replace("/(tabs)");
-  }, [user, token, segments, isReady]);
+    if (!isSignedIn && !isAuthScreen) {
+      // Come back to a deep link once the user has logged in
+      setPendingLink(pathname);
+      router.replace("/(auth)");
+    } else if (isSignedIn && isAuthScreen) {
+      router.replace(consumePendingLink() || "/(tabs)");
+    }
+  }, [user, token, segments, isReady, pathname, router]);
 
   return (
     <SafeAreaProvider>
       <SafeScreen>
+        {user && token && <ConnectionBanner />}
         <Stack screenOptions={{ headerShown: false }}>
           <Stack.Screen name="(tabs)" />
           <Stack.Screen name="(auth)" />
+          <Stack.Screen name="developer" />
+          <Stack.Screen name="notificationSettings" />
+          <Stack.Screen name="keyBackup" />
+          <Stack.Screen name="devices" />
+          <Stack.Screen name="post/[id]/index" />
+          <Stack.Screen name="user/[id]" />
+          <Stack.Screen
+            name="post/[id]/comments"
+            options={{ presentation: "transparentModal", animation: "none" }}
+          />
+          <Stack.Screen
+            name="chat/[userId]"
+            options={{ presentation: "transparentModal", animation: "none" }}
+          />
         </Stack>
+        {user && token && <InAppToast />}
+        {user && token && <RestoreKeysModal />}
+        {IS_WEB_VAULT && <VaultPassphraseModal />}
       </SafeScreen>
       <StatusBar style="dark" />
     </SafeAreaProvider>
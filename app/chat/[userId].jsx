@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from "react";
+import { Alert } from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { api } from "../../utils/apiClient";
+import { useSocket } from "../../hooks/useSocket";
+import ChatModal from "../../components/ChatModal";
+import Loader from "../../components/Loader";
+
+/**
+ * mobile://chat/:userId
+ * Opens the conversation with a user, presented over the current screen.
+ */
+export default function ChatRoute() {
+  const { userId } = useLocalSearchParams();
+  const router = useRouter();
+  const socketApi = useSocket();
+  const [otherUser, setOtherUser] = useState(null);
+
+  const close = useCallback(() => {
+    if (router.canGoBack()) router.back();
+    else router.replace("/(tabs)/profile");
+  }, [router]);
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    api.users
+      .get(userId)
+      .then((data) => {
+        if (!cancelled) setOtherUser(data?.user || data);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.warn("Failed to load chat user:", error.message);
+        Alert.alert("Error", "Could not open this conversation.");
+        close();
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, close]);
+
+  if (!otherUser) return <Loader />;
+
+  return <ChatModal visible otherUser={otherUser} onClose={close} socket={socketApi} />;
+}
@@ -0,0 +1,241 @@
+import { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import styles from "../assets/styles/developer.styles";
+import COLORS from "../constants/colors";
+import { DEFAULT_ENVIRONMENT, deriveSocketUrl } from "../constants/api";
+import { useEnvironmentStore } from "../store/environmentStore";
+import { useAuthStore } from "../store/authStore";
+import { runCryptoSelfTest } from "../utils/cryptoSelfTest";
+
+/**
+ * Developer Screen
+ * Hidden screen (long-press the login illustration) for pointing the app at
+ * a different backend. Sessions don't carry over between backends, so
+ * switching signs the user out.
+ */
+export default function DeveloperScreen() {
+  const router = useRouter();
+  const {
+    environment,
+    overrides,
+    profiles,
+    setEnvironment,
+    updateProfile,
+    resetEnvironment,
+  } = useEnvironmentStore();
+  const { token, logout } = useAuthStore();
+
+  const [selected, setSelected] = useState(environment);
+  const [apiUrl, setApiUrl] = useState("");
+  const [socketUrl, setSocketUrl] = useState("");
+  const [selfTest, setSelfTest] = useState(null);
+
+  // Prefill the inputs with whatever this device saved for the profile
+  useEffect(() => {
+    setApiUrl(overrides[selected]?.apiUrl ?? profiles[selected]?.apiUrl ?? "");
+    setSocketUrl(overrides[selected]?.socketUrl ?? "");
+  }, [selected, overrides, profiles]);
+
+  const goBack = () => {
+    if (router.canGoBack()) router.back();
+    else router.replace("/");
+  };
+
+  const applyEnvironment = async () => {
+    const urlChanged =
+      profiles[selected]?.apiUrl !== apiUrl.trim().replace(/\/+$/, "");
+    if (selected === environment && !urlChanged) {
+      const saved = await updateProfile(selected, { apiUrl, socketUrl });
+      if (!saved.success) Alert.alert("Error", saved.error);
+      else goBack();
+      return;
+    }
+
+    const doSwitch = async () => {
+      const saved = await updateProfile(selected, { apiUrl, socketUrl });
+      if (!saved.success) {
+        Alert.alert("Error", saved.error);
+        return;
+      }
+      const result = await setEnvironment(selected);
+      if (!result.success) {
+        Alert.alert("Error", result.error);
+        return;
+      }
+      if (token) await logout();
+      goBack();
+    };
+
+    if (token) {
+      Alert.alert(
+        "Switch Environment",
+        "You will be signed out and need to log in again on the new backend.",
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Switch", style: "destructive", onPress: doSwitch },
+        ],
+      );
+    } else {
+      doSwitch();
+    }
+  };
+
+  const confirmReset = () => {
+    Alert.alert(
+      "Reset Environment",
+      `Clear saved URLs and return to ${profiles[DEFAULT_ENVIRONMENT].label}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: async () => {
+            await resetEnvironment();
+            if (token && environment !== DEFAULT_ENVIRONMENT) await logout();
+            setSelected(DEFAULT_ENVIRONMENT);
+          },
+        },
+      ],
+    );
+  };
+
+  const names = Object.keys(profiles);
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1 }}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <ScrollView
+        contentContainerStyle={styles.container}
+        style={styles.scrollViewStyle}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.backButton} onPress={goBack}>
+            <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Developer Settings</Text>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Backend Environment</Text>
+          {names.map((name, index) => {
+            const profile = profiles[name];
+            return (
+              <TouchableOpacity
+                key={name}
+                style={[
+                  styles.profileRow,
+                  index === names.length - 1 && styles.profileRowLast,
+                ]}
+                onPress={() => setSelected(name)}
+              >
+                <Ionicons
+                  name={
+                    selected === name ? "radio-button-on" : "radio-button-off"
+                  }
+                  size={22}
+                  color={COLORS.primary}
+                />
+                <View style={styles.profileInfo}>
+                  <Text style={styles.profileLabel}>{profile.label}</Text>
+                  <Text style={styles.profileUrl} numberOfLines={1}>
+                    {profile.apiUrl || "Not set"}
+                  </Text>
+                </View>
+                {environment === name && (
+                  <View style={styles.activeBadge}>
+                    <Text style={styles.activeBadgeText}>Active</Text>
+                  </View>
+                )}
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {profiles[selected]?.label} URLs
+          </Text>
+
+          <Text style={styles.label}>API URL</Text>
+          <TextInput
+            style={styles.input}
+            value={apiUrl}
+            onChangeText={setApiUrl}
+            placeholder="https://example.com/api"
+            placeholderTextColor={COLORS.placeholderText}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+
+          <Text style={styles.label}>Socket URL</Text>
+          <TextInput
+            style={styles.input}
+            value={socketUrl}
+            onChangeText={setSocketUrl}
+            placeholder={deriveSocketUrl(apiUrl) || "https://example.com"}
+            placeholderTextColor={COLORS.placeholderText}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <Text style={styles.hint}>
+            Leave empty to derive it from the API URL.
+          </Text>
+
+          <TouchableOpacity style={styles.button} onPress={applyEnvironment}>
+            <Text style={styles.buttonText}>Save & Use</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={confirmReset}
+          >
+            <Text style={[styles.buttonText, styles.secondaryButtonText]}>
+              Reset to Default
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Encryption Self-Test</Text>
+          {selfTest?.results.map((result) => (
+            <View key={result.name}>
+              <View style={styles.testRow}>
+                <Ionicons
+                  name={result.passed ? "checkmark-circle" : "close-circle"}
+                  size={18}
+                  color={result.passed ? "#2E7D32" : "#e74c3c"}
+                />
+                <Text style={styles.testName}>{result.name}</Text>
+              </View>
+              {result.error && <Text style={styles.testError}>{result.error}</Text>}
+            </View>
+          ))}
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={() => setSelfTest(runCryptoSelfTest())}
+          >
+            <Text style={[styles.buttonText, styles.secondaryButtonText]}>
+              {selfTest ? "Run Again" : "Run Self-Test"}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
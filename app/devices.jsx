@@ -0,0 +1,220 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import styles from "../assets/styles/devices.styles";
+import COLORS from "../constants/colors";
+import { api } from "../utils/apiClient";
+import { getDeviceId } from "../utils/device";
+import { verifyIdentityKey } from "../utils/messageSigning";
+import { formatPublishDate } from "../utils/dateUtils";
+import { useAuthStore } from "../store/authStore";
+import { useKeyPinStore } from "../store/keyPinStore";
+import { useRecipientPublicKeyStore } from "../store/recipientPublicKeyStore";
+
+const PLATFORM_ICONS = {
+  ios: "phone-portrait-outline",
+  android: "phone-portrait-outline",
+  web: "desktop-outline",
+};
+
+/**
+ * Devices linked to this account. Each has its own encryption keys and
+ * gets its own copy of every message once approved; revoking one stops that.
+ */
+export default function Devices() {
+  const router = useRouter();
+  const userId = useAuthStore((state) => state.user?._id);
+  const token = useAuthStore((state) => state.token);
+  const ownDevices = useKeyPinStore((state) => state.ownDevices);
+  const approveDevice = useKeyPinStore((state) => state.approveDevice);
+  const invalidateCache = useRecipientPublicKeyStore((state) => state.invalidateCache);
+  const fetchRecipientPublicKey = useRecipientPublicKeyStore(
+    (state) => state.fetchRecipientPublicKey,
+  );
+
+  const [devices, setDevices] = useState([]);
+  const [thisDeviceId, setThisDeviceId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  // Device being approved or unlinked
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    if (!userId) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const [data, deviceId] = await Promise.all([api.users.devices(userId), getDeviceId()]);
+      setDevices(data?.devices ?? data ?? []);
+      setThisDeviceId(deviceId);
+      // Check the list against our pins, so new devices show up as such
+      invalidateCache(userId);
+      await fetchRecipientPublicKey(userId, token).catch((err) => {
+        console.warn("Couldn't check this account's devices:", err.message);
+      });
+    } catch (err) {
+      setError(err.message || "Couldn't load your devices");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId, token, invalidateCache, fetchRecipientPublicKey]);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const goBack = () => {
+    if (router.canGoBack()) router.back();
+    else router.replace("/(tabs)/profile");
+  };
+
+  const approve = async (device) => {
+    setBusyId(device.deviceId);
+    setError(null);
+    try {
+      await approveDevice(device);
+      // Our next message must include it
+      invalidateCache(userId);
+    } catch (err) {
+      setError(err.message || "Couldn't approve the device");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmApprove = (device) => {
+    const warning = `Only approve ${device.name || "this device"} if you signed in on it yourself. It will get copies of your messages from now on.`;
+    // Alert has no buttons on web
+    if (Platform.OS === "web") {
+      if (globalThis.confirm?.(warning)) approve(device);
+      return;
+    }
+    Alert.alert("Approve device?", warning, [
+      { text: "Cancel", style: "cancel" },
+      { text: "Approve", onPress: () => approve(device) },
+    ]);
+  };
+
+  const revoke = async (device) => {
+    setBusyId(device.deviceId);
+    setError(null);
+    try {
+      await api.users.revokeDevice(device.deviceId);
+      setDevices((prev) => prev.filter((d) => d.deviceId !== device.deviceId));
+      // Our next message must not include it
+      invalidateCache(userId);
+    } catch (err) {
+      setError(err.message || "Couldn't unlink the device");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmRevoke = (device) => {
+    const warning = `${device.name || "This device"} will be signed out and won't receive new messages.`;
+    // Alert has no buttons on web
+    if (Platform.OS === "web") {
+      if (globalThis.confirm?.(warning)) revoke(device);
+      return;
+    }
+    Alert.alert("Unlink device?", warning, [
+      { text: "Cancel", style: "cancel" },
+      { text: "Unlink", style: "destructive", onPress: () => revoke(device) },
+    ]);
+  };
+
+  const renderDevice = (device) => {
+    const isThisDevice = device.deviceId === thisDeviceId;
+    // A key the device didn't sign itself wasn't registered by our app
+    const isKeyValid =
+      device.signingPublicKey &&
+      verifyIdentityKey(device.publicKey, device.signingPublicKey, device.keySignature);
+    const isApproved =
+      isThisDevice || ownDevices?.[device.deviceId] === device.signingPublicKey;
+    return (
+      <View key={device.deviceId} style={styles.deviceRow}>
+        <Ionicons
+          name={PLATFORM_ICONS[device.platform] || "hardware-chip-outline"}
+          size={26}
+          color={COLORS.primary}
+        />
+        <View style={styles.deviceInfo}>
+          <Text style={styles.deviceName}>
+            {device.name || "Unnamed device"}
+            {isThisDevice && <Text style={styles.thisDevice}> · This device</Text>}
+          </Text>
+          {device.createdAt && (
+            <Text style={styles.deviceMeta}>
+              Linked {formatPublishDate(device.createdAt)}
+            </Text>
+          )}
+          {!isKeyValid && (
+            <Text style={styles.warningText}>Key signature is invalid; messages skip it</Text>
+          )}
+          {isKeyValid && !isApproved && (
+            <Text style={styles.warningText}>New device; gets no messages until you approve it</Text>
+          )}
+        </View>
+        {!isThisDevice &&
+          (busyId === device.deviceId ? (
+            <ActivityIndicator color={COLORS.primary} />
+          ) : (
+            <View style={styles.deviceActions}>
+              {isKeyValid && !isApproved && (
+                <TouchableOpacity
+                  style={styles.approveButton}
+                  onPress={() => confirmApprove(device)}
+                  disabled={Boolean(busyId)}
+                >
+                  <Text style={styles.approveButtonText}>Approve</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={styles.revokeButton}
+                onPress={() => confirmRevoke(device)}
+                disabled={Boolean(busyId)}
+              >
+                <Text style={styles.revokeButtonText}>Unlink</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} style={styles.scrollViewStyle}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={goBack}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Linked Devices</Text>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.description}>
+          Every device you sign in on gets its own encryption keys, and messages are
+          encrypted to each one you approve. A new device is approved here or on any
+          approved device. Unlink any device you don&apos;t recognize.
+        </Text>
+        {isLoading ? (
+          <ActivityIndicator color={COLORS.primary} />
+        ) : devices.length ? (
+          devices.map(renderDevice)
+        ) : (
+          <Text style={styles.emptyText}>No devices registered yet</Text>
+        )}
+        {error && <Text style={styles.errorText}>{error}</Text>}
+      </View>
+    </ScrollView>
+  );
+}
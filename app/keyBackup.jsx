@@ -0,0 +1,205 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import styles from "../assets/styles/keyBackup.styles";
+import COLORS from "../constants/colors";
+import { useKeyStore } from "../store/keyStore";
+import { MIN_BACKUP_PASSPHRASE_LENGTH } from "../utils/keyBackup";
+import { formatPublishDate } from "../utils/dateUtils";
+
+/**
+ * Opt-in encrypted backup of the E2EE keys, so a reinstall or a new
+ * phone can still read old messages.
+ */
+export default function KeyBackup() {
+  const router = useRouter();
+  const isInitialized = useKeyStore((state) => state.isInitialized);
+  const backupKeys = useKeyStore((state) => state.backupKeys);
+  const getBackupStatus = useKeyStore((state) => state.getBackupStatus);
+  const deleteBackup = useKeyStore((state) => state.deleteBackup);
+
+  const [backupStatus, setBackupStatus] = useState(null);
+  const [isLoadingStatus, setIsLoadingStatus] = useState(true);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    setIsLoadingStatus(true);
+    try {
+      setBackupStatus(await getBackupStatus());
+    } catch (err) {
+      setError(err.message || "Couldn't check your backup");
+    } finally {
+      setIsLoadingStatus(false);
+    }
+  }, [getBackupStatus]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const goBack = () => {
+    if (router.canGoBack()) router.back();
+    else router.replace("/(tabs)/profile");
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    if (passphrase !== confirmation) {
+      setError("Passphrases don't match");
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await backupKeys(passphrase);
+      setPassphrase("");
+      setConfirmation("");
+      await loadStatus();
+      Alert.alert(
+        "Backup saved",
+        "Keep your passphrase somewhere safe. It can't be reset or recovered.",
+      );
+    } catch (err) {
+      setError(err.message || "Backup failed");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      "Delete backup?",
+      "You won't be able to restore your messages on a new device.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteBackup();
+              setBackupStatus(null);
+            } catch (err) {
+              setError(err.message || "Couldn't delete the backup");
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const canSave =
+    isInitialized && passphrase.length >= MIN_BACKUP_PASSPHRASE_LENGTH && !isSaving;
+
+  const renderStatus = () => {
+    if (isLoadingStatus) return <ActivityIndicator color={COLORS.primary} />;
+    if (!backupStatus) {
+      return (
+        <View style={styles.statusRow}>
+          <Ionicons name="cloud-offline-outline" size={22} color={COLORS.textSecondary} />
+          <Text style={styles.statusText}>No backup yet</Text>
+        </View>
+      );
+    }
+    return (
+      <View style={styles.statusRow}>
+        <Ionicons
+          name={backupStatus.isCurrent ? "cloud-done-outline" : "warning-outline"}
+          size={22}
+          color={backupStatus.isCurrent ? COLORS.primary : "#e67e22"}
+        />
+        <Text style={styles.statusText}>
+          {backupStatus.isCurrent
+            ? `Backed up ${formatPublishDate(backupStatus.createdAt)}`
+            : "Your backup is for an older key. Save a new one."}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView
+      contentContainerStyle={styles.container}
+      style={styles.scrollViewStyle}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={goBack}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Message Key Backup</Text>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Status</Text>
+        {renderStatus()}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {backupStatus ? "Replace backup" : "Create backup"}
+        </Text>
+        <Text style={styles.description}>
+          Your messages are end-to-end encrypted with a key stored only on this phone.
+          A backup encrypts that key with a passphrase before uploading it, so only you
+          can restore it.
+        </Text>
+        <TextInput
+          style={styles.input}
+          placeholder={`Passphrase (${MIN_BACKUP_PASSPHRASE_LENGTH}+ characters)`}
+          placeholderTextColor={COLORS.placeholderText}
+          value={passphrase}
+          onChangeText={setPassphrase}
+          secureTextEntry
+          editable={!isSaving}
+        />
+        <TextInput
+          style={styles.input}
+          placeholder="Confirm passphrase"
+          placeholderTextColor={COLORS.placeholderText}
+          value={confirmation}
+          onChangeText={setConfirmation}
+          secureTextEntry
+          editable={!isSaving}
+        />
+        {error && <Text style={styles.errorText}>{error}</Text>}
+        <TouchableOpacity
+          style={[styles.primaryButton, !canSave && styles.disabled]}
+          onPress={handleSave}
+          disabled={!canSave}
+        >
+          {isSaving ? (
+            <ActivityIndicator color={COLORS.white} />
+          ) : (
+            <Text style={styles.primaryButtonText}>Save backup</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity style={styles.card} onPress={() => router.push("/devices")}>
+        <View style={styles.statusRow}>
+          <Ionicons name="phone-portrait-outline" size={22} color={COLORS.primary} />
+          <Text style={styles.statusText}>Linked devices</Text>
+          <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+        </View>
+      </TouchableOpacity>
+
+      {backupStatus && (
+        <TouchableOpacity style={styles.dangerButton} onPress={handleDelete}>
+          <Text style={styles.dangerButtonText}>Delete backup</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
@@ -0,0 +1,183 @@
+import { useEffect, useRef } from "react";
+import { View, Text, Switch, TouchableOpacity, ScrollView } from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import styles from "../assets/styles/notificationSettings.styles";
+import COLORS from "../constants/colors";
+import {
+  NOTIFICATION_TYPES,
+  useNotificationPrefsStore,
+} from "../store/notificationPrefsStore";
+import { syncNotificationPreferences } from "../utils/notifications";
+
+const DAY_LABELS = ["S", "M", "T", "W", "T", "F", "S"];
+const STEP_MINUTES = 30;
+// Wait for the user to stop tapping before telling the backend
+const SYNC_DELAY_MS = 800;
+
+const shiftTime = (hhmm, delta) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  const total = (h * 60 + m + delta + 24 * 60) % (24 * 60);
+  const hours = String(Math.floor(total / 60)).padStart(2, "0");
+  const minutes = String(total % 60).padStart(2, "0");
+  return `${hours}:${minutes}`;
+};
+
+function TimeStepper({ value, onChange, disabled }) {
+  return (
+    <View style={[styles.timeStepper, disabled && styles.disabled]}>
+      <TouchableOpacity
+        style={styles.stepButton}
+        disabled={disabled}
+        onPress={() => onChange(shiftTime(value, -STEP_MINUTES))}
+      >
+        <Ionicons name="chevron-back" size={20} color={COLORS.primary} />
+      </TouchableOpacity>
+      <Text style={styles.timeText}>{value}</Text>
+      <TouchableOpacity
+        style={styles.stepButton}
+        disabled={disabled}
+        onPress={() => onChange(shiftTime(value, STEP_MINUTES))}
+      >
+        <Ionicons name="chevron-forward" size={20} color={COLORS.primary} />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+export default function NotificationSettings() {
+  const router = useRouter();
+  const { types, quietHours, setTypeEnabled, setQuietHours } =
+    useNotificationPrefsStore();
+  const syncTimer = useRef(null);
+  const isFirstRender = useRef(true);
+
+  // Push every change to the backend (debounced)
+  useEffect(() => {
+    if (isFirstRender.current) {
+      isFirstRender.current = false;
+      return;
+    }
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(() => {
+      syncTimer.current = null;
+      syncNotificationPreferences();
+    }, SYNC_DELAY_MS);
+  }, [types, quietHours]);
+
+  // Flush a pending sync when leaving the screen
+  useEffect(
+    () => () => {
+      if (syncTimer.current) {
+        clearTimeout(syncTimer.current);
+        syncNotificationPreferences();
+      }
+    },
+    [],
+  );
+
+  const goBack = () => {
+    if (router.canGoBack()) router.back();
+    else router.replace("/");
+  };
+
+  const toggleDay = (day) => {
+    const days = quietHours.days.includes(day)
+      ? quietHours.days.filter((d) => d !== day)
+      : [...quietHours.days, day].sort();
+    setQuietHours({ days });
+  };
+
+  const quietDisabled = !quietHours.enabled;
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} style={styles.scrollViewStyle}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={goBack}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Notification Settings</Text>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Notify me about</Text>
+        {NOTIFICATION_TYPES.map((type, index) => (
+          <View
+            key={type.key}
+            style={[styles.row, index === NOTIFICATION_TYPES.length - 1 && styles.rowLast]}
+          >
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>{type.label}</Text>
+              <Text style={styles.rowDescription}>{type.description}</Text>
+            </View>
+            <Switch
+              value={types[type.key] !== false}
+              onValueChange={(value) => setTypeEnabled(type.key, value)}
+              trackColor={{ true: COLORS.primary, false: COLORS.border }}
+            />
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>Quiet hours</Text>
+        <View style={styles.row}>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>Pause notifications</Text>
+            <Text style={styles.rowDescription}>
+              No sounds or banners during the schedule below
+            </Text>
+          </View>
+          <Switch
+            value={quietHours.enabled}
+            onValueChange={(enabled) => setQuietHours({ enabled })}
+            trackColor={{ true: COLORS.primary, false: COLORS.border }}
+          />
+        </View>
+
+        <View style={styles.row}>
+          <View style={styles.rowText}>
+            <Text style={[styles.rowLabel, quietDisabled && styles.disabled]}>From</Text>
+          </View>
+          <TimeStepper
+            value={quietHours.start}
+            disabled={quietDisabled}
+            onChange={(start) => setQuietHours({ start })}
+          />
+        </View>
+
+        <View style={styles.row}>
+          <View style={styles.rowText}>
+            <Text style={[styles.rowLabel, quietDisabled && styles.disabled]}>To</Text>
+          </View>
+          <TimeStepper
+            value={quietHours.end}
+            disabled={quietDisabled}
+            onChange={(end) => setQuietHours({ end })}
+          />
+        </View>
+
+        <View style={[styles.daysRow, quietDisabled && styles.disabled]}>
+          {DAY_LABELS.map((label, day) => {
+            const active = quietHours.days.includes(day);
+            return (
+              <TouchableOpacity
+                key={day}
+                disabled={quietDisabled}
+                style={[styles.dayChip, active && styles.dayChipActive]}
+                onPress={() => toggleDay(day)}
+              >
+                <Text style={[styles.dayChipText, active && styles.dayChipTextActive]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <Text style={styles.hint}>
+          Overnight schedules count from the day they start.
+        </Text>
+      </View>
+    </ScrollView>
+  );
+}
@@ -0,0 +1,18 @@
+import { useLocalSearchParams, useRouter } from "expo-router";
+import CommentModal from "../../../components/CommentModal";
+
+/**
+ * mobile://post/:id/comments
+ * The comment sheet for a post, presented over whatever screen is below.
+ */
+export default function PostCommentsRoute() {
+  const { id } = useLocalSearchParams();
+  const router = useRouter();
+
+  const close = () => {
+    if (router.canGoBack()) router.back();
+    else router.replace("/");
+  };
+
+  return <CommentModal visible bookId={id} onClose={close} />;
+}
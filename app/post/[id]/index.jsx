@@ -0,0 +1,191 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Image } from "expo-image";
+import { Video, ResizeMode } from "expo-av";
+import { Ionicons } from "@expo/vector-icons";
+import { api } from "../../../utils/apiClient";
+import { routes } from "../../../utils/deepLinks";
+import { formatPublishDate } from "../../../utils/dateUtils";
+import COLORS from "../../../constants/colors";
+import Loader from "../../../components/Loader";
+import CommentThread from "../../../components/CommentThread";
+import LikesModal from "../../../components/LikesModal";
+import styles from "../../../assets/styles/postDetail.styles";
+
+/**
+ * mobile://post/:id
+ * A single post with its likes and an inline comment thread.
+ */
+export default function PostDetail() {
+  const { id } = useLocalSearchParams();
+  const router = useRouter();
+  const [book, setBook] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isLiking, setIsLiking] = useState(false);
+  const [likesModalVisible, setLikesModalVisible] = useState(false);
+
+  const fetchBook = useCallback(async () => {
+    if (!id) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await api.books.get(id);
+      setBook(data?.book || data);
+    } catch (err) {
+      setError(err.status === 404 ? "This post was deleted." : "Couldn't load this post.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchBook();
+  }, [fetchBook]);
+
+  const goBack = () => {
+    if (router.canGoBack()) router.back();
+    else router.replace("/");
+  };
+
+  const handleLike = async () => {
+    if (isLiking || !book) return;
+    setIsLiking(true);
+    try {
+      const data = await api.likes.toggle(book._id);
+      setBook((prev) => ({
+        ...prev,
+        isLiked: data.liked,
+        likesCount: data.liked
+          ? (prev.likesCount || 0) + 1
+          : Math.max((prev.likesCount || 0) - 1, 0),
+      }));
+    } catch (err) {
+      console.error("Error toggling like:", err);
+    } finally {
+      setIsLiking(false);
+    }
+  };
+
+  const handleCommentAdded = (increment = true) => {
+    setBook((prev) => ({
+      ...prev,
+      commentsCount: Math.max((prev.commentsCount || 0) + (increment ? 1 : -1), 0),
+    }));
+  };
+
+  const renderRatingStars = (rating) => {
+    const stars = [];
+    for (let i = 1; i <= 5; i++) {
+      stars.push(
+        <Ionicons
+          key={i}
+          name={i <= rating ? "star" : "star-outline"}
+          size={16}
+          color={i <= rating ? "#f4b400" : COLORS.textSecondary}
+          style={{ marginRight: 2 }}
+        />,
+      );
+    }
+    return stars;
+  };
+
+  const renderPost = () => (
+    <View style={styles.post}>
+      <TouchableOpacity
+        style={styles.userInfo}
+        onPress={() => book.user?._id && router.push(routes.user(book.user._id))}
+        activeOpacity={0.7}
+      >
+        <Image source={{ uri: book.user?.profileImg }} style={styles.avatar} />
+        <Text style={styles.username}>{book.user?.username}</Text>
+      </TouchableOpacity>
+
+      <Text style={styles.title}>{book.title}</Text>
+      {!!book.caption && <Text style={styles.caption}>{book.caption}</Text>}
+
+      {book.mediaType === "video" ? (
+        <Video
+          source={{ uri: book.image }}
+          style={styles.media}
+          useNativeControls
+          resizeMode={ResizeMode.CONTAIN}
+          isLooping
+        />
+      ) : (
+        <Image source={{ uri: book.image }} style={styles.media} contentFit="contain" />
+      )}
+
+      <View style={styles.ratingAndActions}>
+        <View style={styles.ratingContainer}>{renderRatingStars(book.rating)}</View>
+        <View style={styles.actionsContainer}>
+          <TouchableOpacity style={styles.actionButton} onPress={handleLike} disabled={isLiking}>
+            <Ionicons
+              name={book.isLiked ? "heart" : "heart-outline"}
+              size={20}
+              color={book.isLiked ? "#e74c3c" : COLORS.textSecondary}
+            />
+            {book.likesCount > 0 && (
+              <TouchableOpacity onPress={() => setLikesModalVisible(true)}>
+                <Text style={styles.countText}>{book.likesCount}</Text>
+              </TouchableOpacity>
+            )}
+          </TouchableOpacity>
+          <View style={styles.actionButton}>
+            <Ionicons name="chatbubble-outline" size={20} color={COLORS.textSecondary} />
+            {book.commentsCount > 0 && (
+              <Text style={styles.countText}>{book.commentsCount}</Text>
+            )}
+          </View>
+        </View>
+      </View>
+      <Text style={styles.date}>Shared on {formatPublishDate(book.createdAt)}</Text>
+      <Text style={styles.commentsTitle}>Comments</Text>
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+      style={styles.container}
+    >
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={goBack}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Post</Text>
+      </View>
+
+      {isLoading && !book ? (
+        <Loader />
+      ) : error ? (
+        <View style={styles.centered}>
+          <Ionicons name="alert-circle-outline" size={48} color={COLORS.textSecondary} />
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={fetchBook}>
+            <Text style={styles.retryText}>Try again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <CommentThread
+          bookId={book._id}
+          onCommentAdded={handleCommentAdded}
+          ListHeaderComponent={renderPost()}
+        />
+      )}
+
+      <LikesModal
+        visible={likesModalVisible}
+        onClose={() => setLikesModalVisible(false)}
+        bookId={book?._id}
+      />
+    </KeyboardAvoidingView>
+  );
+}
@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import {
   View,
   Text,
@@ -9,8 +9,8 @@ import {
   Alert,
 } from "react-native";
 import { useRouter, useLocalSearchParams } from "expo-router";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { API_URL } from "../../constants/api";
+import { api } from "../../utils/apiClient";
+import { routes } from "../../utils/deepLinks";
 import { useAuthStore } from "../../store/authStore";
 import { useSocket } from "../../hooks/useSocket";
 import { Image } from "expo-image";
@@ -23,10 +23,10 @@ import { formatMemberSince } from "../../utils/dateUtils";
 import styles from "../../assets/styles/userProfile.styles";
 
 export default function UserProfile() {
-  const { userId } = useLocalSearchParams();
-  const { token, user: currentUser } = useAuthStore();
+  const { id: userId } = useLocalSearchParams();
+  const { user: currentUser } = useAuthStore();
   const router = useRouter();
-  const socketApi = useSocket(token);
+  const socketApi = useSocket();
 
   const [profileUser, setProfileUser] = useState(null);
   const [books, setBooks] = useState([]);
@@ -37,38 +37,39 @@ export default function UserProfile() {
   const [isProcessing, setIsProcessing] = useState(false);
   const [friendsModalVisible, setFriendsModalVisible] = useState(false);
   const [chatModalUser, setChatModalUser] = useState(null);
-  const [navigatingToPost, setNavigatingToPost] = useState(false);
 
-  useEffect(() => {
-    if (userId) {
-      fetchUserProfile();
+  const fetchFriendStatus = useCallback(async (targetUserId) => {
+    try {
+      const data = await api.friends.status(targetUserId);
+      setFriendStatus(data?.status || 'none');
+    } catch (error) {
+      console.error("Error fetching friend status:", error);
     }
-  }, [userId]);
+  }, []);
 
-  const fetchUserProfile = async () => {
+  const fetchFriendCount = useCallback(async (targetUserId) => {
+    try {
+      const data = await api.friends.count(targetUserId);
+      setFriendCount(data?.count || 0);
+    } catch (error) {
+      console.error("Error fetching friend count:", error);
+    }
+  }, []);
+
+  const fetchUserProfile = useCallback(async () => {
     try {
       setIsLoading(true);
       
       // Fetch user profile
-      const userResponse = await fetch(`${API_URL}/users/${userId}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (!userResponse.ok) {
-        throw new Error("Failed to fetch user profile");
-      }
-
-      const userData = await userResponse.json();
+      const userData = await api.users.get(userId);
       setProfileUser(userData.user || userData);
       
       // Fetch user's posts
-      const booksResponse = await fetch(`${API_URL}/books/user/${userId}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (booksResponse.ok) {
-        const booksData = await booksResponse.json();
-        setBooks(booksData.books || booksData || []);
+      try {
+        const booksData = await api.books.byUser(userId);
+        setBooks(booksData?.books || booksData || []);
+      } catch (error) {
+        console.error("Error fetching user posts:", error);
       }
 
       // Fetch friend status
@@ -82,37 +83,13 @@ export default function UserProfile() {
     } finally {
       setIsLoading(false);
     }
-  };
-
-  const fetchFriendStatus = async (targetUserId) => {
-    try {
-      const response = await fetch(`${API_URL}/friends/status/${targetUserId}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
+  }, [userId, fetchFriendStatus, fetchFriendCount]);
 
-      if (response.ok) {
-        const data = await response.json();
-        setFriendStatus(data.status || 'none');
-      }
-    } catch (error) {
-      console.error("Error fetching friend status:", error);
-    }
-  };
-
-  const fetchFriendCount = async (targetUserId) => {
-    try {
-      const response = await fetch(`${API_URL}/friends/count/${targetUserId}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setFriendCount(data.count || 0);
-      }
-    } catch (error) {
-      console.error("Error fetching friend count:", error);
+  useEffect(() => {
+    if (userId) {
+      fetchUserProfile();
     }
-  };
+  }, [userId, fetchUserProfile]);
 
   const handleFriendRequest = async () => {
     if (isProcessing || !profileUser) return;
@@ -120,20 +97,7 @@ export default function UserProfile() {
     setIsProcessing(true);
     try {
       const targetUserId = profileUser._id || userId;
-      const response = await fetch(`${API_URL}/friends/request`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ receiverId: targetUserId }),
-      });
-
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || "Failed to send friend request");
-      }
+      await api.friends.request(targetUserId);
 
       setFriendStatus('requested');
       Alert.alert("Success", "Friend request sent!");
@@ -151,20 +115,7 @@ export default function UserProfile() {
     setIsProcessing(true);
     try {
       const targetUserId = profileUser._id || userId;
-      const response = await fetch(`${API_URL}/friends/accept`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ senderId: targetUserId }),
-      });
-
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || "Failed to accept friend request");
-      }
+      await api.friends.accept(targetUserId);
 
       setFriendStatus('friends');
       setFriendCount(prev => prev + 1);
@@ -185,20 +136,7 @@ export default function UserProfile() {
     setIsProcessing(true);
     try {
       const targetUserId = profileUser._id || userId;
-      const response = await fetch(`${API_URL}/friends/reject`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ senderId: targetUserId }),
-      });
-
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || "Failed to reject friend request");
-      }
+      await api.friends.reject(targetUserId);
 
       setFriendStatus('none');
       Alert.alert("Success", "Friend request rejected");
@@ -216,20 +154,7 @@ export default function UserProfile() {
     setIsProcessing(true);
     try {
       const targetUserId = profileUser._id || userId;
-      const response = await fetch(`${API_URL}/friends/cancel`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ receiverId: targetUserId }),
-      });
-
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.message || "Failed to cancel friend request");
-      }
+      await api.friends.cancel(targetUserId);
 
       setFriendStatus('none');
       Alert.alert("Success", "Friend request cancelled");
@@ -256,20 +181,7 @@ export default function UserProfile() {
             setIsProcessing(true);
             try {
               const targetUserId = profileUser._id || userId;
-              const response = await fetch(`${API_URL}/friends/unfriend`, {
-                method: "POST",
-                headers: {
-                  Authorization: `Bearer ${token}`,
-                  "Content-Type": "application/json",
-                },
-                body: JSON.stringify({ friendId: targetUserId }),
-              });
-
-              const data = await response.json();
-              
-              if (!response.ok) {
-                throw new Error(data.message || "Failed to unfriend");
-              }
+              await api.friends.unfriend(targetUserId);
 
               setFriendStatus('none');
               setFriendCount(prev => Math.max(0, prev - 1));
@@ -378,47 +290,8 @@ export default function UserProfile() {
     return stars;
   };
 
-  const handleBookPress = async (bookId) => {
-    if (!bookId || navigatingToPost) return;
-    
-    setNavigatingToPost(true);
-    
-    // Store the bookId in AsyncStorage for the home screen to pick up
-    try {
-      await AsyncStorage.setItem("scrollToBookId", bookId);
-      
-      // Navigate to home tab - use the root path which is the most reliable
-      // The index tab has href="/" so we can navigate to root
-      setTimeout(() => {
-        try {
-          // Try navigating to root path first (most reliable)
-          router.push("/");
-        } catch (error1) {
-          try {
-            // Fallback: Try with full tabs path
-            router.push("/(tabs)/index");
-          } catch (error2) {
-            try {
-              // Fallback: Try with navigate
-              router.navigate("/(tabs)/index");
-            } catch (error3) {
-              console.error("Navigation failed:", error3);
-              setNavigatingToPost(false);
-              Alert.alert("Error", "Failed to navigate. Please tap the Home tab manually.");
-            }
-          }
-        }
-      }, 150);
-      
-      // Reset loading state after navigation completes
-      setTimeout(() => {
-        setNavigatingToPost(false);
-      }, 2000);
-    } catch (error) {
-      console.error("Error navigating to post:", error);
-      setNavigatingToPost(false);
-      Alert.alert("Error", "Failed to navigate to post. Please try again.");
-    }
+  const handleBookPress = (bookId) => {
+    if (bookId) router.push(routes.post(bookId));
   };
 
   const renderBookItem = ({ item }) => (
@@ -447,7 +320,7 @@ export default function UserProfile() {
     setRefreshing(false);
   };
 
-  if ((isLoading && !refreshing) || navigatingToPost) return <Loader />;
+  if (isLoading && !refreshing) return <Loader />;
 
   if (!profileUser) {
     return (
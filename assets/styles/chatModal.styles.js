@@ -27,6 +27,11 @@ export default StyleSheet.create({
     borderRadius: 20,
     marginRight: 12,
   },
+  headerNameRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
   headerName: {
     fontSize: 18,
     fontWeight: "700",
@@ -88,9 +93,87 @@ export default StyleSheet.create({
   messageTimeSent: {
     color: COLORS.textSecondary,
   },
+  authenticityIcon: {
+    marginLeft: 4,
+  },
   tickIcon: {
     marginLeft: 2,
   },
+  queuedFailedText: {
+    color: "#FF3B30",
+  },
+  bubbleHighlighted: {
+    borderWidth: 2,
+    borderColor: COLORS.primary,
+  },
+  quoteBlock: {
+    borderLeftWidth: 3,
+    borderLeftColor: COLORS.primary,
+    backgroundColor: "rgba(0, 0, 0, 0.05)",
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  quoteBlockSent: {
+    backgroundColor: "rgba(255, 255, 255, 0.35)",
+  },
+  quoteAuthor: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: COLORS.primary,
+  },
+  quoteText: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  reactionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    alignSelf: "flex-start",
+    gap: 4,
+    marginTop: -12,
+    marginBottom: 8,
+    marginHorizontal: 8,
+  },
+  reactionRowSent: {
+    alignSelf: "flex-end",
+  },
+  reactionChip: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 12,
+    backgroundColor: COLORS.cardBackground,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  reactionChipMine: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.inputBackground,
+  },
+  reactionChipText: {
+    fontSize: 13,
+    color: COLORS.textDark,
+  },
+  replyBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  replyBarQuote: {
+    flex: 1,
+    borderLeftWidth: 3,
+    borderLeftColor: COLORS.primary,
+    paddingLeft: 8,
+  },
+  replyBarClose: {
+    padding: 6,
+    marginLeft: 8,
+  },
   inputRow: {
     flexDirection: "row",
     alignItems: "flex-end",
@@ -280,6 +363,90 @@ export default StyleSheet.create({
     fontWeight: "500",
     flex: 1,
   },
+  systemMessage: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "center",
+    gap: 6,
+    maxWidth: "85%",
+    marginVertical: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: COLORS.inputBackground,
+  },
+  systemMessageText: {
+    flexShrink: 1,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    textAlign: "center",
+  },
+  messageListContainer: {
+    flex: 1,
+  },
+  olderMessagesLoader: {
+    paddingVertical: 12,
+  },
+  jumpToLatest: {
+    position: "absolute",
+    right: 16,
+    bottom: 16,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: COLORS.cardBackground,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    shadowColor: COLORS.black,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  jumpBadge: {
+    position: "absolute",
+    top: -6,
+    right: -6,
+    minWidth: 20,
+    height: 20,
+    borderRadius: 10,
+    paddingHorizontal: 5,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: COLORS.primary,
+  },
+  jumpBadgeText: {
+    color: COLORS.white,
+    fontSize: 11,
+    fontWeight: "700",
+  },
+  reverifyBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: "#FFF3E0",
+    borderTopWidth: 1,
+    borderTopColor: "#FFCC02",
+  },
+  reverifyText: {
+    flex: 1,
+    fontSize: 13,
+    color: COLORS.textDark,
+  },
+  reverifyButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  reverifyButtonText: {
+    color: COLORS.white,
+    fontWeight: "600",
+  },
   voiceMessageContainer: {
     flexDirection: "row",
     alignItems: "center",
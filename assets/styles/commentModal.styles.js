@@ -25,6 +25,9 @@ const styles = StyleSheet.create({
   closeButton: {
     padding: 4,
   },
+  thread: {
+    flex: 1,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: "center",
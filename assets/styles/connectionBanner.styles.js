@@ -0,0 +1,31 @@
+// styles/connectionBanner.styles.js
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: COLORS.textSecondary,
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+  },
+  text: {
+    flex: 1,
+    color: COLORS.white,
+    fontSize: 13,
+    fontWeight: "500",
+    marginLeft: 8,
+  },
+  retryButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  retryText: {
+    color: COLORS.white,
+    fontSize: 13,
+    fontWeight: "700",
+  },
+});
+
+export default styles;
@@ -0,0 +1,111 @@
+// styles/devices.styles.js
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: COLORS.background,
+    padding: 16,
+  },
+  scrollViewStyle: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  backButton: {
+    padding: 8,
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: COLORS.textPrimary,
+  },
+  card: {
+    backgroundColor: COLORS.cardBackground,
+    borderRadius: 16,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginBottom: 16,
+  },
+  description: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  deviceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  deviceInfo: {
+    flex: 1,
+  },
+  deviceName: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
+  thisDevice: {
+    fontWeight: "400",
+    color: COLORS.primary,
+  },
+  deviceMeta: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  warningText: {
+    fontSize: 13,
+    color: "#e67e22",
+    marginTop: 2,
+  },
+  deviceActions: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  approveButton: {
+    borderRadius: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: COLORS.primary,
+  },
+  approveButtonText: {
+    color: COLORS.white,
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  revokeButton: {
+    borderRadius: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: "#e74c3c",
+  },
+  revokeButtonText: {
+    color: "#e74c3c",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  emptyText: {
+    fontSize: 15,
+    color: COLORS.textSecondary,
+  },
+  errorText: {
+    color: "#e74c3c",
+    fontSize: 13,
+    marginTop: 12,
+  },
+});
+
+export default styles;
@@ -0,0 +1,55 @@
+// styles/inAppToast.styles.js
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  wrapper: {
+    position: "absolute",
+    top: 8,
+    left: 12,
+    right: 12,
+    zIndex: 1000,
+    elevation: 10,
+  },
+  toast: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: COLORS.cardBackground,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    padding: 12,
+    shadowColor: COLORS.black,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 8,
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: COLORS.inputBackground,
+    justifyContent: "center",
+    alignItems: "center",
+    marginRight: 10,
+  },
+  content: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: COLORS.textDark,
+  },
+  message: {
+    fontSize: 13,
+    color: COLORS.textPrimary,
+    marginTop: 2,
+  },
+  closeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+});
+
+export default styles;
@@ -23,6 +23,11 @@ const styles = StyleSheet.create({
     width: width * 0.75,
     height: width * 0.75,
   },
+  environmentBadge: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginBottom: 32,
+  },
   card: {
     backgroundColor: COLORS.cardBackground,
     borderRadius: 16,
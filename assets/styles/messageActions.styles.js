@@ -0,0 +1,100 @@
+// styles/messageActions.styles.js
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: "flex-end",
+    backgroundColor: "rgba(0, 0, 0, 0.35)",
+  },
+  sheet: {
+    backgroundColor: COLORS.cardBackground,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 20,
+    paddingTop: 12,
+  },
+  handle: {
+    alignSelf: "center",
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: COLORS.border,
+    marginBottom: 16,
+  },
+  reactionBar: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 12,
+  },
+  emojiButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  emojiSelected: {
+    backgroundColor: COLORS.inputBackground,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  emoji: {
+    fontSize: 26,
+  },
+  picker: {
+    maxHeight: 360,
+  },
+  pickerTitle: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  pickerGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  preview: {
+    fontSize: 15,
+    color: COLORS.textDark,
+    backgroundColor: COLORS.inputBackground,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  infoRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingVertical: 10,
+  },
+  infoLabel: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.textDark,
+  },
+  infoValue: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+  actionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingVertical: 14,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  actionText: {
+    fontSize: 16,
+    color: COLORS.textDark,
+  },
+  destructiveText: {
+    color: "#e74c3c",
+  },
+});
+
+export default styles;
@@ -25,6 +25,24 @@ const styles = StyleSheet.create({
   closeButton: {
     padding: 4,
   },
+  headerActions: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  settingsButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  markAllButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginRight: 8,
+  },
+  markAllText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: "center",
@@ -44,6 +62,18 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     marginBottom: 8,
   },
+  notificationItemUnread: {
+    backgroundColor: COLORS.inputBackground,
+    borderLeftWidth: 3,
+    borderLeftColor: COLORS.primary,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+    marginLeft: 4,
+  },
   notificationAvatar: {
     width: 48,
     height: 48,
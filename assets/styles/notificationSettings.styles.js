@@ -0,0 +1,119 @@
+// styles/notificationSettings.styles.js
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: COLORS.background,
+    padding: 16,
+  },
+  scrollViewStyle: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  backButton: {
+    padding: 8,
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: COLORS.textPrimary,
+  },
+  card: {
+    backgroundColor: COLORS.cardBackground,
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+    marginTop: 8,
+    marginBottom: 4,
+    textTransform: "uppercase",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  rowLast: {
+    borderBottomWidth: 0,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  rowLabel: {
+    fontSize: 16,
+    fontWeight: "500",
+    color: COLORS.textDark,
+  },
+  rowDescription: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  timeStepper: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  stepButton: {
+    padding: 6,
+  },
+  timeText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+    minWidth: 52,
+    textAlign: "center",
+  },
+  daysRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 12,
+  },
+  dayChip: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  dayChipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  dayChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  dayChipTextActive: {
+    color: COLORS.white,
+  },
+  hint: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    paddingBottom: 12,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
+
+export default styles;
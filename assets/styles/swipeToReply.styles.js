@@ -0,0 +1,14 @@
+// styles/swipeToReply.styles.js
+import { StyleSheet } from "react-native";
+
+const styles = StyleSheet.create({
+  replyIcon: {
+    position: "absolute",
+    left: 4,
+    top: 0,
+    bottom: 0,
+    justifyContent: "center",
+  },
+});
+
+export default styles;
@@ -26,13 +26,15 @@ import { useRouter } from "expo-router";
 import { Audio } from "expo-av";
 import * as FileSystem from "expo-file-system/legacy";
 import { useAuthStore } from "../store/authStore";
-import { API_URL } from "../constants/api";
+import { api } from "../utils/apiClient";
 import COLORS from "../constants/colors";
 import styles from "../assets/styles/chatModal.styles";
-import { scheduleLocalNotification } from "../utils/notifications";
+import {
+  scheduleLocalNotification,
+  clearNotificationGroup,
+} from "../utils/notifications";
 import { formatLastSeen } from "../utils/dateUtils";
 import {
-  encryptMessage,
   decryptMessage,
   encryptBinaryData,
   decryptBinaryData,
@@ -40,11 +42,113 @@ import {
 } from "../utils/cryptoUtils";
 import useKeyStorage from "../hooks/useKeyStorage";
 import { useRecipientPublicKeyStore } from "../store/recipientPublicKeyStore";
+import { boxKeysetOf } from "../utils/fingerprint";
+import { useUnreadStore } from "../store/unreadStore";
+import {
+  useVerificationStore,
+  getVerificationStatus,
+} from "../store/verificationStore";
+import { useKeyPinStore } from "../store/keyPinStore";
+import { useOutboxStore, onOutboxMessageSent } from "../store/outboxStore";
+import {
+  openTextMessage,
+  openTextMessages,
+  openEnvelopeReply,
+  usesEnvelopes,
+  senderSigningKey,
+} from "../utils/messageEnvelopes";
+import {
+  replyReferenceFor,
+  sealReplyReference,
+  openReplyReference,
+} from "../utils/messageReplies";
+import {
+  sealReaction,
+  openReaction,
+  openMessageReactions,
+  summarizeReactions,
+} from "../utils/messageReactions";
+import VerifyEncryptionModal from "./VerifyEncryptionModal";
+import MessageActionsSheet from "./MessageActionsSheet";
+import SwipeToReply from "./SwipeToReply";
+import { acknowledgeDelivered } from "../hooks/useDeliveryReceipts";
 import {
   playSendSound,
   playReceiveSound,
   initializeSounds,
 } from "../utils/soundUtils";
+import { routes } from "../utils/deepLinks";
+import { getDeviceId } from "../utils/device";
+import {
+  loadCachedMessages,
+  cacheMessages,
+  deleteCachedMessage,
+  clearCachedConversation,
+} from "../utils/messageDatabase";
+import {
+  signOutgoingMessage,
+  getMessageAuthenticity,
+} from "../utils/messageSigning";
+
+// Messages per server fetch or history page
+const PAGE_SIZE = 50;
+// How close to the top or bottom of the list counts as being there
+const NEAR_EDGE_DISTANCE = 120;
+// Pages of history to load looking for a quoted message before giving up
+const MAX_QUOTE_SEARCH_PAGES = 10;
+// Pages to catch up on per open; the next open carries on from the cache
+const MAX_CATCH_UP_PAGES = 20;
+
+// Server messages not already in `known` (ids) and strictly past `cursor`
+// in the direction paged. A server that ignores the cursor sends the same
+// page again, and this leaves nothing of it.
+const newPastCursor = (messages, known, cursor, direction) =>
+  messages.filter((msg) => {
+    if (known.has(msg._id)) return false;
+    const delta = new Date(msg.createdAt) - new Date(cursor);
+    return direction === "after" ? delta > 0 : delta < 0;
+  });
+
+// Messages by id, the incoming copy winning, in time order; unsent ones last
+const mergeMessages = (current, incoming) => {
+  const byId = new Map(current.map((msg) => [msg._id, msg]));
+  incoming.forEach((msg) => byId.set(msg._id, msg));
+  const time = (msg) => (msg.createdAt ? new Date(msg.createdAt).getTime() : Infinity);
+  return [...byId.values()].sort((a, b) => time(a) - time(b));
+};
+
+// Per-message signature badge next to the time; unsigned messages
+// (from older app versions) get none
+const AUTHENTICITY_ICONS = {
+  verified: { name: "shield-checkmark", color: "#2E7D32" },
+  invalid: { name: "alert-circle", color: "#FF3B30" },
+  unknown: { name: "help-circle-outline", color: "#777777" },
+};
+
+// Ticks on our own messages: stored on the server, delivered to one of
+// their devices, read
+const DELIVERY_TICKS = {
+  sent: { name: "checkmark", color: "#777777" },
+  delivered: { name: "checkmark-done", color: "#777777" },
+  read: { name: "checkmark-done", color: "#0084FF" },
+};
+
+const deliveryStatus = (msg) =>
+  msg.read || msg.readAt ? "read" : msg.deliveredAt ? "delivered" : "sent";
+
+// `msg` with `userId`'s reaction set to `emoji` (null removes it). The
+// sealed copy replaces theirs in `reactions` unless it's undefined.
+const withReaction = (msg, userId, emoji, sealed) => {
+  const reactionEmoji = { ...msg.reactionEmoji };
+  if (emoji) reactionEmoji[userId] = emoji;
+  else delete reactionEmoji[userId];
+  if (sealed === undefined) return { ...msg, reactionEmoji };
+  const reactions = (msg.reactions || []).filter(
+    (r) => String(r.userId?._id ?? r.userId) !== userId,
+  );
+  if (sealed) reactions.push({ userId, reaction: sealed });
+  return { ...msg, reactionEmoji, reactions };
+};
 
 export default function ChatModal({ visible, otherUser, onClose, socket }) {
   const insets = useSafeAreaInsets();
@@ -53,14 +157,26 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
   const {
     publicKey: myPublicKey,
     secretKey: mySecretKey,
+    signingSecretKey: mySigningSecretKey,
     isInitialized: keysInitialized,
     e2eeReady,
+    isWaitingForNetwork: keysWaitingForNetwork,
     getKeys,
   } = useKeyStorage();
 
   // Use recipient public key store
   const { fetchRecipientPublicKey: fetchFromStore } =
     useRecipientPublicKeyStore();
+  const setActiveChat = useUnreadStore((state) => state.setActiveChat);
+  // Cache entries with each side's linked devices (see keysetOf)
+  const otherUserEntry = useRecipientPublicKeyStore(
+    (state) => state.cache[otherUser?._id],
+  );
+  const myEntry = useRecipientPublicKeyStore(
+    (state) => state.cache[currentUser?._id],
+  );
+  const otherUserKeyset = otherUserEntry?.keyset;
+  const myKeyset = myEntry?.keyset;
   const [otherUserPublicKey, setOtherUserPublicKey] = useState(null);
   const [recipientKeyLoading, setRecipientKeyLoading] = useState(false);
   const [publicKeyError, setPublicKeyError] = useState(null);
@@ -72,6 +188,7 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
   const [isTyping, setIsTyping] = useState(false);
   const [isOtherTyping, setIsOtherTyping] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
+  const [showVerify, setShowVerify] = useState(false);
   const [isBlocked, setIsBlocked] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [isRecordingPaused, setIsRecordingPaused] = useState(false);
@@ -89,26 +206,119 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
   const recordingTimerRef = useRef(null);
   const soundRef = useRef(null);
   const playbackTimerRef = useRef(null);
+  // Message objects already written to the on-device history
+  const persistedRef = useRef(new WeakSet());
+  // Message whose long-press menu is open
+  const [actionsMessageId, setActionsMessageId] = useState(null);
+  // Message the next one replies to
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Quoted message being scrolled to: { messageId, pagesLeft }
+  const quoteTargetRef = useRef(null);
+  const [quoteSearch, setQuoteSearch] = useState(0);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const loadingOlderRef = useRef(false);
+  // Follow new messages only while the list is at the bottom
+  const isNearBottomRef = useRef(true);
+  // Set once the list has reached the bottom after opening, so the
+  // initial scroll down doesn't count as reaching the top
+  const hasSettledRef = useRef(false);
+  const [showJumpToLatest, setShowJumpToLatest] = useState(false);
+  const [newMessageCount, setNewMessageCount] = useState(0);
 
   const currentUserId = currentUser?._id;
+  const verificationStatus = useVerificationStore((state) =>
+    otherUserKeyset
+      ? getVerificationStatus(
+          state.verifications,
+          otherUser?._id,
+          otherUserKeyset,
+        )
+      : "unverified",
+  );
+  const isKeyVerified = verificationStatus === "verified";
+  // A verified contact's key changed: hold sends until it's compared again
+  const needsReverify = verificationStatus === "changed";
+  const keyChanges = useKeyPinStore((state) => state.keyChanges[otherUser?._id]);
+  const clearKeyChanges = useKeyPinStore((state) => state.clearKeyChanges);
+
+  // Messages in the outbox, shown as ours until the server accepts them
+  const outboxItems = useOutboxStore((state) => state.items);
+  const queuedMessages = useMemo(
+    () =>
+      outboxItems
+        .filter((item) => item.receiverId === String(otherUser?._id))
+        .map((item) => ({
+          _id: item.clientId,
+          sender: currentUserId,
+          text: item.text,
+          outbox: item,
+        })),
+    [outboxItems, otherUser?._id, currentUserId],
+  );
 
-  const fetchMessages = useCallback(async () => {
-    if (!otherUser?._id || !token) return;
-    setLoading(true);
-    try {
-      const res = await fetch(`${API_URL}/messages/${otherUser._id}?limit=50`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (!res.ok) throw new Error("Failed to fetch");
-      const data = await res.json();
-      const list = data.messages || [];
+  // Key change notices are shown in the conversation alongside messages;
+  // unsent messages without a timestamp stay at the end, then the outbox
+  const listItems = useMemo(() => {
+    const time = (item) =>
+      item.createdAt ? new Date(item.createdAt).getTime() : Infinity;
+    const items = keyChanges?.length
+      ? [...messages, ...keyChanges].sort((a, b) => time(a) - time(b))
+      : messages;
+    return queuedMessages.length ? [...items, ...queuedMessages] : items;
+  }, [messages, keyChanges, queuedMessages]);
+  const loadVerifications = useVerificationStore(
+    (state) => state.loadVerifications,
+  );
+
+  useEffect(() => {
+    if (visible) loadVerifications();
+  }, [visible, loadVerifications]);
+
+  // Quotes of replies, opened with the same keys as their message bodies
+  const withQuotes = useCallback(
+    (list) =>
+      Promise.all(
+        list.map(async (msg) => {
+          if (!msg.replyTo || msg.quoted) return msg;
+          let quoted;
+          if (usesEnvelopes(msg)) {
+            quoted = await openEnvelopeReply(msg);
+          } else {
+            const senderId =
+              typeof msg.sender === "object" ? msg.sender._id : msg.sender;
+            const key =
+              senderId === currentUserId
+                ? otherUserPublicKey
+                : msg.senderPublicKey ?? msg.encryptedVoiceMessage?.senderPublicKey;
+            quoted = openReplyReference(msg.replyTo, key, mySecretKey);
+          }
+          return quoted ? { ...msg, quoted } : msg;
+        }),
+      ),
+    [currentUserId, otherUserPublicKey, mySecretKey],
+  );
+
+  // Decrypt messages from the server, or cached ones that failed before
+  const decryptHistory = useCallback(
+    async (list) => {
+      // Per-device messages go through their sessions, in order, before the rest
+      const envelopeTexts = e2eeReady ? await openTextMessages(list) : new Map();
 
       // Decrypt messages that are encrypted
-      const decryptedMessages = list.map((msg) => {
+      const decrypted = list.map((msg) => {
         const senderId =
           typeof msg.sender === "object" ? msg.sender._id : msg.sender;
         const isFromOtherUser = senderId !== currentUserId;
 
+        if (usesEnvelopes(msg)) {
+          const text = envelopeTexts.get(msg.nonce);
+          return text
+            ? { ...msg, text }
+            : { ...msg, text: "🔒 [Decryption failed]", decryptionFailed: true };
+        }
+
         // Messages are encrypted if isEncrypted=true AND have encryptedMessage + nonce
         if (msg.isEncrypted && msg.encryptedMessage && msg.nonce && e2eeReady) {
           try {
@@ -194,23 +404,172 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
         }
         return msg;
       });
+      const quoted = await withQuotes(decrypted);
+      // Server copies carry the current reactions; decrypt them again
+      return Promise.all(
+        quoted.map(async (msg) =>
+          msg.reactions?.length
+            ? { ...msg, reactionEmoji: await openMessageReactions(msg) }
+            : msg,
+        ),
+      );
+    },
+    [mySecretKey, otherUserPublicKey, currentUserId, e2eeReady, withQuotes],
+  );
+
+  const fetchMessages = useCallback(async () => {
+    if (!otherUser?._id || !token) return;
+    isNearBottomRef.current = true;
+    hasSettledRef.current = false;
+    setShowJumpToLatest(false);
+    setNewMessageCount(0);
+    // Show the on-device history right away, then catch up with the server
+    const cached = await loadCachedMessages(otherUser._id, PAGE_SIZE);
+    cached.forEach((msg) => persistedRef.current.add(msg));
+    // Assume there is more history until a page back says otherwise
+    setHasOlder(true);
+    if (cached.length) setMessages(cached);
+    else setLoading(true);
+    try {
+      const newest = cached[cached.length - 1];
+      if (!newest) {
+        const data = await api.messages.list(otherUser._id, PAGE_SIZE);
+        const fresh = await decryptHistory(data.messages || []);
+        acknowledgeDelivered(fresh);
+        setMessages(fresh);
+        // Without a hasMore from the server, assume there's nothing older
+        setHasOlder(data.hasMore === true);
+        return;
+      }
 
-      setMessages(decryptedMessages);
+      const retried = await decryptHistory(cached.filter((msg) => msg.decryptionFailed));
+      if (retried.length) setMessages((prev) => mergeMessages(prev, retried));
+
+      // Page forward from the cache until caught up. Every page is stored
+      // as it comes in: a ratchet message key works only once, so anything
+      // skipped here could never be read again. The same goes for messages
+      // sent twice, so only new ones are decrypted.
+      const known = new Set(cached.map((msg) => msg._id));
+      let after = newest.createdAt;
+      for (let pages = 1; pages <= MAX_CATCH_UP_PAGES; pages++) {
+        const data = await api.messages.list(otherUser._id, PAGE_SIZE, { after });
+        const page = await decryptHistory(
+          newPastCursor(data.messages || [], known, after, "after"),
+        );
+        page.forEach((msg) => known.add(msg._id));
+        acknowledgeDelivered(page);
+        await cacheMessages(page);
+        page.forEach((msg) => persistedRef.current.add(msg));
+        // After a long gap only the newest page stays on screen; the rest
+        // is a page back, in the cache
+        setMessages((prev) => {
+          const merged = mergeMessages(prev, page);
+          return pages > 1 ? merged.slice(-PAGE_SIZE) : merged;
+        });
+        // A missing hasMore means caught up
+        if (!page.length || data.hasMore !== true) break;
+        after = page[page.length - 1].createdAt;
+      }
     } catch (e) {
       console.error("Failed to fetch messages:", e);
-      setMessages([]);
+      // Offline: keep whatever the cache had
+      if (!cached.length) setMessages([]);
     } finally {
       setLoading(false);
     }
-  }, [
-    otherUser?._id,
-    token,
-    mySecretKey,
-    otherUserPublicKey,
-    myPublicKey,
-    currentUserId,
-    e2eeReady,
-  ]);
+  }, [otherUser?._id, token, decryptHistory]);
+
+  // Next page back: the on-device history first, the server past its end.
+  // Each page is only decrypted once it's loaded.
+  const loadOlderMessages = useCallback(async () => {
+    const oldest = messages.find((msg) => msg.createdAt);
+    if (!otherUser?._id || !hasOlder || !oldest || loadingOlderRef.current) return;
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      let page = await loadCachedMessages(otherUser._id, PAGE_SIZE, {
+        before: oldest.createdAt,
+      });
+      page.forEach((msg) => persistedRef.current.add(msg));
+      if (page.length < PAGE_SIZE) {
+        const before = (page[0] ?? oldest).createdAt;
+        const data = await api.messages.list(otherUser._id, PAGE_SIZE, { before });
+        const known = new Set([...messages, ...page].map((msg) => msg._id));
+        const older = await decryptHistory(
+          newPastCursor(data.messages || [], known, before, "before"),
+        );
+        acknowledgeDelivered(older);
+        // Stop at a page with nothing older in it, or without a hasMore
+        setHasOlder(older.length > 0 && data.hasMore === true);
+        page = [...older, ...page];
+      }
+      if (page.length) setMessages((prev) => mergeMessages(prev, page));
+    } catch (e) {
+      console.warn("Failed to load older messages:", e.message || e);
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [messages, otherUser?._id, hasOlder, decryptHistory]);
+
+  // Scroll to a quoted message, paging back through history until it's
+  // loaded. Runs again after every page.
+  const jumpToQuoted = (messageId) => {
+    quoteTargetRef.current = { messageId, pagesLeft: MAX_QUOTE_SEARCH_PAGES };
+    setQuoteSearch((n) => n + 1);
+  };
+
+  useEffect(() => {
+    const target = quoteTargetRef.current;
+    if (!target || loadingOlder) return;
+    const index = listItems.findIndex((item) => String(item._id) === target.messageId);
+    if (index !== -1) {
+      quoteTargetRef.current = null;
+      isNearBottomRef.current = false;
+      listRef.current?.scrollToIndex({ index, viewPosition: 0.3, animated: true });
+      setHighlightedId(listItems[index]._id);
+      return;
+    }
+    if (hasOlder && target.pagesLeft > 0) {
+      target.pagesLeft -= 1;
+      loadOlderMessages();
+      return;
+    }
+    quoteTargetRef.current = null;
+    Alert.alert(
+      "Message not found",
+      "The original message was deleted or is too far back to load.",
+    );
+  }, [quoteSearch, listItems, hasOlder, loadingOlder, loadOlderMessages]);
+
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timer = setTimeout(() => setHighlightedId(null), 1500);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  // Messages the outbox delivers to this chat, including ones queued in an
+  // earlier session, take the place of their queued copy
+  useEffect(() => {
+    if (!otherUser?._id) return;
+    useOutboxStore.getState().loadOutbox();
+    return onOutboxMessageSent((msg, item) => {
+      if (item.receiverId !== String(otherUser._id)) return;
+      setMessages((prev) => mergeMessages(prev, [msg]));
+    });
+  }, [otherUser?._id]);
+
+  // Write new and changed messages to the on-device history. Unchanged
+  // message objects are already there.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const changed = messages.filter((msg) => !persistedRef.current.has(msg));
+      if (!changed.length) return;
+      changed.forEach((msg) => persistedRef.current.add(msg));
+      cacheMessages(changed);
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [messages]);
 
   // Fetch recipient's public key with retry logic
   const { invalidateCache } = useRecipientPublicKeyStore();
@@ -243,6 +602,8 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
           );
         } else if (error.statusCode === 404) {
           setPublicKeyError("User not found");
+        } else if (error.isBadSignature) {
+          setPublicKeyError("This user's encryption key failed its signature check.");
         } else {
           // Network error or other issue
           setPublicKeyError("Unable to reach recipient's encryption key.");
@@ -259,6 +620,15 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
   // Keys are uploaded automatically by useKeyStorage hook on initialization
   // No need to upload again here
 
+  // Opening the chat dismisses its bundled message notification
+  // and stops counting its messages as unread
+  useEffect(() => {
+    if (!visible || !otherUser?._id) return;
+    clearNotificationGroup(`message:${otherUser._id}`);
+    setActiveChat(otherUser._id);
+    return () => setActiveChat(null);
+  }, [visible, otherUser?._id, setActiveChat]);
+
   // Mark messages as read periodically when chat is visible
   useEffect(() => {
     if (visible && otherUser?._id && socket?.emit) {
@@ -282,12 +652,18 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     }
   }, [visible, otherUser?._id, socket]);
 
-  // Fetch recipient's public key when chat opens
+  // Fetch recipient's public key when chat opens, and our own devices for
+  // the safety number
   useEffect(() => {
     if (visible && keysInitialized) {
       fetchRecipientPublicKey();
+      if (currentUserId && token) {
+        fetchFromStore(currentUserId, token).catch((error) =>
+          console.warn("Couldn't fetch this account's devices:", error.message),
+        );
+      }
     }
-  }, [visible, keysInitialized, fetchRecipientPublicKey]);
+  }, [visible, keysInitialized, fetchRecipientPublicKey, currentUserId, token, fetchFromStore]);
 
   useEffect(() => {
     if (visible && otherUser?._id) {
@@ -371,16 +747,11 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
   const checkBlockedStatus = useCallback(async () => {
     if (!otherUser?._id || !token) return;
     try {
-      const res = await fetch(`${API_URL}/users/blocked/list`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (res.ok) {
-        const data = await res.json();
-        const blockedIds = (data.blockedUsers || []).map((u) =>
-          String(u._id || u),
-        );
-        setIsBlocked(blockedIds.includes(String(otherUser._id)));
-      }
+      const data = await api.users.blockedList();
+      const blockedIds = (data?.blockedUsers || []).map((u) =>
+        String(u._id || u),
+      );
+      setIsBlocked(blockedIds.includes(String(otherUser._id)));
     } catch (e) {}
   }, [otherUser?._id, token]);
 
@@ -399,24 +770,13 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
   const fetchOnlineStatus = useCallback(async () => {
     if (!otherUser?._id || !token) return;
     try {
-      const [statusRes, lastSeenRes] = await Promise.all([
-        fetch(`${API_URL}/users/online-status?ids=${otherUser._id}`, {
-          headers: { Authorization: `Bearer ${token}` },
-        }),
-        fetch(`${API_URL}/users/last-seen?ids=${otherUser._id}`, {
-          headers: { Authorization: `Bearer ${token}` },
-        }),
+      const [statusData, lastSeenData] = await Promise.all([
+        api.users.onlineStatus([otherUser._id]),
+        api.users.lastSeen([otherUser._id]),
       ]);
 
-      if (statusRes.ok) {
-        const statusData = await statusRes.json();
-        setIsOnline(!!statusData[otherUser._id]);
-      }
-
-      if (lastSeenRes.ok) {
-        const lastSeenData = await lastSeenRes.json();
-        setLastSeen(lastSeenData[otherUser._id] || null);
-      }
+      setIsOnline(!!statusData?.[otherUser._id]);
+      setLastSeen(lastSeenData?.[otherUser._id] || null);
     } catch (e) {
       setIsOnline(false);
       setLastSeen(null);
@@ -444,6 +804,7 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
           if (
             isFromOtherUser &&
             msg.isEncrypted &&
+            !usesEnvelopes(msg) &&
             (!msg.text || msg.decryptionFailed) &&
             msg.encryptedMessage &&
             msg.nonce
@@ -511,15 +872,15 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
   ]);
 
   const scrollToEnd = useCallback(() => {
-    if (listRef.current && messages.length > 0) {
+    if (listRef.current && listItems.length > 0) {
       setTimeout(() => {
         try {
           listRef.current?.scrollToEnd({ animated: true });
         } catch (error) {
           // Fallback: scroll to last index
-          if (messages.length > 0) {
+          if (listItems.length > 0) {
             listRef.current?.scrollToIndex({
-              index: messages.length - 1,
+              index: listItems.length - 1,
               animated: true,
               viewPosition: 0,
             });
@@ -527,14 +888,37 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
         }
       }, 100);
     }
-  }, [messages.length]);
+  }, [listItems.length]);
 
   useEffect(() => {
+    if (isNearBottomRef.current) scrollToEnd();
+  }, [listItems, loading]);
+
+  const jumpToLatest = () => {
+    isNearBottomRef.current = true;
+    setShowJumpToLatest(false);
+    setNewMessageCount(0);
     scrollToEnd();
-  }, [messages, loading]);
+  };
+
+  const handleListScroll = ({ nativeEvent }) => {
+    const { contentOffset, contentSize, layoutMeasurement } = nativeEvent;
+    const fromBottom =
+      contentSize.height - (contentOffset.y + layoutMeasurement.height);
+    const isNearBottom = fromBottom < NEAR_EDGE_DISTANCE;
+    if (isNearBottom) hasSettledRef.current = true;
+    if (isNearBottom !== isNearBottomRef.current) {
+      isNearBottomRef.current = isNearBottom;
+      setShowJumpToLatest(!isNearBottom);
+      if (isNearBottom) setNewMessageCount(0);
+    }
+    if (hasSettledRef.current && contentOffset.y < NEAR_EDGE_DISTANCE) {
+      loadOlderMessages();
+    }
+  };
 
   const handleNewMessage = useCallback(
-    (msg) => {
+    async (msg) => {
       if (!msg?.sender || !otherUser?._id) return;
 
       // CRITICAL: Skip decryption if keys aren't ready yet
@@ -561,9 +945,34 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
 
       if (!isFromOtherUser && !isFromCurrentUser) return;
 
+      // Sealed with a key we haven't seen (e.g. a new device): refetch so
+      // the change gets pinned
+      if (
+        isFromOtherUser &&
+        msg.senderPublicKey &&
+        otherUserKeyset &&
+        !boxKeysetOf(otherUserKeyset).split(",").includes(msg.senderPublicKey)
+      ) {
+        fetchRecipientPublicKey(true);
+      }
+
       // Decrypt message if it's encrypted - ONLY if E2EE is ready
       let messageToAdd = msg;
-      if (msg.isEncrypted && msg.encryptedMessage && msg.nonce && e2eeReady) {
+      if (usesEnvelopes(msg) && msg.isEncrypted && e2eeReady) {
+        try {
+          const text = await openTextMessage(msg);
+          messageToAdd = text
+            ? { ...msg, text }
+            : { ...msg, text: "🔒 Encrypted message" };
+        } catch (error) {
+          console.warn("❌ Session message decryption failed:", error.message);
+          messageToAdd = {
+            ...msg,
+            text: "🔒 [Decryption failed]",
+            decryptionFailed: true,
+          };
+        }
+      } else if (msg.isEncrypted && msg.encryptedMessage && msg.nonce && e2eeReady) {
         try {
           // Determine encryption key
           let keyForDecryption;
@@ -642,6 +1051,7 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
         scheduleLocalNotification(senderName, notificationBody, {
           type: "message",
           senderId: String(senderId),
+          actorName: senderName,
           messageId: msg._id,
         });
       }
@@ -656,6 +1066,13 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
         socket.emit("mark_messages_read", { otherUserId: otherUser._id });
       }
 
+      [messageToAdd] = await withQuotes([messageToAdd]);
+
+      // Scrolled back through history: count it on the jump button instead
+      if (isFromOtherUser && !isNearBottomRef.current) {
+        setNewMessageCount((count) => count + 1);
+      }
+
       setMessages((prev) => {
         const exists = prev.some((m) => m._id === msg._id);
         if (exists) return prev;
@@ -668,25 +1085,63 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
       visible,
       socket,
       mySecretKey,
+      e2eeReady,
       otherUserPublicKey,
+      otherUserKeyset,
+      fetchRecipientPublicKey,
+      withQuotes,
     ],
   );
 
-  const handleMessagesRead = useCallback(({ messageIds }) => {
+  const handleMessagesRead = useCallback(({ messageIds, readAt }) => {
     if (!messageIds?.length) return;
     const readIds = new Set(messageIds.map((id) => String(id)));
+    const at = readAt || new Date().toISOString();
     setMessages((prev) =>
-      prev.map((m) => (readIds.has(String(m._id)) ? { ...m, read: true } : m)),
+      prev.map((m) =>
+        readIds.has(String(m._id))
+          ? { ...m, read: true, readAt: m.readAt || at, deliveredAt: m.deliveredAt || at }
+          : m,
+      ),
     );
   }, []);
 
+  const handleMessageDelivered = useCallback(({ messageIds, deliveredAt }) => {
+    if (!messageIds?.length) return;
+    const deliveredIds = new Set(messageIds.map((id) => String(id)));
+    const at = deliveredAt || new Date().toISOString();
+    setMessages((prev) =>
+      prev.map((m) =>
+        deliveredIds.has(String(m._id)) && !m.deliveredAt ? { ...m, deliveredAt: at } : m,
+      ),
+    );
+  }, []);
+
+  const handleMessageReaction = useCallback(
+    async ({ messageId, userId, reaction }) => {
+      if (!messageId || !userId) return;
+      const reactorId = String(userId);
+      const emoji = reaction ? await openReaction(messageId, reactorId, reaction) : null;
+      setMessages((prev) =>
+        prev.map((m) =>
+          String(m._id) === String(messageId)
+            ? withReaction(m, reactorId, emoji, reaction ?? null)
+            : m,
+        ),
+      );
+    },
+    [],
+  );
+
   const handleMessageDeleted = useCallback(({ messageId }) => {
     setMessages((prev) => prev.filter((m) => m._id !== messageId));
+    deleteCachedMessage(messageId);
   }, []);
 
   const handleConversationCleared = useCallback(() => {
     setMessages([]);
-  }, []);
+    if (otherUser?._id) clearCachedConversation(otherUser._id);
+  }, [otherUser?._id]);
 
   const handleTypingStart = useCallback(
     ({ userId: typingUserId }) => {
@@ -710,6 +1165,8 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     if (!socket || !visible) return;
     socket.on("new_message", handleNewMessage);
     socket.on("messages_read", handleMessagesRead);
+    socket.on("message_delivered", handleMessageDelivered);
+    socket.on("message_reaction", handleMessageReaction);
     socket.on("message_deleted", handleMessageDeleted);
     socket.on("typing_start", handleTypingStart);
     socket.on("typing_stop", handleTypingStop);
@@ -717,6 +1174,8 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     return () => {
       socket.off("new_message", handleNewMessage);
       socket.off("messages_read", handleMessagesRead);
+      socket.off("message_delivered", handleMessageDelivered);
+      socket.off("message_reaction", handleMessageReaction);
       socket.off("message_deleted", handleMessageDeleted);
       socket.off("typing_start", handleTypingStart);
       socket.off("typing_stop", handleTypingStop);
@@ -727,6 +1186,8 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     visible,
     handleNewMessage,
     handleMessagesRead,
+    handleMessageDelivered,
+    handleMessageReaction,
     handleMessageDeleted,
     handleTypingStart,
     handleTypingStop,
@@ -760,6 +1221,29 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     [isTyping, socket, otherUser?._id],
   );
 
+  // Sends to a verified contact whose keys changed wait for re-verification
+  const isHeldForReverify = (recipientKey) => {
+    const status = getVerificationStatus(
+      useVerificationStore.getState().verifications,
+      otherUser._id,
+      useRecipientPublicKeyStore.getState().cache[otherUser._id]?.keyset ?? recipientKey,
+    );
+    if (status !== "changed") return false;
+    Alert.alert(
+      "Safety number changed",
+      `${otherUser.username}'s devices or encryption keys changed since you verified them. Compare safety numbers again before sending.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Verify", onPress: () => setShowVerify(true) },
+      ],
+    );
+    return true;
+  };
+
+  const enqueueMessage = useOutboxStore((state) => state.enqueue);
+  const retryQueuedMessage = useOutboxStore((state) => state.sendItem);
+  const discardQueuedMessage = useOutboxStore((state) => state.discard);
+
   const sendMessage = async () => {
     const trimmed = inputText.trim();
     if (!trimmed || !otherUser?._id) return;
@@ -785,18 +1269,6 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
       socket.emit("typing_stop", { receiverId: otherUser._id });
     }
 
-    const addMessage = (msg) => {
-      setMessages((prev) => {
-        const exists = prev.some((m) => m._id === msg._id);
-        if (exists) return prev;
-        return [...prev, msg];
-      });
-      // Keep keyboard open by refocusing input after message is added
-      setTimeout(() => {
-        inputRef.current?.focus();
-      }, 50);
-    };
-
     // STEP 1: Validate sender's own keys
     if (!keysInitialized || !mySecretKey || !myPublicKey) {
       setInputText(messageText);
@@ -850,95 +1322,75 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
       return;
     }
 
-    // STEP 3: Encrypt message with recipient's public key (simple nacl.box)
-    let messagePayload;
-
-    try {
-      const { cipherText, nonce } = encryptMessage(
-        messageText,
-        mySecretKey,
-        recipientKey,
-      );
-
-      messagePayload = {
-        receiverId: otherUser._id,
-        cipherText,
-        nonce,
-        senderPublicKey: myPublicKey,
-        senderId: currentUserId,
-      };
-    } catch (error) {
+    if (isHeldForReverify(recipientKey)) {
       setInputText(messageText);
-      Alert.alert("Error", "Failed to encrypt message: " + error.message);
       return;
     }
 
-    // Play send sound
+    // STEP 3: Queue it; the outbox encrypts, sends and retries it
+    isNearBottomRef.current = true;
+    enqueueMessage(
+      otherUser._id,
+      messageText,
+      replyingTo ? replyReferenceFor(replyingTo) : null,
+    );
+    setReplyingTo(null);
     playSendSound();
+    // Keep keyboard open by refocusing input after message is added
+    setTimeout(() => {
+      inputRef.current?.focus();
+    }, 50);
+  };
 
-    // STEP 4: Send encrypted message via socket (with API fallback for delivery only)
-    if (socket?.emit) {
-      socket.emit("send_message", messagePayload, (err, saved) => {
-        if (!err && saved) {
-          // Decrypt the message for display (we know the plaintext)
-          let displayMessage = saved;
-          if (saved.isEncrypted && saved.encryptedMessage) {
-            displayMessage = {
-              ...saved,
-              text: messageText, // We know the plaintext
-            };
-          }
-          addMessage(displayMessage);
-        } else if (err) {
-          setInputText(messageText);
-          // Only fallback to API for network issues, not for E2EE errors
-          if (
-            err.message &&
-            (err.message.includes("E2EE") ||
-              err.message.includes("PLAINTEXT") ||
-              err.message.includes("Encryption") ||
-              err.message.includes("cannot send"))
-          ) {
-            // Critical E2EE error - do not retry
-            Alert.alert("Error", err.message);
-          } else {
-            // Network error - try API
-            sendViaApi();
-          }
-        }
-      });
-    } else {
-      sendViaApi();
+  const confirmDiscardQueued = (queued) => {
+    const { clientId } = queued;
+    const warning =
+      queued.status === "failed"
+        ? "This message hasn't been sent. Delete it?"
+        : "This message is still sending and may already have been delivered. Stop sending it?";
+    // Alert has no buttons on web
+    if (Platform.OS === "web") {
+      if (globalThis.confirm?.(warning)) discardQueuedMessage(clientId);
+      return;
+    }
+    Alert.alert("Delete Message", warning, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: () => discardQueuedMessage(clientId),
+      },
+    ]);
+  };
+
+  // Set, change or (same emoji again) remove our reaction to `msg`. Shown
+  // right away; saved through the API, then relayed live over the socket.
+  const reactToMessage = async (msg, emoji) => {
+    const myId = String(currentUserId);
+    const previous = msg.reactionEmoji?.[myId] ?? null;
+    const next = previous === emoji ? null : emoji;
+    const recipientKey = otherUserPublicKey;
+    if (!recipientKey) {
+      Alert.alert("Error", "Reactions are encrypted; the recipient's key isn't available yet.");
+      return;
     }
+    if (isHeldForReverify(recipientKey)) return;
 
-    async function sendViaApi() {
-      try {
-        const res = await fetch(`${API_URL}/messages`, {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(messagePayload),
-        });
-        const data = await res.json();
-        if (res.ok && data.message) {
-          let displayMessage = data.message;
-          if (displayMessage.isEncrypted && displayMessage.encryptedMessage) {
-            displayMessage = {
-              ...displayMessage,
-              text: messageText,
-            };
-          }
-          addMessage(displayMessage);
-        } else {
-          setInputText(messageText);
-          Alert.alert("Error", data.message || "Failed to send message");
-        }
-      } catch (error) {
-        setInputText(messageText);
-        Alert.alert("Error", "Network error: " + error.message);
-      }
+    const update = (emojiValue, sealed) =>
+      setMessages((prev) =>
+        prev.map((m) => (m._id === msg._id ? withReaction(m, myId, emojiValue, sealed) : m)),
+      );
+    update(next);
+    try {
+      const sealed = next
+        ? await sealReaction(msg._id, otherUser._id, recipientKey, next)
+        : null;
+      await api.messages.react(msg._id, sealed);
+      socket?.emit?.("message_reaction", { messageId: msg._id, reaction: sealed });
+      update(next, sealed);
+    } catch (error) {
+      update(previous);
+      Alert.alert("Error", error.message || "Couldn't save your reaction");
     }
   };
 
@@ -972,18 +1424,15 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
 
       async function deleteViaApi() {
         try {
-          const res = await fetch(`${API_URL}/messages/${messageId}`, {
-            method: "DELETE",
-            headers: { Authorization: `Bearer ${token}` },
-          });
-          if (!res.ok) throw new Error("Failed to delete");
+          await api.messages.remove(messageId);
           setMessages((prev) => prev.filter((m) => m._id !== messageId));
+          deleteCachedMessage(messageId);
         } catch (e) {
           Alert.alert("Error", "Failed to delete message");
         }
       }
     },
-    [socket, token],
+    [socket],
   );
 
   const handleClearChat = useCallback(async () => {
@@ -999,28 +1448,19 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
           style: "destructive",
           onPress: async () => {
             try {
-              const res = await fetch(
-                `${API_URL}/messages/conversation/${otherUser._id}`,
-                {
-                  method: "DELETE",
-                  headers: { Authorization: `Bearer ${token}` },
-                },
-              );
-              if (res.ok) {
-                setMessages([]);
-                Alert.alert("Success", "Chat cleared successfully");
-              } else {
-                const data = await res.json();
-                Alert.alert("Error", data.message || "Failed to clear chat");
-              }
+              await api.messages.clearConversation(otherUser._id);
+              setMessages([]);
+              clearCachedConversation(otherUser._id);
+              clearKeyChanges(otherUser._id);
+              Alert.alert("Success", "Chat cleared successfully");
             } catch (e) {
-              Alert.alert("Error", "Failed to clear chat");
+              Alert.alert("Error", e.message || "Failed to clear chat");
             }
           },
         },
       ],
     );
-  }, [otherUser?._id, token]);
+  }, [otherUser?._id, token, clearKeyChanges]);
 
   const startRecording = async () => {
     try {
@@ -1164,6 +1604,8 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     }
 
     const addMessage = (msg) => {
+      // Our own message always scrolls into view
+      isNearBottomRef.current = true;
       setMessages((prev) => {
         const exists = prev.some((m) => m._id === msg._id);
         if (exists) return prev;
@@ -1215,6 +1657,12 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
       return;
     }
 
+    if (isHeldForReverify(recipientKey)) return;
+
+    const replyTo = replyingTo ? replyReferenceFor(replyingTo) : null;
+    const addSentMessage = (saved) =>
+      addMessage(replyTo ? { ...saved, quoted: replyTo } : saved);
+
     try {
       setIsSendingVoice(true);
 
@@ -1241,10 +1689,23 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
         },
         isEncrypted: true,
         senderId: currentUserId,
+        // Voice notes are sealed to the account key only; this names the
+        // device whose signing key signed it
+        senderDeviceId: await getDeviceId(),
+        ...(replyTo && {
+          replyTo: sealReplyReference(replyTo, mySecretKey, recipientKey),
+        }),
       };
+      if (mySigningSecretKey) {
+        messagePayload.signature = signOutgoingMessage(
+          messagePayload,
+          mySigningSecretKey,
+        );
+      }
 
       // Play send sound
       playSendSound();
+      setReplyingTo(null);
 
       // Send via socket with API fallback
       if (socket?.emit) {
@@ -1254,7 +1715,7 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
           (err, saved) => {
             if (!err && saved) {
               // Add the message to local state (it will be decrypted when displayed)
-              addMessage(saved);
+              addSentMessage(saved);
             } else if (err) {
               // Only fallback to API for network issues, not for E2EE errors
               if (
@@ -1279,25 +1740,20 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
 
       async function sendViaApi() {
         try {
-          const res = await fetch(`${API_URL}/messages/encrypted-voice`, {
-            method: "POST",
-            headers: {
-              Authorization: `Bearer ${token}`,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify(messagePayload),
-          });
-
-          const data = await res.json();
-          if (res.ok && data.message) {
-            addMessage(data.message);
+          const data = await api.messages.sendEncryptedVoice(messagePayload);
+          if (data?.message) {
+            addSentMessage(data.message);
           } else {
-            // Show error message - especially for blocking-related errors
-            const errorMsg = data.message || "Failed to send voice message";
-            Alert.alert("Error", errorMsg);
+            Alert.alert("Error", "Failed to send voice message");
           }
         } catch (error) {
-          Alert.alert("Error", "Network error: " + error.message);
+          // Show error message - especially for blocking-related errors
+          Alert.alert(
+            "Error",
+            error.isNetworkError
+              ? "Network error: " + error.message
+              : error.message || "Failed to send voice message",
+          );
         }
       }
     } catch (err) {
@@ -1519,32 +1975,20 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
         style: isBlocked ? "default" : "destructive",
         onPress: async () => {
           try {
-            const res = await fetch(`${API_URL}/users/${action}`, {
-              method: "POST",
-              headers: {
-                Authorization: `Bearer ${token}`,
-                "Content-Type": "application/json",
-              },
-              body: JSON.stringify({ userId: otherUser._id }),
-            });
-            if (res.ok) {
-              setIsBlocked(!isBlocked);
-              if (!isBlocked) {
-                // If blocking, clear the chat and close modal
-                setMessages([]);
-                Alert.alert("Success", "User blocked successfully", [
-                  { text: "OK", onPress: onClose },
-                ]);
-              } else {
-                Alert.alert("Success", "User unblocked successfully");
-              }
+            await api.users[action](otherUser._id);
+            setIsBlocked(!isBlocked);
+            if (!isBlocked) {
+              // If blocking, clear the chat and close modal
+              setMessages([]);
+              Alert.alert("Success", "User blocked successfully", [
+                { text: "OK", onPress: onClose },
+              ]);
             } else {
-              const data = await res.json();
-              Alert.alert("Error", data.message || `Failed to ${action} user`);
+              Alert.alert("Success", "User unblocked successfully");
             }
           } catch (e) {
             console.error(`${action} user error:`, e);
-            Alert.alert("Error", `Failed to ${action} user`);
+            Alert.alert("Error", e.message || `Failed to ${action} user`);
           }
         },
       },
@@ -1946,11 +2390,40 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     );
   });
 
+  const startReply = (msg) => {
+    setReplyingTo(msg);
+    inputRef.current?.focus();
+  };
+
+  // Who and what a quote shows; `quoted` is missing when it didn't decrypt
+  const quoteLabel = (quoted) => {
+    if (!quoted) return { author: "Reply", preview: "🔒 Quoted message" };
+    return {
+      author: quoted.senderId === String(currentUserId) ? "You" : otherUser.username,
+      preview: quoted.isVoice ? "🎤 Voice message" : quoted.preview,
+    };
+  };
+
   const renderMessage = ({ item }) => {
+    if (item.type === "key_change") {
+      return (
+        <TouchableOpacity
+          style={styles.systemMessage}
+          onPress={() => setShowVerify(true)}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="key-outline" size={14} color={COLORS.textSecondary} />
+          <Text style={styles.systemMessageText}>
+            {otherUser.username}&apos;s devices or encryption keys changed. Tap to verify.
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
     const isSent =
       (typeof item.sender === "object" ? item.sender._id : item.sender) ===
       currentUserId;
-    const read = !!item.read;
+    const ticks = DELIVERY_TICKS[deliveryStatus(item)];
     const isVoiceMessage =
       !!item.voiceMessage ||
       (!!item.isEncrypted && !!item.encryptedVoiceMessage);
@@ -1965,55 +2438,127 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
       : isEncrypted
         ? "🔒 Encrypted message"
         : "";
+    const queued = item.outbox;
+    const reactionChips = summarizeReactions(item.reactionEmoji, currentUserId);
+    const authenticityIcon =
+      !queued &&
+      AUTHENTICITY_ICONS[
+        getMessageAuthenticity(
+          item,
+          senderSigningKey(isSent ? myEntry : otherUserEntry, item),
+        )
+      ];
 
     return (
-      <TouchableOpacity
-        style={[
-          styles.messageBubble,
-          isSent ? styles.bubbleSent : styles.bubbleReceived,
-        ]}
-        onLongPress={() => {
-          // Only allow deletion of own messages
-          if (isSent) {
-            handleDeleteMessage(item._id);
-          }
-        }}
-        activeOpacity={0.7}
-      >
-        {isVoiceMessage ? (
-          <VoiceMessagePlayer message={item} isSent={isSent} />
-        ) : (
-          <Text
-            style={[styles.messageText, isSent && styles.messageTextSent]}
-            selectable
-          >
-            {messageText}
-          </Text>
-        )}
-        <View
+      <SwipeToReply enabled={!queued} onReply={() => startReply(item)}>
+        <TouchableOpacity
           style={[
-            styles.messageTimeRow,
-            !isSent && styles.messageTimeRowReceived,
+            styles.messageBubble,
+            isSent ? styles.bubbleSent : styles.bubbleReceived,
+            item._id === highlightedId && styles.bubbleHighlighted,
           ]}
+          onPress={queued ? () => retryQueuedMessage(queued.clientId) : undefined}
+          onLongPress={() => {
+            if (queued) {
+              confirmDiscardQueued(queued);
+            } else {
+              setActionsMessageId(item._id);
+            }
+          }}
+          activeOpacity={0.7}
         >
-          <Text style={[styles.messageTime, isSent && styles.messageTimeSent]}>
-            {item.createdAt
-              ? new Date(item.createdAt).toLocaleTimeString([], {
-                  hour: "2-digit",
-                  minute: "2-digit",
-                })
-              : ""}
-          </Text>
-          {isSent && (
-            <Ionicons
-              name={read ? "checkmark-done" : "checkmark"}
-              size={16}
-              color={read ? "#0084FF" : "#777777"}
-              style={styles.tickIcon}
-            />
+          {(item.quoted || item.replyTo) && (
+            <TouchableOpacity
+              style={[styles.quoteBlock, isSent && styles.quoteBlockSent]}
+              onPress={() => jumpToQuoted(item.quoted.messageId)}
+              disabled={!item.quoted}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.quoteAuthor}>{quoteLabel(item.quoted).author}</Text>
+              <Text style={styles.quoteText} numberOfLines={2}>
+                {quoteLabel(item.quoted).preview}
+              </Text>
+            </TouchableOpacity>
           )}
-        </View>
-      </TouchableOpacity>
+          {isVoiceMessage ? (
+            <VoiceMessagePlayer message={item} isSent={isSent} />
+          ) : (
+            <Text
+              style={[styles.messageText, isSent && styles.messageTextSent]}
+              selectable
+            >
+              {messageText}
+            </Text>
+          )}
+          <View
+            style={[
+              styles.messageTimeRow,
+              !isSent && styles.messageTimeRowReceived,
+            ]}
+          >
+            {queued ? (
+              <Text
+                style={[
+                  styles.messageTime,
+                  styles.messageTimeSent,
+                  queued.status === "failed" && styles.queuedFailedText,
+                ]}
+              >
+                {queued.status === "failed" ? "Failed – tap to retry" : "Sending…"}
+              </Text>
+            ) : (
+              <Text style={[styles.messageTime, isSent && styles.messageTimeSent]}>
+                {item.createdAt
+                  ? new Date(item.createdAt).toLocaleTimeString([], {
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })
+                  : ""}
+              </Text>
+            )}
+            {authenticityIcon && (
+              <Ionicons
+                name={authenticityIcon.name}
+                size={12}
+                color={authenticityIcon.color}
+                style={styles.authenticityIcon}
+              />
+            )}
+            {queued ? (
+              <Ionicons
+                name={queued.status === "failed" ? "alert-circle" : "time-outline"}
+                size={14}
+                color={queued.status === "failed" ? "#FF3B30" : "#777777"}
+                style={styles.tickIcon}
+              />
+            ) : isSent && (
+              <Ionicons
+                name={ticks.name}
+                size={16}
+                color={ticks.color}
+                style={styles.tickIcon}
+              />
+            )}
+          </View>
+        </TouchableOpacity>
+        {reactionChips.length > 0 && (
+          <View style={[styles.reactionRow, isSent && styles.reactionRowSent]}>
+            {reactionChips.map((chip) => (
+              <TouchableOpacity
+                key={chip.emoji}
+                style={[styles.reactionChip, chip.mine && styles.reactionChipMine]}
+                onPress={() => reactToMessage(item, chip.emoji)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.reactionChipText}>
+                  {chip.emoji}
+                  {chip.count > 1 ? ` ${chip.count}` : ""}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </SwipeToReply>
     );
   };
 
@@ -2142,6 +2687,18 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
     );
   };
 
+  const actionsMessage = actionsMessageId
+    ? messages.find((msg) => msg._id === actionsMessageId)
+    : null;
+  const replyLabel = replyingTo ? quoteLabel(replyReferenceFor(replyingTo)) : null;
+  const isActionsMessageMine =
+    !!actionsMessage &&
+    String(
+      typeof actionsMessage.sender === "object"
+        ? actionsMessage.sender._id
+        : actionsMessage.sender,
+    ) === String(currentUserId);
+
   if (!otherUser) return null;
 
   // Block chat UI until E2EE keys are ready
@@ -2196,7 +2753,9 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color={COLORS.primary} />
             <Text style={{ marginTop: 16, color: COLORS.textSecondary }}>
-              Initializing end-to-end encryption...
+              {keysWaitingForNetwork
+                ? "Waiting for a connection to set up end-to-end encryption..."
+                : "Initializing end-to-end encryption..."}
             </Text>
           </View>
         </KeyboardAvoidingView>
@@ -2240,10 +2799,7 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
             style={{ flexDirection: "row", alignItems: "center", flex: 1 }}
             onPress={() => {
               onClose();
-              router.push({
-                pathname: "/(tabs)/userProfile",
-                params: { userId: otherUser._id },
-              });
+              router.push(routes.user(otherUser._id));
             }}
             activeOpacity={0.7}
           >
@@ -2271,7 +2827,16 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
               )}
             </View>
             <View style={{ flex: 1, marginLeft: 12 }}>
-              <Text style={styles.headerName}>{otherUser.username}</Text>
+              <View style={styles.headerNameRow}>
+                <Text style={styles.headerName}>{otherUser.username}</Text>
+                {isKeyVerified && (
+                  <Ionicons
+                    name="shield-checkmark"
+                    size={16}
+                    color="#2E7D32"
+                  />
+                )}
+              </View>
               <Text style={styles.lastSeenText}>
                 {formatLastSeen(lastSeen, isOnline)}
               </Text>
@@ -2309,6 +2874,22 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
                   <Text style={styles.menuItemText}>Clear Chat</Text>
                 </TouchableOpacity>
                 <View style={styles.menuDivider} />
+                <TouchableOpacity
+                  style={styles.menuItem}
+                  onPress={() => {
+                    setShowMenu(false);
+                    setShowVerify(true);
+                  }}
+                  activeOpacity={0.6}
+                >
+                  <Ionicons
+                    name="shield-checkmark-outline"
+                    size={22}
+                    color={COLORS.textPrimary}
+                  />
+                  <Text style={styles.menuItemText}>Verify Encryption</Text>
+                </TouchableOpacity>
+                <View style={styles.menuDivider} />
                 <TouchableOpacity
                   style={styles.menuItem}
                   onPress={() => {
@@ -2344,56 +2925,132 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
             <ActivityIndicator size="large" color={COLORS.primary} />
           </View>
         ) : (
-          <FlatList
-            ref={listRef}
-            data={messages}
-            renderItem={renderMessage}
-            keyExtractor={(item) => item._id}
-            contentContainerStyle={[
-              messages.length > 0
-                ? { paddingHorizontal: 16, paddingVertical: 12, flexGrow: 1 }
-                : styles.messagesList,
-              !messages.length && { flexGrow: 1, justifyContent: "center" },
-            ]}
-            style={{ flex: 1 }}
-            onContentSizeChange={scrollToEnd}
-            showsVerticalScrollIndicator={true}
-            inverted={false}
-            onScrollToIndexFailed={(info) => {
-              // Fallback if scrollToIndex fails
-              const wait = new Promise((resolve) => setTimeout(resolve, 500));
-              wait.then(() => {
-                if (listRef.current && messages.length > 0) {
-                  try {
-                    listRef.current.scrollToEnd({ animated: true });
-                  } catch (error) {
-                    console.log("Scroll failed:", error);
-                  }
+          <View style={styles.messageListContainer}>
+            <FlatList
+              ref={listRef}
+              data={listItems}
+              renderItem={renderMessage}
+              keyExtractor={(item) => item._id}
+              contentContainerStyle={[
+                listItems.length > 0
+                  ? { paddingHorizontal: 16, paddingVertical: 12, flexGrow: 1 }
+                  : styles.messagesList,
+                !listItems.length && { flexGrow: 1, justifyContent: "center" },
+              ]}
+              style={{ flex: 1 }}
+              onContentSizeChange={() => isNearBottomRef.current && scrollToEnd()}
+              onScroll={handleListScroll}
+              scrollEventThrottle={100}
+              // Older pages are added above without moving what's on screen
+              maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
+              showsVerticalScrollIndicator={true}
+              inverted={false}
+              onScrollToIndexFailed={(info) => {
+                // A quoted message far up isn't measured yet: get close, then retry
+                if (info.index < listItems.length - 1) {
+                  listRef.current?.scrollToOffset({
+                    offset: info.averageItemLength * info.index,
+                    animated: false,
+                  });
+                  setTimeout(() => {
+                    listRef.current?.scrollToIndex({
+                      index: info.index,
+                      viewPosition: 0.3,
+                      animated: true,
+                    });
+                  }, 100);
+                  return;
                 }
-              });
-            }}
-            ListHeaderComponent={<E2EEStatusHeader />}
-            ListEmptyComponent={
-              <View style={styles.emptyChat}>
-                <Ionicons
-                  name="chatbubble-outline"
-                  size={48}
-                  color={COLORS.textSecondary}
-                />
-                <Text style={styles.emptyText}>No messages yet</Text>
-                <Text style={styles.emptyText}>
-                  Say Hi to {otherUser.username} 🤗 !
-                </Text>
-              </View>
-            }
-            ListFooterComponent={<TypingIndicator />}
-            keyboardShouldPersistTaps="handled"
-            keyboardDismissMode="none"
-            contentInsetAdjustmentBehavior="automatic"
-          />
+                // Fallback if scrollToIndex fails
+                const wait = new Promise((resolve) => setTimeout(resolve, 500));
+                wait.then(() => {
+                  if (listRef.current && messages.length > 0) {
+                    try {
+                      listRef.current.scrollToEnd({ animated: true });
+                    } catch (error) {
+                      console.log("Scroll failed:", error);
+                    }
+                  }
+                });
+              }}
+              ListHeaderComponent={
+                <>
+                  {loadingOlder && (
+                    <ActivityIndicator
+                      style={styles.olderMessagesLoader}
+                      color={COLORS.primary}
+                    />
+                  )}
+                  <E2EEStatusHeader />
+                </>
+              }
+              ListEmptyComponent={
+                <View style={styles.emptyChat}>
+                  <Ionicons
+                    name="chatbubble-outline"
+                    size={48}
+                    color={COLORS.textSecondary}
+                  />
+                  <Text style={styles.emptyText}>No messages yet</Text>
+                  <Text style={styles.emptyText}>
+                    Say Hi to {otherUser.username} 🤗 !
+                  </Text>
+                </View>
+              }
+              ListFooterComponent={<TypingIndicator />}
+              keyboardShouldPersistTaps="handled"
+              keyboardDismissMode="none"
+              contentInsetAdjustmentBehavior="automatic"
+            />
+
+            {showJumpToLatest && (
+              <TouchableOpacity style={styles.jumpToLatest} onPress={jumpToLatest}>
+                <Ionicons name="chevron-down" size={22} color={COLORS.primary} />
+                {newMessageCount > 0 && (
+                  <View style={styles.jumpBadge}>
+                    <Text style={styles.jumpBadgeText}>
+                      {newMessageCount > 99 ? "99+" : newMessageCount}
+                    </Text>
+                  </View>
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
         )}
 
-        {isRecording ? (
+        {replyLabel && !needsReverify && (
+          <View style={styles.replyBar}>
+            <View style={styles.replyBarQuote}>
+              <Text style={styles.quoteAuthor}>Replying to {replyLabel.author}</Text>
+              <Text style={styles.quoteText} numberOfLines={1}>
+                {replyLabel.preview}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={styles.replyBarClose}
+              onPress={() => setReplyingTo(null)}
+            >
+              <Ionicons name="close" size={20} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {needsReverify ? (
+          <View style={styles.reverifyBanner}>
+            <Ionicons name="warning" size={20} color="#FF9800" />
+            <Text style={styles.reverifyText}>
+              {otherUser.username}&apos;s encryption key changed since you
+              verified it. Verify again to keep messaging.
+            </Text>
+            <TouchableOpacity
+              style={styles.reverifyButton}
+              onPress={() => setShowVerify(true)}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.reverifyButtonText}>Verify</Text>
+            </TouchableOpacity>
+          </View>
+        ) : isRecording ? (
           <View style={styles.recordingRow}>
             <TouchableOpacity
               style={styles.cancelRecordingButton}
@@ -2491,6 +3148,42 @@ export default function ChatModal({ visible, otherUser, onClose, socket }) {
           </>
         )}
       </KeyboardAvoidingView>
+
+      {actionsMessage && (
+        <MessageActionsSheet
+          message={actionsMessage}
+          isSent={isActionsMessageMine}
+          myReaction={actionsMessage.reactionEmoji?.[String(currentUserId)]}
+          onReact={(emoji) => reactToMessage(actionsMessage, emoji)}
+          actions={[
+            {
+              label: "Reply",
+              icon: "arrow-undo-outline",
+              onPress: () => startReply(actionsMessage),
+            },
+            ...(isActionsMessageMine
+              ? [
+                  {
+                    label: "Delete",
+                    icon: "trash-outline",
+                    destructive: true,
+                    onPress: () => handleDeleteMessage(actionsMessage._id),
+                  },
+                ]
+              : []),
+          ]}
+          onClose={() => setActionsMessageId(null)}
+        />
+      )}
+
+      <VerifyEncryptionModal
+        visible={showVerify}
+        onClose={() => setShowVerify(false)}
+        otherUser={otherUser}
+        currentUserId={currentUserId}
+        myKeyset={myKeyset}
+        theirKeyset={otherUserKeyset}
+      />
     </Modal>
   );
 }
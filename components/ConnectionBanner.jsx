@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+import { View, Text, TouchableOpacity, ActivityIndicator } from "react-native";
+import { useSocketStore } from "../store/socketStore";
+import COLORS from "../constants/colors";
+import styles from "../assets/styles/connectionBanner.styles";
+
+// Short drops are common on mobile; only show the banner if they linger
+const SHOW_DELAY_MS = 1500;
+
+/**
+ * Global "Reconnecting…" banner driven by the shared socket's state
+ */
+export default function ConnectionBanner() {
+  const connectionState = useSocketStore((state) => state.connectionState);
+  const reconnectAttempt = useSocketStore((state) => state.reconnectAttempt);
+  const reconnectNow = useSocketStore((state) => state.reconnectNow);
+  const [visible, setVisible] = useState(false);
+
+  const isReconnecting = connectionState === "reconnecting";
+
+  useEffect(() => {
+    if (!isReconnecting) {
+      setVisible(false);
+      return;
+    }
+    const timer = setTimeout(() => setVisible(true), SHOW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isReconnecting]);
+
+  if (!visible) return null;
+
+  return (
+    <View style={styles.banner}>
+      <ActivityIndicator size="small" color={COLORS.white} />
+      <Text style={styles.text}>
+        Reconnecting…{reconnectAttempt > 1 ? ` (attempt ${reconnectAttempt})` : ""}
+      </Text>
+      <TouchableOpacity onPress={reconnectNow} style={styles.retryButton}>
+        <Text style={styles.retryText}>Retry</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
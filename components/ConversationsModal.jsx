@@ -10,11 +10,13 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import { Image } from "expo-image";
 import { useAuthStore } from "../store/authStore";
-import { API_URL } from "../constants/api";
+import { api } from "../utils/apiClient";
 import COLORS from "../constants/colors";
 import styles from "../assets/styles/conversationsModal.styles";
 import { formatLastSeen } from "../utils/dateUtils";
 import { decryptMessage } from "../utils/cryptoUtils";
+import { useSessionStore } from "../store/sessionStore";
+import { usesEnvelopes } from "../utils/messageEnvelopes";
 import useKeyStorage from "../hooks/useKeyStorage";
 import { useRecipientPublicKeyStore } from "../store/recipientPublicKeyStore";
 import { useSocket } from "../hooks/useSocket";
@@ -30,38 +32,20 @@ export default function ConversationsModal({ visible, onClose, onStartChat }) {
   const [decryptedMessages, setDecryptedMessages] = useState({});
   const { secretKey } = useKeyStorage();
   const { cache, fetchRecipientPublicKey } = useRecipientPublicKeyStore();
-  const { on, off } = useSocket(token);
-
-  useEffect(() => {
-    if (visible && token) {
-      if (view === "list") fetchConversations();
-      else if (view === "new") fetchFriends();
-    }
-  }, [visible, token, view]);
+  const { on, off } = useSocket();
 
   const fetchOnlineStatus = useCallback(
     async (ids) => {
       const list = (ids || []).filter(Boolean);
       if (!list.length || !token) return;
       try {
-        const [statusRes, lastSeenRes] = await Promise.all([
-          fetch(`${API_URL}/users/online-status?ids=${list.join(",")}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          }),
-          fetch(`${API_URL}/users/last-seen?ids=${list.join(",")}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          }),
+        const [statusData, lastSeenData] = await Promise.all([
+          api.users.onlineStatus(list),
+          api.users.lastSeen(list),
         ]);
 
-        if (statusRes.ok) {
-          const statusData = await statusRes.json();
-          setOnlineMap((prev) => ({ ...prev, ...statusData }));
-        }
-
-        if (lastSeenRes.ok) {
-          const lastSeenData = await lastSeenRes.json();
-          setLastSeenMap((prev) => ({ ...prev, ...lastSeenData }));
-        }
+        setOnlineMap((prev) => ({ ...prev, ...statusData }));
+        setLastSeenMap((prev) => ({ ...prev, ...lastSeenData }));
       } catch (e) {
         /* ignore */
       }
@@ -112,6 +96,15 @@ export default function ConversationsModal({ visible, onClose, onStartChat }) {
           return "🔒 Encrypted message";
         }
 
+        // Per-device envelopes may use single-use session keys; show the
+        // text once the chat has opened it
+        if (usesEnvelopes(lastMessage)) {
+          return (
+            useSessionStore.getState().messageCache[lastMessage.nonce] ??
+            "🔒 Encrypted message"
+          );
+        }
+
         // 2. Identify the other user in this conversation
         // 'conversation' is the User object of the chat partner
         const otherUserId = conversation._id;
@@ -151,43 +144,24 @@ export default function ConversationsModal({ visible, onClose, onStartChat }) {
     [secretKey, cache],
   );
 
-  const fetchConversations = async () => {
+  // The last messages are decrypted by the effect below once these arrive
+  const fetchConversations = useCallback(async () => {
     setLoading(true);
     try {
-      const res = await fetch(`${API_URL}/messages/conversations`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (!res.ok) throw new Error("Failed to fetch");
-      const data = await res.json();
-      const convsData = data.conversations || [];
-      setConversations(convsData);
-
-      // Decrypt last messages
-      if (secretKey && convsData.length > 0) {
-        // Trigger a re-render/re-calc of decrypted messages when keys availability changes
-        // For now, we just map immediately
-        const decrypted = {};
-        convsData.forEach((conv) => {
-          decrypted[conv._id] = decryptLastMessage(conv);
-        });
-        setDecryptedMessages(decrypted);
-      }
+      const data = await api.messages.conversations();
+      setConversations(data.conversations || []);
     } catch (e) {
       console.error("Conversations fetch:", e);
       setConversations([]);
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
-  const fetchFriends = async () => {
+  const fetchFriends = useCallback(async () => {
     setLoading(true);
     try {
-      const res = await fetch(`${API_URL}/friends/list`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (!res.ok) throw new Error("Failed to fetch");
-      const data = await res.json();
+      const data = await api.friends.list();
       setFriends(data.friends || []);
     } catch (e) {
       console.error("Friends fetch:", e);
@@ -195,7 +169,14 @@ export default function ConversationsModal({ visible, onClose, onStartChat }) {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    if (visible && token) {
+      if (view === "list") fetchConversations();
+      else if (view === "new") fetchFriends();
+    }
+  }, [visible, token, view, fetchConversations, fetchFriends]);
 
   // Re-run decryption when cache updates (keys arrive)
   useEffect(() => {
@@ -205,6 +186,20 @@ export default function ConversationsModal({ visible, onClose, onStartChat }) {
         decrypted[conv._id] = decryptLastMessage(conv);
       });
       setDecryptedMessages(decrypted);
+
+      // Texts opened in earlier launches are in the message database
+      let cancelled = false;
+      conversations.forEach(async (conv) => {
+        const { lastMessage } = conv;
+        if (!usesEnvelopes(lastMessage) || !lastMessage.nonce) return;
+        const text = await useSessionStore.getState().getCachedMessage(lastMessage.nonce);
+        if (!cancelled && text !== undefined) {
+          setDecryptedMessages((prev) => ({ ...prev, [conv._id]: text }));
+        }
+      });
+      return () => {
+        cancelled = true;
+      };
     }
   }, [cache, conversations, secretKey, decryptLastMessage]);
 
@@ -239,7 +234,11 @@ export default function ConversationsModal({ visible, onClose, onStartChat }) {
         let decryptedText = message.text;
         const isEncrypted = message.isEncrypted && message.encryptedMessage && message.nonce;
 
-        if (isEncrypted && secretKey) {
+        if (isEncrypted && usesEnvelopes(message)) {
+          decryptedText =
+            useSessionStore.getState().messageCache[message.nonce] ??
+            "🔒 Encrypted message";
+        } else if (isEncrypted && secretKey) {
           // If NEW message comes via socket...
           // If from them: try using the key on the message
           // If from me: try using cached key
@@ -11,9 +11,10 @@ import { useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { Image } from "expo-image";
 import { useAuthStore } from "../store/authStore";
-import { API_URL } from "../constants/api";
+import { api } from "../utils/apiClient";
 import COLORS from "../constants/colors";
 import styles from "../assets/styles/friendsListModal.styles";
+import { routes } from "../utils/deepLinks";
 
 export default function FriendsListModal({ visible, onClose, userId }) {
   const { token, user: currentUser } = useAuthStore();
@@ -38,31 +39,16 @@ export default function FriendsListModal({ visible, onClose, userId }) {
         return;
       }
       // If viewing another user's profile, get their friends; otherwise current user's list
-      const endpoint =
-        userId && userId !== currentUser?._id
-          ? `${API_URL}/friends/list/${userId}`
-          : `${API_URL}/friends/list`;
-
-      const response = await fetch(endpoint, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (!response.ok) {
-        const errorBody = await response.text();
-        let message = "Failed to fetch friends";
-        try {
-          const parsed = JSON.parse(errorBody);
-          if (parsed?.message) message = parsed.message;
-        } catch (_) {}
-        console.warn(`Friends fetch failed (${response.status}):`, errorBody || message);
-        setFriends([]);
-        return;
-      }
-
-      const data = await response.json();
-      setFriends(data.friends || []);
+      const data = await api.friends.list(
+        userId && userId !== currentUser?._id ? userId : undefined,
+      );
+      setFriends(data?.friends || []);
     } catch (error) {
-      console.error("Error fetching friends:", error?.message || error);
+      if (error.status) {
+        console.warn(`Friends fetch failed (${error.status}):`, error.message);
+      } else {
+        console.error("Error fetching friends:", error?.message || error);
+      }
       setFriends([]);
     } finally {
       setLoading(false);
@@ -71,10 +57,7 @@ export default function FriendsListModal({ visible, onClose, userId }) {
 
   const handleFriendPress = (friendId) => {
     onClose();
-    router.push({
-      pathname: "/(tabs)/userProfile",
-      params: { userId: friendId },
-    });
+    router.push(routes.user(friendId));
   };
 
   const renderFriendItem = ({ item }) => (
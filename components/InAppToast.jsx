@@ -0,0 +1,68 @@
+import { useEffect, useRef } from "react";
+import { Animated, Text, TouchableOpacity, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { TOAST_DURATION_MS, useToastStore } from "../store/toastStore";
+import COLORS from "../constants/colors";
+import styles from "../assets/styles/inAppToast.styles";
+
+/**
+ * Renders the toast at the front of the queue, sliding in from the top
+ */
+export default function InAppToast() {
+  const toast = useToastStore((state) => state.toasts[0]);
+  const toastId = toast?.id;
+  const hideToast = useToastStore((state) => state.hideToast);
+  const translateY = useRef(new Animated.Value(-120)).current;
+
+  useEffect(() => {
+    if (!toastId) return;
+
+    translateY.setValue(-120);
+    Animated.spring(translateY, { toValue: 0, useNativeDriver: true }).start();
+
+    const timer = setTimeout(() => {
+      Animated.timing(translateY, {
+        toValue: -120,
+        duration: 200,
+        useNativeDriver: true,
+      }).start(() => hideToast(toastId));
+    }, TOAST_DURATION_MS);
+
+    return () => clearTimeout(timer);
+  }, [toastId, translateY, hideToast]);
+
+  if (!toast) return null;
+
+  const handlePress = () => {
+    hideToast(toast.id);
+    toast.onPress?.();
+  };
+
+  return (
+    <Animated.View
+      style={[styles.wrapper, { transform: [{ translateY }] }]}
+      pointerEvents="box-none"
+    >
+      <TouchableOpacity style={styles.toast} activeOpacity={0.9} onPress={handlePress}>
+        <View style={styles.iconContainer}>
+          <Ionicons name={toast.icon || "notifications"} size={20} color={COLORS.primary} />
+        </View>
+        <View style={styles.content}>
+          {!!toast.title && (
+            <Text style={styles.title} numberOfLines={1}>
+              {toast.title}
+            </Text>
+          )}
+          {!!toast.message && (
+            <Text style={styles.message} numberOfLines={2}>
+              {toast.message}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity onPress={() => hideToast(toast.id)} style={styles.closeButton}>
+          <Ionicons name="close" size={18} color={COLORS.textSecondary} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+}
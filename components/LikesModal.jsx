@@ -10,14 +10,13 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import { Image } from "expo-image";
 import { useRouter } from "expo-router";
-import { useAuthStore } from "../store/authStore";
-import { API_URL } from "../constants/api";
+import { api } from "../utils/apiClient";
 import COLORS from "../constants/colors";
 import { formatPublishDate } from "../utils/dateUtils";
 import styles from "../assets/styles/likesModal.styles";
+import { routes } from "../utils/deepLinks";
 
 export default function LikesModal({ visible, onClose, bookId }) {
-  const { token } = useAuthStore();
   const router = useRouter();
   const [likes, setLikes] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -31,13 +30,7 @@ export default function LikesModal({ visible, onClose, bookId }) {
   const fetchLikes = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${API_URL}/likes/${bookId}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (!response.ok) throw new Error("Failed to fetch likes");
-
-      const data = await response.json();
+      const data = await api.likes.list(bookId);
       setLikes(data.likes || []);
     } catch (error) {
       console.error("Error fetching likes:", error);
@@ -49,10 +42,7 @@ export default function LikesModal({ visible, onClose, bookId }) {
   const handleUserProfilePress = (userId) => {
     if (userId) {
       onClose(); // Close the modal first
-      router.push({
-        pathname: "/(tabs)/userProfile",
-        params: { userId },
-      });
+      router.push(routes.user(userId));
     }
   };
 
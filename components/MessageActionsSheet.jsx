@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { Modal, View, Text, TouchableOpacity, Pressable, ScrollView } from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import styles from "../assets/styles/messageActions.styles";
+import COLORS from "../constants/colors";
+import { formatMessageTimestamp } from "../utils/dateUtils";
+import { QUICK_REACTIONS, EMOJI_CATEGORIES } from "../constants/emoji";
+
+/**
+ * Long-press menu for a chat message: a reaction bar (with the full emoji
+ * picker behind "+"), message info (when our own message was sent,
+ * delivered to their device and read) and the actions for it
+ * actions: [{ label, icon, onPress, destructive? }]
+ * onReact(emoji): omit to hide the reaction bar; myReaction is highlighted
+ */
+export default function MessageActionsSheet({
+  message,
+  isSent,
+  actions = [],
+  myReaction,
+  onReact,
+  onClose,
+}) {
+  const insets = useSafeAreaInsets();
+  const [showPicker, setShowPicker] = useState(false);
+  if (!message) return null;
+
+  const react = (emoji) => {
+    onClose();
+    onReact(emoji);
+  };
+
+  const renderEmoji = (emoji) => (
+    <TouchableOpacity
+      key={emoji}
+      style={[styles.emojiButton, emoji === myReaction && styles.emojiSelected]}
+      onPress={() => react(emoji)}
+    >
+      <Text style={styles.emoji}>{emoji}</Text>
+    </TouchableOpacity>
+  );
+
+  const info = [
+    { label: "Sent", icon: "checkmark", value: formatMessageTimestamp(message.createdAt) },
+  ];
+  if (isSent) {
+    info.push(
+      {
+        label: "Delivered",
+        icon: "checkmark-done",
+        value: message.deliveredAt ? formatMessageTimestamp(message.deliveredAt) : "—",
+      },
+      {
+        label: "Read",
+        icon: "eye-outline",
+        value: message.readAt
+          ? formatMessageTimestamp(message.readAt)
+          : message.read
+            ? "Yes"
+            : "—",
+      },
+    );
+  }
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.backdrop} onPress={onClose}>
+        {/* Taps inside the sheet don't close it */}
+        <Pressable style={[styles.sheet, { paddingBottom: insets.bottom + 12 }]}>
+          <View style={styles.handle} />
+          {showPicker ? (
+            <ScrollView style={styles.picker}>
+              {EMOJI_CATEGORIES.map((category) => (
+                <View key={category.title}>
+                  <Text style={styles.pickerTitle}>{category.title}</Text>
+                  <View style={styles.pickerGrid}>{category.emoji.map(renderEmoji)}</View>
+                </View>
+              ))}
+            </ScrollView>
+          ) : (
+            <>
+              {onReact && (
+                <View style={styles.reactionBar}>
+                  {QUICK_REACTIONS.map(renderEmoji)}
+                  <TouchableOpacity
+                    style={styles.emojiButton}
+                    onPress={() => setShowPicker(true)}
+                  >
+                    <Ionicons name="add" size={24} color={COLORS.textSecondary} />
+                  </TouchableOpacity>
+                </View>
+              )}
+              {typeof message.text === "string" && message.text.length > 0 && (
+                <Text style={styles.preview} numberOfLines={3}>
+                  {message.text}
+                </Text>
+              )}
+
+              {info.map((row) => (
+                <View key={row.label} style={styles.infoRow}>
+                  <Ionicons name={row.icon} size={18} color={COLORS.textSecondary} />
+                  <Text style={styles.infoLabel}>{row.label}</Text>
+                  <Text style={styles.infoValue}>{row.value}</Text>
+                </View>
+              ))}
+
+              {actions.map((action) => (
+                <TouchableOpacity
+                  key={action.label}
+                  style={styles.actionRow}
+                  onPress={() => {
+                    onClose();
+                    action.onPress();
+                  }}
+                >
+                  <Ionicons
+                    name={action.icon}
+                    size={20}
+                    color={action.destructive ? "#e74c3c" : COLORS.textDark}
+                  />
+                  <Text
+                    style={[styles.actionText, action.destructive && styles.destructiveText]}
+                  >
+                    {action.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </>
+          )}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useEffect } from "react";
 import {
   Modal,
   View,
@@ -10,166 +10,59 @@ import {
 import { useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { Image } from "expo-image";
-import { useAuthStore } from "../store/authStore";
-import { API_URL } from "../constants/api";
+import { useNotificationStore } from "../store/notificationStore";
 import COLORS from "../constants/colors";
 import { formatPublishDate } from "../utils/dateUtils";
 import styles from "../assets/styles/notificationModal.styles";
+import { routes } from "../utils/deepLinks";
 
-export default function NotificationModal({ visible, onClose, onNotificationClick, onModalOpen }) {
-  const { token, user } = useAuthStore();
+export default function NotificationModal({ visible, onClose }) {
   const router = useRouter();
-  const [notifications, setNotifications] = useState([]);
-  const [loading, setLoading] = useState(false);
-
+  const {
+    notifications,
+    unreadCount,
+    isLoading,
+    isLoadingMore,
+    fetchNotifications,
+    fetchMoreNotifications,
+    markRead,
+    markAllRead,
+    setInboxOpen,
+  } = useNotificationStore();
+
+  // Live notifications go straight into the list while it's open
   useEffect(() => {
-    if (visible) {
-      fetchNotifications();
-      // Call onModalOpen when modal opens to mark all as visited
-      if (onModalOpen) {
-        onModalOpen();
-      }
-    }
-  }, [visible]);
-
-  const fetchNotifications = async () => {
-    setLoading(true);
-    try {
-      // Fetch user's posts
-      const booksResponse = await fetch(`${API_URL}/books/user`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (!booksResponse.ok) throw new Error("Failed to fetch user posts");
-
-      const booksData = await booksResponse.json();
-      const userBooks = booksData.books || [];
-
-      // Fetch notifications for each book
-      const allNotifications = [];
-
-      for (const book of userBooks) {
-        // Fetch likes for this book
-        try {
-          const likesResponse = await fetch(`${API_URL}/likes/${book._id}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
+    setInboxOpen(visible);
+    return () => setInboxOpen(false);
+  }, [visible, setInboxOpen]);
 
-          if (likesResponse.ok) {
-            const likesData = await likesResponse.json();
-            const likes = likesData.likes || [];
-
-            // Add like notifications (exclude own likes)
-            likes.forEach((like) => {
-              if (like.user?._id !== user?._id) {
-                allNotifications.push({
-                  _id: `like_${like._id}`,
-                  type: "like",
-                  user: like.user,
-                  book: {
-                    _id: book._id,
-                    title: book.title,
-                    image: book.image,
-                  },
-                  createdAt: like.createdAt,
-                });
-              }
-            });
-          }
-        } catch (error) {
-          console.error("Error fetching likes:", error);
-        }
-
-        // Fetch comments for this book
-        try {
-          const commentsResponse = await fetch(`${API_URL}/comments/${book._id}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
-
-          if (commentsResponse.ok) {
-            const commentsData = await commentsResponse.json();
-            const comments = commentsData.comments || [];
-
-            // Add comment notifications (exclude own comments and replies)
-            comments.forEach((comment) => {
-              if (comment.user?._id !== user?._id && !comment.parentComment) {
-                allNotifications.push({
-                  _id: `comment_${comment._id}`,
-                  type: "comment",
-                  user: comment.user,
-                  book: {
-                    _id: book._id,
-                    title: book.title,
-                    image: book.image,
-                  },
-                  commentText: comment.text,
-                  createdAt: comment.createdAt,
-                });
-              }
-            });
-          }
-        } catch (error) {
-          console.error("Error fetching comments:", error);
-        }
-      }
-
-      // Fetch friend request notifications
-      try {
-        const friendRequestsResponse = await fetch(`${API_URL}/friends/requests/received`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-
-        if (friendRequestsResponse.ok) {
-          const friendRequestsData = await friendRequestsResponse.json();
-          const friendRequests = friendRequestsData.requests || friendRequestsData || [];
-
-          friendRequests.forEach((request) => {
-            if (request.sender && request.sender._id !== user?._id) {
-              allNotifications.push({
-                _id: `friend_request_${request._id}`,
-                type: "friend_request",
-                user: request.sender,
-                createdAt: request.createdAt || request.sentAt,
-              });
-            }
-          });
-        }
-      } catch (error) {
-        console.error("Error fetching friend requests:", error);
-      }
-
-      // Sort notifications by date (newest first)
-      allNotifications.sort(
-        (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-      );
-
-      setNotifications(allNotifications);
-    } catch (error) {
-      console.error("Error fetching notifications:", error);
-    } finally {
-      setLoading(false);
-    }
-  };
+  useEffect(() => {
+    if (visible) fetchNotifications();
+  }, [visible, fetchNotifications]);
 
   const renderNotificationItem = ({ item }) => {
     const handlePress = () => {
-      if (item.type === "friend_request") {
+      if (!item.read) markRead([item._id]);
+
+      if (item.type === "friend_request" || item.type === "friend_accept") {
         // Navigate to user profile for friend requests
         if (item.user?._id) {
           onClose();
-          router.push({
-            pathname: "/(tabs)/userProfile",
-            params: { userId: item.user._id },
-          });
+          router.push(routes.user(item.user._id));
         }
-      } else if (onNotificationClick && item.book?._id) {
-        onNotificationClick(item.book._id, item._id);
+      } else if (item.book?._id) {
+        onClose();
+        router.push(
+          item.type === "comment"
+            ? routes.postComments(item.book._id)
+            : routes.post(item.book._id),
+        );
       }
     };
 
     return (
-      <TouchableOpacity 
-        style={styles.notificationItem} 
+      <TouchableOpacity
+        style={[styles.notificationItem, !item.read && styles.notificationItemUnread]}
         activeOpacity={0.7}
         onPress={handlePress}
       >
@@ -187,6 +80,8 @@ export default function NotificationModal({ visible, onClose, onNotificationClic
                 <Text> liked your post</Text>
               ) : item.type === "friend_request" ? (
                 <Text> wants to be your friend</Text>
+              ) : item.type === "friend_accept" ? (
+                <Text> accepted your friend request</Text>
               ) : (
                 <Text> commented: "{item.commentText?.substring(0, 50)}
                   {item.commentText?.length > 50 ? "..." : ""}"</Text>
@@ -202,6 +97,8 @@ export default function NotificationModal({ visible, onClose, onNotificationClic
             <Ionicons name="heart" size={20} color="#e74c3c" />
           ) : item.type === "friend_request" ? (
             <Ionicons name="person-add" size={20} color={COLORS.primary} />
+          ) : item.type === "friend_accept" ? (
+            <Ionicons name="people" size={20} color={COLORS.primary} />
           ) : (
             <Ionicons name="chatbubble" size={20} color={COLORS.primary} />
           )}
@@ -212,6 +109,7 @@ export default function NotificationModal({ visible, onClose, onNotificationClic
             style={styles.notificationPostImage}
           />
         )}
+        {!item.read && <View style={styles.unreadDot} />}
       </TouchableOpacity>
     );
   };
@@ -226,12 +124,28 @@ export default function NotificationModal({ visible, onClose, onNotificationClic
       <View style={styles.container}>
         <View style={styles.header}>
           <Text style={styles.headerTitle}>Notifications</Text>
-          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
-            <Ionicons name="close" size={24} color={COLORS.textPrimary} />
-          </TouchableOpacity>
+          <View style={styles.headerActions}>
+            {unreadCount > 0 && (
+              <TouchableOpacity onPress={markAllRead} style={styles.markAllButton}>
+                <Text style={styles.markAllText}>Mark all read</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              onPress={() => {
+                onClose();
+                router.push("/notificationSettings");
+              }}
+              style={styles.settingsButton}
+            >
+              <Ionicons name="settings-outline" size={22} color={COLORS.textPrimary} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Ionicons name="close" size={24} color={COLORS.textPrimary} />
+            </TouchableOpacity>
+          </View>
         </View>
 
-        {loading ? (
+        {isLoading && notifications.length === 0 ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color={COLORS.primary} />
           </View>
@@ -241,6 +155,15 @@ export default function NotificationModal({ visible, onClose, onNotificationClic
             renderItem={renderNotificationItem}
             keyExtractor={(item) => item._id}
             contentContainerStyle={styles.notificationsList}
+            onEndReached={fetchMoreNotifications}
+            onEndReachedThreshold={0.3}
+            refreshing={isLoading}
+            onRefresh={() => fetchNotifications({ force: true })}
+            ListFooterComponent={
+              isLoadingMore ? (
+                <ActivityIndicator style={{ marginVertical: 16 }} color={COLORS.primary} />
+              ) : null
+            }
             ListEmptyComponent={
               <View style={styles.emptyContainer}>
                 <Ionicons name="notifications-outline" size={48} color={COLORS.textSecondary} />
@@ -5,11 +5,16 @@ import { Image } from "expo-image";
 import { Ionicons } from "@expo/vector-icons";
 import styles from "../assets/styles/profile.styles";
 import { formatMemberSince } from "../utils/dateUtils";
-import { API_URL } from "../constants/api";
+import { api } from "../utils/apiClient";
 import COLORS from "../constants/colors";
 
-export default function ProfileHeader({ onFriendCountPress, onMessagePress, unreadCount = 0 }) {
-  const { user, token } = useAuthStore();
+export default function ProfileHeader({
+  onFriendCountPress,
+  onMessagePress,
+  onSecurityPress,
+  unreadCount = 0,
+}) {
+  const { user } = useAuthStore();
   const [friendCount, setFriendCount] = useState(0);
 
   useEffect(() => {
@@ -20,14 +25,8 @@ export default function ProfileHeader({ onFriendCountPress, onMessagePress, unre
 
   const fetchFriendCount = async () => {
     try {
-      const response = await fetch(`${API_URL}/friends/count/${user._id}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setFriendCount(data.count || 0);
-      }
+      const data = await api.friends.count(user._id);
+      setFriendCount(data?.count || 0);
     } catch (error) {
       console.error("Error fetching friend count:", error);
     }
@@ -71,6 +70,15 @@ export default function ProfileHeader({ onFriendCountPress, onMessagePress, unre
               </View>
             )}
           </TouchableOpacity>
+          {onSecurityPress && (
+            <TouchableOpacity
+              style={styles.msgButton}
+              onPress={onSecurityPress}
+              activeOpacity={0.7}
+            >
+              <Ionicons name="shield-checkmark-outline" size={24} color={COLORS.primary} />
+            </TouchableOpacity>
+          )}
         </View>
       )}
     </View>
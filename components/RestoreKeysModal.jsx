@@ -0,0 +1,122 @@
+import { useState } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useKeyStore } from "../store/keyStore";
+import { WrongPassphraseError } from "../utils/keyBackup";
+import COLORS from "../constants/colors";
+import styles from "../assets/styles/vaultPassphrase.styles";
+
+const START_FRESH_WARNING =
+  "A new key will be created. Messages encrypted to your old key can't be read on this device.";
+
+/**
+ * Shown after login when this device has no keys but the account has a
+ * key backup. Runs before a new keypair would be generated.
+ */
+export default function RestoreKeysModal() {
+  const pendingBackup = useKeyStore((state) => state.pendingBackup);
+  const restoreFromBackup = useKeyStore((state) => state.restoreFromBackup);
+  const skipRestore = useKeyStore((state) => state.skipRestore);
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  if (!pendingBackup) return null;
+
+  const handleRestore = async () => {
+    setError(null);
+    setIsBusy(true);
+    try {
+      await restoreFromBackup(passphrase);
+      setPassphrase("");
+    } catch (err) {
+      setError(
+        err instanceof WrongPassphraseError
+          ? "That passphrase doesn't match your backup"
+          : err.message || "Restore failed",
+      );
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const startFresh = async () => {
+    setIsBusy(true);
+    try {
+      await skipRestore();
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const confirmStartFresh = () => {
+    // Alert has no buttons on web
+    if (Platform.OS === "web") {
+      if (globalThis.confirm?.(START_FRESH_WARNING)) startFresh();
+      return;
+    }
+    Alert.alert("Start without your backup?", START_FRESH_WARNING, [
+      { text: "Cancel", style: "cancel" },
+      { text: "Start fresh", style: "destructive", onPress: startFresh },
+    ]);
+  };
+
+  return (
+    <Modal visible transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.card}>
+          <Ionicons name="key" size={40} color={COLORS.primary} style={styles.icon} />
+          <Text style={styles.title}>Restore your messages</Text>
+          <Text style={styles.description}>
+            Your account has an encrypted key backup. Enter its passphrase to read
+            your existing conversations on this device.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Backup passphrase"
+            placeholderTextColor={COLORS.placeholderText}
+            value={passphrase}
+            onChangeText={setPassphrase}
+            secureTextEntry
+            autoFocus
+            editable={!isBusy}
+          />
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <TouchableOpacity
+            style={[styles.primaryButton, (!passphrase || isBusy) && styles.disabled]}
+            onPress={handleRestore}
+            disabled={!passphrase || isBusy}
+          >
+            {isBusy ? (
+              <ActivityIndicator color={COLORS.white} />
+            ) : (
+              <Text style={styles.primaryButtonText}>Restore</Text>
+            )}
+          </TouchableOpacity>
+          {isBusy && (
+            <Text style={styles.busyText}>Unlocking can take a few seconds…</Text>
+          )}
+
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={confirmStartFresh}
+            disabled={isBusy}
+          >
+            <Text style={styles.linkText}>Start fresh instead</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
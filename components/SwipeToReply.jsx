@@ -0,0 +1,58 @@
+import { useMemo, useRef } from "react";
+import { Animated, PanResponder, View } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import COLORS from "../constants/colors";
+import styles from "../assets/styles/swipeToReply.styles";
+
+// How far a message has to be dragged to reply, and how far it can go
+const REPLY_DISTANCE = 64;
+const MAX_DISTANCE = 96;
+
+/**
+ * Drag a message to the right to reply to it. Vertical scrolling and
+ * presses pass through; only a mostly horizontal drag is taken.
+ */
+export default function SwipeToReply({ onReply, enabled = true, children }) {
+  const translateX = useRef(new Animated.Value(0)).current;
+  // The responder is created once; read the latest callback through this
+  const onReplyRef = useRef(onReply);
+  onReplyRef.current = onReply;
+
+  const responder = useMemo(() => {
+    const settle = () =>
+      Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+    return PanResponder.create({
+      onMoveShouldSetPanResponder: (_, gesture) =>
+        gesture.dx > 12 && Math.abs(gesture.dx) > Math.abs(gesture.dy) * 2,
+      onPanResponderMove: (_, gesture) =>
+        translateX.setValue(Math.min(Math.max(gesture.dx, 0), MAX_DISTANCE)),
+      onPanResponderRelease: (_, gesture) => {
+        if (gesture.dx >= REPLY_DISTANCE) onReplyRef.current?.();
+        settle();
+      },
+      onPanResponderTerminate: settle,
+    });
+  }, [translateX]);
+
+  if (!enabled) return children;
+
+  const iconOpacity = translateX.interpolate({
+    inputRange: [0, REPLY_DISTANCE],
+    outputRange: [0, 1],
+    extrapolate: "clamp",
+  });
+
+  return (
+    <View>
+      <Animated.View style={[styles.replyIcon, { opacity: iconOpacity }]}>
+        <Ionicons name="arrow-undo" size={20} color={COLORS.primary} />
+      </Animated.View>
+      <Animated.View
+        style={{ transform: [{ translateX }] }}
+        {...responder.panHandlers}
+      >
+        {children}
+      </Animated.View>
+    </View>
+  );
+}
@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useAuthStore } from "../store/authStore";
+import { useKeyStore } from "../store/keyStore";
+import {
+  createVault,
+  getVaultStatus,
+  resetVault,
+  subscribeVaultStatus,
+  unlockVault,
+  MIN_PASSPHRASE_LENGTH,
+} from "../utils/secureStorage";
+import COLORS from "../constants/colors";
+import styles from "../assets/styles/vaultPassphrase.styles";
+
+/**
+ * Web only: asks for the passphrase that encrypts secrets at rest.
+ * Unlock when a vault exists, or offer to create one after sign-in.
+ */
+export default function VaultPassphraseModal() {
+  const [status, setStatus] = useState(getVaultStatus);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [dismissed, setDismissed] = useState(false);
+  const token = useAuthStore((state) => state.token);
+  const checkAuth = useAuthStore((state) => state.checkAuth);
+  const keysReady = useKeyStore((state) => state.isInitialized);
+
+  useEffect(() => subscribeVaultStatus(setStatus), []);
+
+  const isUnlock = status === "locked";
+  const isCreate = status === "none" && !!token && keysReady && !dismissed;
+  if (!isUnlock && !isCreate) return null;
+
+  const reset = () => {
+    setPassphrase("");
+    setConfirmation("");
+    setError(null);
+  };
+
+  const handleSubmit = async () => {
+    setError(null);
+    if (isCreate && passphrase !== confirmation) {
+      setError("Passphrases don't match");
+      return;
+    }
+    setIsBusy(true);
+    try {
+      if (isUnlock) {
+        await unlockVault(passphrase);
+        // The session token was unreadable until now
+        await checkAuth();
+      } else {
+        await createVault(passphrase);
+      }
+      reset();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleForgot = async () => {
+    const confirmed = globalThis.confirm?.(
+      "Without the passphrase your encryption keys can't be recovered. " +
+        "Reset and sign in again? Old messages on this browser will be unreadable.",
+    );
+    if (!confirmed) return;
+    await resetVault();
+    reset();
+    await checkAuth();
+  };
+
+  const canSubmit =
+    passphrase.length >= (isCreate ? MIN_PASSPHRASE_LENGTH : 1) && !isBusy;
+
+  return (
+    <Modal visible transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.card}>
+          <Ionicons
+            name={isUnlock ? "lock-closed" : "shield-checkmark"}
+            size={40}
+            color={COLORS.primary}
+            style={styles.icon}
+          />
+          <Text style={styles.title}>
+            {isUnlock ? "Unlock your keys" : "Protect your encryption keys"}
+          </Text>
+          <Text style={styles.description}>
+            {isUnlock
+              ? "Enter the passphrase you chose for this browser."
+              : "Browsers have no secure keystore. Choose a passphrase to encrypt " +
+                "your keys on this device. Without one they are lost when you close the tab."}
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Passphrase"
+            placeholderTextColor={COLORS.placeholderText}
+            value={passphrase}
+            onChangeText={setPassphrase}
+            secureTextEntry
+            autoFocus
+            onSubmitEditing={isUnlock && canSubmit ? handleSubmit : undefined}
+          />
+          {isCreate && (
+            <TextInput
+              style={styles.input}
+              placeholder="Confirm passphrase"
+              placeholderTextColor={COLORS.placeholderText}
+              value={confirmation}
+              onChangeText={setConfirmation}
+              secureTextEntry
+            />
+          )}
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <TouchableOpacity
+            style={[styles.primaryButton, !canSubmit && styles.disabled]}
+            onPress={handleSubmit}
+            disabled={!canSubmit}
+          >
+            {isBusy ? (
+              <ActivityIndicator color={COLORS.white} />
+            ) : (
+              <Text style={styles.primaryButtonText}>
+                {isUnlock ? "Unlock" : "Save passphrase"}
+              </Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={isUnlock ? handleForgot : () => setDismissed(true)}
+          >
+            <Text style={styles.linkText}>
+              {isUnlock ? "Forgot passphrase?" : "Not now"}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
@@ -0,0 +1,161 @@
+import { useEffect, useMemo } from "react";
+import { Modal, View, Text, TouchableOpacity, ScrollView } from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import QRCode from "react-native-qrcode-svg";
+import styles from "../assets/styles/verifyEncryption.styles";
+import COLORS from "../constants/colors";
+import {
+  useVerificationStore,
+  getVerificationStatus,
+} from "../store/verificationStore";
+import {
+  computeSafetyNumber,
+  createVerificationPayload,
+} from "../utils/fingerprint";
+import { formatPublishDate } from "../utils/dateUtils";
+
+const STATUS_DISPLAY = {
+  verified: {
+    icon: "shield-checkmark",
+    color: "#2E7D32",
+    text: "You've verified this contact's key",
+  },
+  unverified: {
+    icon: "shield-outline",
+    color: COLORS.textSecondary,
+    text: "Not verified yet",
+  },
+  changed: {
+    icon: "warning",
+    color: "#FF9800",
+    text: "Their keys or devices changed since you verified them. Compare the numbers again.",
+  },
+};
+
+/**
+ * Safety number for a chat: both people should see the same digits and QR
+ * code. If they match in person or on a call, nobody swapped the keys.
+ */
+export default function VerifyEncryptionModal({
+  visible,
+  onClose,
+  otherUser,
+  currentUserId,
+  myKeyset,
+  theirKeyset,
+}) {
+  const insets = useSafeAreaInsets();
+  const verifications = useVerificationStore((state) => state.verifications);
+  const loadVerifications = useVerificationStore(
+    (state) => state.loadVerifications,
+  );
+  const markVerified = useVerificationStore((state) => state.markVerified);
+  const clearVerification = useVerificationStore(
+    (state) => state.clearVerification,
+  );
+
+  useEffect(() => {
+    if (visible) loadVerifications();
+  }, [visible, loadVerifications]);
+
+  const hasKeys = Boolean(myKeyset && theirKeyset && currentUserId);
+  const otherUserId = otherUser?._id;
+  const { me, them } = useMemo(
+    () => ({
+      me: { userId: currentUserId, publicKey: myKeyset },
+      them: { userId: otherUserId, publicKey: theirKeyset },
+    }),
+    [currentUserId, myKeyset, otherUserId, theirKeyset],
+  );
+
+  const safetyNumber = useMemo(
+    () => (visible && hasKeys ? computeSafetyNumber(me, them) : null),
+    [visible, hasKeys, me, them],
+  );
+
+  const status = getVerificationStatus(
+    verifications,
+    otherUser?._id,
+    theirKeyset,
+  );
+  const display = STATUS_DISPLAY[status];
+  const verifiedAt = verifications[otherUser?._id]?.verifiedAt;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="fullScreen"
+      onRequestClose={onClose}
+    >
+      <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+        <View style={[styles.header, { paddingTop: insets.top + 12 }]}>
+          <TouchableOpacity style={styles.backButton} onPress={onClose}>
+            <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Verify encryption</Text>
+        </View>
+
+        {!hasKeys ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="lock-open-outline" size={48} color={COLORS.textSecondary} />
+            <Text style={styles.description}>
+              {otherUser?.username} hasn&apos;t set up encryption yet, so there&apos;s
+              nothing to verify.
+            </Text>
+          </View>
+        ) : (
+          <ScrollView contentContainerStyle={styles.content}>
+            <View style={styles.qrContainer}>
+              <QRCode
+                value={createVerificationPayload(me, them)}
+                size={200}
+                backgroundColor={COLORS.white}
+              />
+            </View>
+
+            <View style={styles.numberGrid}>
+              {safetyNumber?.map((group, index) => (
+                <Text key={index} style={styles.numberGroup}>
+                  {group}
+                </Text>
+              ))}
+            </View>
+
+            <Text style={styles.description}>
+              Compare these numbers with {otherUser?.username}&apos;s screen, or have
+              them look at your code. If they match, your messages can only be read
+              by the two of you.
+            </Text>
+
+            <View style={styles.statusRow}>
+              <Ionicons name={display.icon} size={22} color={display.color} />
+              <Text style={[styles.statusText, { color: display.color }]}>
+                {status === "verified" && verifiedAt
+                  ? `${display.text} (${formatPublishDate(verifiedAt)})`
+                  : display.text}
+              </Text>
+            </View>
+
+            {status === "verified" ? (
+              <TouchableOpacity
+                style={styles.secondaryButton}
+                onPress={() => clearVerification(otherUser._id)}
+              >
+                <Text style={styles.secondaryButtonText}>Clear verification</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={() => markVerified(otherUser._id, theirKeyset)}
+              >
+                <Text style={styles.primaryButtonText}>Mark as verified</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+}
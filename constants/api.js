@@ -1,5 +1,82 @@
-export const API_URL = "https://bookstore-rlak.onrender.com/api";
-// export const API_URL = "http://localhost:3000/api";
+import Constants from "expo-constants";
+import { Platform } from "react-native";
 
-export const SOCKET_URL = API_URL.replace(/\/api\/?$/, "") || "https://bookstore-rlak.onrender.com";
+/**
+ * Backend environment profiles
+ *
+ * The build picks its default profile from EXPO_PUBLIC_API_ENV (EAS env) or
+ * app.json `extra.apiEnv`. URLs can be overridden per profile through
+ * app.json `extra.apiEnvironments`. The developer screen can switch profiles
+ * at runtime (see store/environmentStore.js).
+ */
 
+const extra = Constants.expoConfig?.extra ?? {};
+
+// Android emulators reach the host machine through 10.0.2.2
+const LOCAL_HOST = Platform.OS === "android" ? "10.0.2.2" : "localhost";
+
+// Strip the trailing /api so the socket connects to the server root
+export const deriveSocketUrl = (apiUrl) =>
+  (apiUrl || "").replace(/\/+$/, "").replace(/\/api$/, "");
+
+const BUILT_IN_ENVIRONMENTS = {
+  production: {
+    label: "Production",
+    apiUrl: "https://bookstore-rlak.onrender.com/api",
+  },
+  // No staging server yet; set its URL in app.json `extra.apiEnvironments`
+  // or on the developer screen
+  staging: {
+    label: "Staging",
+    apiUrl: "",
+  },
+  local: {
+    label: "Local",
+    apiUrl: `http://${LOCAL_HOST}:3000/api`,
+  },
+  custom: {
+    label: "Custom URL",
+    apiUrl: "",
+  },
+};
+
+const buildEnvironments = () => {
+  const overrides = extra.apiEnvironments ?? {};
+  const envs = {};
+
+  for (const [name, base] of Object.entries(BUILT_IN_ENVIRONMENTS)) {
+    const apiUrl = overrides[name]?.apiUrl ?? base.apiUrl;
+    envs[name] = {
+      name,
+      label: base.label,
+      apiUrl,
+      socketUrl: overrides[name]?.socketUrl ?? deriveSocketUrl(apiUrl),
+    };
+  }
+
+  if (process.env.EXPO_PUBLIC_API_URL) {
+    envs.custom.apiUrl = process.env.EXPO_PUBLIC_API_URL;
+    envs.custom.socketUrl =
+      process.env.EXPO_PUBLIC_SOCKET_URL ||
+      deriveSocketUrl(process.env.EXPO_PUBLIC_API_URL);
+  }
+
+  return envs;
+};
+
+export const ENVIRONMENTS = buildEnvironments();
+
+export const ENVIRONMENT_NAMES = Object.keys(ENVIRONMENTS);
+
+const requestedEnv = process.env.EXPO_PUBLIC_API_ENV || extra.apiEnv;
+
+export const DEFAULT_ENVIRONMENT =
+  requestedEnv && ENVIRONMENTS[requestedEnv]?.apiUrl
+    ? requestedEnv
+    : "production";
+
+// Build-time defaults. Use getApiUrl()/getSocketUrl() from
+// store/environmentStore.js to respect a runtime switch.
+export const API_URL = ENVIRONMENTS[DEFAULT_ENVIRONMENT].apiUrl;
+
+export const SOCKET_URL = ENVIRONMENTS[DEFAULT_ENVIRONMENT].socketUrl;
@@ -0,0 +1,40 @@
+/**
+ * Emoji for message reactions
+ * QUICK_REACTIONS fill the bar in a message's long-press sheet; the full
+ * picker shows EMOJI_CATEGORIES.
+ */
+
+export const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+export const EMOJI_CATEGORIES = [
+  {
+    title: "Smileys",
+    emoji: [
+      "😀", "😃", "😄", "😁", "😆", "😅", "🤣", "😂", "🙂", "🙃", "😉", "😊",
+      "😇", "🥰", "😍", "🤩", "😘", "😋", "😛", "😜", "🤪", "🤗", "🤔", "🤨",
+      "😐", "😑", "😶", "🙄", "😏", "😬", "😌", "😔", "😴", "🤒", "🤯", "🥳",
+      "😎", "🤓", "😕", "😟", "😮", "😲", "😳", "🥺", "😢", "😭", "😱", "😤",
+      "😡", "🤬", "💀", "🤡",
+    ],
+  },
+  {
+    title: "Gestures",
+    emoji: [
+      "👍", "👎", "👌", "✌️", "🤞", "🤟", "🤙", "👋", "👏", "🙌", "🙏", "🤝",
+      "💪", "👀", "🫶", "✍️",
+    ],
+  },
+  {
+    title: "Hearts",
+    emoji: [
+      "❤️", "🧡", "💛", "💚", "💙", "💜", "🖤", "🤍", "💔", "❣️", "💕", "💖",
+    ],
+  },
+  {
+    title: "Things",
+    emoji: [
+      "🔥", "✨", "⭐", "🎉", "🎊", "💯", "✅", "❌", "❓", "❗", "💡", "📚",
+      "📖", "☕", "🍕", "🎂", "🌹", "🌈", "☀️", "🌙",
+    ],
+  },
+];
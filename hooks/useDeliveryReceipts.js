@@ -0,0 +1,81 @@
+import { useEffect } from "react";
+import { useSocketStore } from "../store/socketStore";
+import { useAuthStore } from "../store/authStore";
+
+const idOf = (value) => (typeof value === "object" ? value?._id : value);
+
+// Ids acknowledged (or on their way) this session, so history refetches
+// don't repeat them
+const acknowledged = new Set();
+// Ids the server didn't confirm; sent again once the socket reconnects
+const unconfirmed = new Set();
+
+// The server acks "message_delivered" with (err); no ack within the socket
+// store's timeout counts as a failure too
+const sendReceipts = (messageIds) => {
+  messageIds.forEach((id) => {
+    acknowledged.add(id);
+    unconfirmed.delete(id);
+  });
+  useSocketStore.getState().emit("message_delivered", { messageIds }, (err) => {
+    if (!err) return;
+    messageIds.forEach((id) => {
+      acknowledged.delete(id);
+      unconfirmed.add(id);
+    });
+  });
+};
+
+/**
+ * Tell the server these messages reached this device ("message_delivered"),
+ * so their senders see a second tick. Only messages sent to us that the
+ * server hasn't marked delivered yet are acknowledged; the emit is queued
+ * while the socket reconnects, and sent again after one that failed.
+ */
+export const acknowledgeDelivered = (messages) => {
+  const myId = useAuthStore.getState().user?._id;
+  if (!myId) return;
+  const messageIds = messages
+    .filter(
+      (msg) =>
+        msg?._id &&
+        !msg.deliveredAt &&
+        !msg.read &&
+        String(idOf(msg.receiver)) === String(myId) &&
+        !acknowledged.has(String(msg._id)),
+    )
+    .map((msg) => String(msg._id));
+  if (!messageIds.length) return;
+  sendReceipts(messageIds);
+};
+
+/**
+ * Acknowledge every incoming message as it arrives, whichever screen is
+ * open. Mounted once in the root layout.
+ */
+export function useDeliveryReceipts() {
+  const token = useAuthStore((state) => state.token);
+  const isConnected = useSocketStore((state) => state.connectionState === "connected");
+  const on = useSocketStore((state) => state.on);
+  const off = useSocketStore((state) => state.off);
+
+  useEffect(() => {
+    if (!token) return;
+    const handleNewMessage = (msg) => acknowledgeDelivered([msg]);
+    on("new_message", handleNewMessage);
+    return () => off("new_message", handleNewMessage);
+  }, [token, on, off]);
+
+  useEffect(() => {
+    if (token && isConnected && unconfirmed.size) sendReceipts([...unconfirmed]);
+  }, [token, isConnected]);
+
+  // The next account starts with nothing acknowledged
+  useEffect(() => {
+    if (token) return;
+    acknowledged.clear();
+    unconfirmed.clear();
+  }, [token]);
+}
+
+export default useDeliveryReceipts;
@@ -0,0 +1,110 @@
+import { useEffect } from "react";
+import { useRouter } from "expo-router";
+import { useSocketStore } from "../store/socketStore";
+import { useNotificationStore } from "../store/notificationStore";
+import { useToastStore } from "../store/toastStore";
+import { useAuthStore } from "../store/authStore";
+import { navigateForNotification } from "../utils/notifications";
+import { shouldNotify } from "../store/notificationPrefsStore";
+
+// Socket event -> notification type
+export const NOTIFICATION_EVENTS = {
+  "notification:like": "like",
+  "notification:comment": "comment",
+  "notification:friend_request": "friend_request",
+  "notification:friend_accept": "friend_accept",
+};
+
+const TOAST_TEXT = {
+  like: { text: "liked your post", icon: "heart" },
+  comment: { text: "commented on your post", icon: "chatbubble" },
+  friend_request: { text: "sent you a friend request", icon: "person-add" },
+  friend_accept: { text: "accepted your friend request", icon: "people" },
+};
+
+/**
+ * Normalize a socket payload into the inbox item shape
+ * Falls back to "<type>_<sourceId>" ids so items match the local inbox
+ */
+export const normalizeNotification = (type, payload = {}) => {
+  const user = payload.user || payload.actor || payload.sender || null;
+  const book =
+    payload.book || (payload.bookId ? { _id: payload.bookId } : undefined);
+  const sourceId =
+    payload.sourceId ||
+    payload.likeId ||
+    payload.commentId ||
+    payload.requestId ||
+    payload._id;
+
+  return {
+    _id: payload.notificationId || (sourceId ? `${type}_${sourceId}` : null),
+    type,
+    user,
+    book,
+    commentText: payload.commentText ?? payload.text,
+    createdAt: payload.createdAt || new Date().toISOString(),
+    read: false,
+  };
+};
+
+// Data shape understood by navigateForNotification (same as push payloads)
+const toNavigationData = (item) => ({
+  type: item.type,
+  bookId: item.book?._id,
+  senderId: item.user?._id,
+  accepterId: item.user?._id,
+});
+
+/**
+ * Subscribe to real-time notification events on the shared socket.
+ * Mounted once in the root layout.
+ */
+export function useNotificationSocket() {
+  const router = useRouter();
+  const on = useSocketStore((state) => state.on);
+  const off = useSocketStore((state) => state.off);
+
+  useEffect(() => {
+    const subscriptions = Object.entries(NOTIFICATION_EVENTS).map(
+      ([event, type]) => {
+        const handler = (payload) => {
+          const item = normalizeNotification(type, payload);
+          const myId = useAuthStore.getState().user?._id;
+          if (!item._id || (myId && item.user?._id === myId)) return;
+
+          const { ingest, isInboxOpen } = useNotificationStore.getState();
+          if (!ingest(item) || isInboxOpen) return;
+          // Toasts are silent, so only the per-type toggles apply
+          if (!shouldNotify(type, { ignoreQuietHours: true })) return;
+
+          const copy = TOAST_TEXT[type];
+          useToastStore.getState().showToast({
+            title: item.user?.username || "Someone",
+            message:
+              type === "comment" && item.commentText
+                ? `commented: "${item.commentText.slice(0, 60)}"`
+                : copy.text,
+            icon: copy.icon,
+            onPress: () => navigateForNotification(toNavigationData(item), router),
+          });
+        };
+        on(event, handler);
+        return [event, handler];
+      },
+    );
+
+    // Read on another device: { ids } or { all: true }
+    const handleRemoteRead = (payload) => {
+      useNotificationStore.getState().applyRemoteRead(payload || {});
+    };
+    on("notification:read", handleRemoteRead);
+
+    return () => {
+      subscriptions.forEach(([event, handler]) => off(event, handler));
+      off("notification:read", handleRemoteRead);
+    };
+  }, [on, off, router]);
+}
+
+export default useNotificationSocket;
@@ -0,0 +1,30 @@
+import { useEffect } from "react";
+import { AppState } from "react-native";
+import { useSocketStore } from "../store/socketStore";
+import { useAuthStore } from "../store/authStore";
+import { useOutboxStore } from "../store/outboxStore";
+
+/**
+ * Send queued chat messages whenever we're back online: after the socket
+ * (re)connects and when the app returns to the foreground. Mounted once
+ * in the root layout.
+ */
+export function useOutboxSync() {
+  const token = useAuthStore((state) => state.token);
+  const connectionState = useSocketStore((state) => state.connectionState);
+
+  useEffect(() => {
+    if (!token || connectionState !== "connected") return;
+    useOutboxStore.getState().flush();
+  }, [token, connectionState]);
+
+  useEffect(() => {
+    if (!token) return;
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state === "active") useOutboxStore.getState().flush();
+    });
+    return () => subscription.remove();
+  }, [token]);
+}
+
+export default useOutboxSync;
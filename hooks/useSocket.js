@@ -1,53 +1,24 @@
-import { useEffect, useRef, useCallback, useState } from "react";
-import { io } from "socket.io-client";
-import { SOCKET_URL } from "../constants/api";
-
-export function useSocket(token) {
-  const socketRef = useRef(null);
-  const [connected, setConnected] = useState(false);
-
-  useEffect(() => {
-    if (!token) {
-      if (socketRef.current) {
-        socketRef.current.disconnect();
-        socketRef.current = null;
-        setConnected(false);
-      }
-      return;
-    }
-
-    const socket = io(SOCKET_URL, {
-      auth: { token },
-      transports: ["websocket", "polling"],
-    });
-    socketRef.current = socket;
-
-    socket.on("connect", () => setConnected(true));
-    socket.on("disconnect", () => setConnected(false));
-    socket.on("connect_error", () => setConnected(false));
-
-    return () => {
-      socket.disconnect();
-      socketRef.current = null;
-      setConnected(false);
-    };
-  }, [token]);
-
-  const emit = useCallback((event, data, cb) => {
-    if (socketRef.current?.connected) {
-      socketRef.current.emit(event, data, cb);
-    } else if (typeof cb === "function") {
-      cb(new Error("Socket not connected"));
-    }
-  }, []);
-
-  const on = useCallback((event, handler) => {
-    socketRef.current?.on(event, handler);
-  }, []);
-
-  const off = useCallback((event, handler) => {
-    socketRef.current?.off(event, handler);
-  }, []);
-
-  return { socket: socketRef.current, connected, emit, on, off };
+import { useMemo } from "react";
+import { getSocket, useSocketStore } from "../store/socketStore";
+
+/**
+ * Access the shared app-wide socket.
+ * The connection itself is owned by store/socketStore.js and opened by the
+ * root layout, so calling this hook never creates a new connection.
+ */
+export function useSocket() {
+  const connectionState = useSocketStore((state) => state.connectionState);
+  // The store bumps socketVersion whenever the underlying socket is
+  // replaced, so this re-reads it then
+  const socket = useSocketStore(() => getSocket());
+  const emit = useSocketStore((state) => state.emit);
+  const on = useSocketStore((state) => state.on);
+  const off = useSocketStore((state) => state.off);
+
+  const connected = connectionState === "connected";
+
+  return useMemo(
+    () => ({ socket, connected, connectionState, emit, on, off }),
+    [socket, connected, connectionState, emit, on, off],
+  );
 }
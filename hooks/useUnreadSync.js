@@ -0,0 +1,74 @@
+import { useEffect } from "react";
+import { AppState } from "react-native";
+import { useSocketStore } from "../store/socketStore";
+import { useAuthStore } from "../store/authStore";
+import { useNotificationStore } from "../store/notificationStore";
+import { useUnreadStore, getTotalUnread } from "../store/unreadStore";
+import { setAppBadgeCount } from "../utils/notifications";
+
+const idOf = (value) => (typeof value === "object" ? value?._id : value);
+
+/**
+ * Keep unread counts current from socket events and mirror the
+ * total onto the app icon badge. Mounted once in the root layout.
+ */
+export function useUnreadSync() {
+  const token = useAuthStore((state) => state.token);
+  const connectionState = useSocketStore((state) => state.connectionState);
+  const on = useSocketStore((state) => state.on);
+  const off = useSocketStore((state) => state.off);
+
+  // Count incoming messages as they arrive
+  useEffect(() => {
+    if (!token) return;
+
+    const handleNewMessage = (msg) => {
+      const myId = useAuthStore.getState().user?._id;
+      const senderId = idOf(msg?.sender);
+      if (!senderId || !myId || senderId === myId) return;
+      if (idOf(msg.receiver) !== myId) return;
+      useUnreadStore.getState().incrementMessages(senderId);
+    };
+
+    on("new_message", handleNewMessage);
+    return () => off("new_message", handleNewMessage);
+  }, [token, on, off]);
+
+  // Re-sync after (re)connecting; events may have been missed while offline
+  useEffect(() => {
+    if (!token || connectionState !== "connected") return;
+    useUnreadStore.getState().syncMessageCounts();
+    useNotificationStore.getState().fetchUnreadCount();
+  }, [token, connectionState]);
+
+  // ...and when coming back to the foreground
+  useEffect(() => {
+    if (!token) return;
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state !== "active") return;
+      useUnreadStore.getState().syncMessageCounts();
+      useNotificationStore.getState().fetchUnreadCount();
+    });
+    return () => subscription.remove();
+  }, [token]);
+
+  // App icon badge
+  useEffect(() => {
+    let lastTotal = null;
+    const update = () => {
+      const total = getTotalUnread();
+      if (total === lastTotal) return;
+      lastTotal = total;
+      setAppBadgeCount(total);
+    };
+    update();
+    const unsubscribeUnread = useUnreadStore.subscribe(update);
+    const unsubscribeNotifications = useNotificationStore.subscribe(update);
+    return () => {
+      unsubscribeUnread();
+      unsubscribeNotifications();
+    };
+  }, []);
+}
+
+export default useUnreadSync;
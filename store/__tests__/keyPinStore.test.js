@@ -0,0 +1,160 @@
+import { describe, it, expect, jest, beforeEach } from "@jest/globals";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { generateKeyPair, generateSigningKeyPair } from "../../utils/cryptoUtils";
+import { signDeviceApproval, verifyDeviceApproval } from "../../utils/messageSigning";
+import { useKeyPinStore } from "../keyPinStore";
+import { keysetOf } from "../recipientPublicKeyStore";
+import { useToastStore } from "../toastStore";
+import { api } from "../../utils/apiClient";
+
+const USER_ID = "me";
+const mockThisDevice = { ...generateKeyPair(), ...generateSigningKeyPair() };
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock"),
+);
+jest.mock("expo-router", () => ({ router: { push: () => {} } }));
+jest.mock("../../utils/apiClient", () => ({
+  api: { users: { approveDevice: jest.fn(async () => ({})) } },
+}));
+jest.mock("../../utils/device", () => ({ getDeviceId: async () => "this-phone" }));
+jest.mock("../authStore", () => ({
+  useAuthStore: {
+    getState: () => ({ token: "token", user: { _id: "me" } }),
+    subscribe: () => () => {},
+  },
+}));
+jest.mock("../keyStore", () => ({
+  loadStoredKeyPair: async () => mockThisDevice,
+}));
+
+const newDevice = (deviceId) => {
+  const keys = { ...generateKeyPair(), ...generateSigningKeyPair() };
+  return {
+    deviceId,
+    name: deviceId,
+    publicKey: keys.publicKey,
+    signingPublicKey: keys.signingPublicKey,
+    signingSecretKey: keys.signingSecretKey,
+  };
+};
+
+// `approver` signs `device`'s keys, as approveDevice does on that device
+const approvedBy = (device, approver) => ({
+  ...device,
+  approvedBy: approver.deviceId,
+  approvalSignature: signDeviceApproval(USER_ID, device, approver.signingSecretKey),
+});
+
+const ids = (devices) => devices.map((device) => device.deviceId);
+const check = (devices) => useKeyPinStore.getState().checkOwnDevices(USER_ID, devices);
+
+describe("own devices", () => {
+  const self = {
+    deviceId: "this-phone",
+    publicKey: mockThisDevice.publicKey,
+    signingPublicKey: mockThisDevice.signingPublicKey,
+    signingSecretKey: mockThisDevice.signingSecretKey,
+  };
+  let tablet;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    useKeyPinStore.getState().reset();
+    useToastStore.getState().clearToasts();
+    tablet = newDevice("tablet");
+    // First list: pinned as it is
+    expect(ids(await check([self, tablet]))).toEqual(["this-phone", "tablet"]);
+    expect(useToastStore.getState().toasts).toHaveLength(0);
+  });
+
+  it("holds back a new device and announces it once", async () => {
+    const laptop = newDevice("laptop");
+    expect(ids(await check([self, tablet, laptop]))).toEqual(["this-phone", "tablet"]);
+    expect(ids(await check([self, tablet, laptop]))).toEqual(["this-phone", "tablet"]);
+
+    expect(useToastStore.getState().toasts).toEqual([
+      expect.objectContaining({ title: "New device linked" }),
+    ]);
+    expect(ids(useKeyPinStore.getState().newDevices)).toEqual(["laptop"]);
+  });
+
+  it("doesn't trust a pinned device id that comes back with other keys", async () => {
+    const swapped = { ...newDevice("tablet"), name: "tablet" };
+    expect(ids(await check([self, swapped]))).toEqual(["this-phone"]);
+  });
+
+  it("trusts devices approved by a trusted device, also through another approval", async () => {
+    const laptop = approvedBy(newDevice("laptop"), tablet);
+    const desktop = approvedBy(newDevice("desktop"), laptop);
+    expect(ids(await check([self, tablet, desktop, laptop]))).toEqual([
+      "this-phone",
+      "tablet",
+      "desktop",
+      "laptop",
+    ]);
+    expect(useToastStore.getState().toasts).toHaveLength(0);
+  });
+
+  it("ignores approvals it can't verify", async () => {
+    const stranger = newDevice("stranger");
+    const laptop = approvedBy(newDevice("laptop"), stranger);
+    const forged = { ...approvedBy(newDevice("desktop"), stranger), approvedBy: "tablet" };
+    expect(ids(await check([self, tablet, stranger, laptop, forged]))).toEqual([
+      "this-phone",
+      "tablet",
+    ]);
+  });
+
+  it("signs the devices it approves so the others trust them too", async () => {
+    const laptop = newDevice("laptop");
+    await check([self, tablet, laptop]);
+    await useKeyPinStore.getState().approveDevice(laptop);
+
+    const [deviceId, approval] = api.users.approveDevice.mock.calls.at(-1);
+    expect(deviceId).toBe("laptop");
+    expect(approval.approvedBy).toBe("this-phone");
+    expect(
+      verifyDeviceApproval(
+        USER_ID,
+        laptop,
+        approval.approvalSignature,
+        mockThisDevice.signingPublicKey,
+      ),
+    ).toBe(true);
+    expect(useKeyPinStore.getState().newDevices).toEqual([]);
+    expect(ids(await check([self, tablet, laptop]))).toEqual(["this-phone", "tablet", "laptop"]);
+  });
+
+  it("unpins devices that are no longer listed", async () => {
+    await check([self]);
+    expect(ids(await check([self, tablet]))).toEqual(["this-phone"]);
+  });
+});
+
+describe("contact keys", () => {
+  const phone = newDevice("phone");
+  const keyset = keysetOf({ devices: [phone] });
+  const checkKey = (publicKey) => useKeyPinStore.getState().checkKey("alice", publicKey);
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    useKeyPinStore.getState().reset();
+  });
+
+  it("records a new signing key as a key change", async () => {
+    expect(await checkKey(keyset)).toBeNull();
+    const resigned = { ...phone, signingPublicKey: newDevice("phone").signingPublicKey };
+    expect(await checkKey(keysetOf({ devices: [resigned] }))).toMatchObject({
+      type: "key_change",
+      previousKey: keyset,
+    });
+  });
+
+  it("moves a pin of the box keys only over to the full keyset", async () => {
+    await checkKey(phone.publicKey);
+    expect(await checkKey(keyset)).toBeNull();
+    expect(useKeyPinStore.getState().pins.alice).toBe(keyset);
+    expect(useKeyPinStore.getState().keyChanges).toEqual({});
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect, jest, beforeEach } from "@jest/globals";
+import { generateKeyPair, generateSigningKeyPair } from "../../utils/cryptoUtils";
+
+// Two users, one device each, talking through a fake server. Each gets
+// its own copy of the session store with its own storage.
+const server = { bundles: {} };
+const users = {};
+
+const createUser = (userId) => {
+  const identity = { ...generateKeyPair(), ...generateSigningKeyPair() };
+  const deviceId = `${userId}-phone`;
+  const storage = new Map();
+  const texts = new Map();
+  let store;
+
+  jest.isolateModules(() => {
+    jest.doMock("../../utils/apiClient", () => ({
+      api: {
+        users: {
+          prekeyCount: async () => ({ count: server.bundles[userId]?.oneTimePreKeys.length ?? 0 }),
+          uploadPrekeys: async (upload) => {
+            const current = server.bundles[userId] || { oneTimePreKeys: [] };
+            server.bundles[userId] = {
+              identityKey: upload.identityKey,
+              signedPreKey: upload.signedPreKey || current.signedPreKey,
+              oneTimePreKeys: [...current.oneTimePreKeys, ...(upload.oneTimePreKeys || [])],
+            };
+          },
+          prekeyBundle: async (peerId) => {
+            if (!server.bundles[peerId]) return null;
+            const { identityKey, signedPreKey, oneTimePreKeys } = server.bundles[peerId];
+            return { bundle: { identityKey, signedPreKey, oneTimePreKey: oneTimePreKeys.shift() } };
+          },
+        },
+      },
+    }));
+    jest.doMock("../../utils/sealedStorage", () => ({
+      getSealedItem: async (key) => storage.get(key) ?? null,
+      setSealedItem: async (key, value) => storage.set(key, value),
+    }));
+    jest.doMock("../../utils/messageDatabase", () => ({
+      isMessageDatabaseSupported: () => true,
+      saveSessionTexts: async (entries) => entries.forEach(([nonce, text]) => texts.set(nonce, text)),
+      loadSessionText: async (nonce) => texts.get(nonce),
+    }));
+    jest.doMock("../../utils/device", () => ({ getDeviceId: async () => deviceId }));
+    jest.doMock("../authStore", () => ({
+      useAuthStore: {
+        getState: () => ({ token: "token", user: { _id: userId } }),
+        subscribe: () => () => {},
+      },
+    }));
+    jest.doMock("../keyStore", () => ({
+      useKeyStore: { getState: () => ({ publicKey: null }), subscribe: () => () => {} },
+      loadStoredKeyPair: async () => identity,
+    }));
+    jest.doMock("../recipientPublicKeyStore", () => ({
+      useRecipientPublicKeyStore: {
+        getState: () => ({ fetchDevice: async (peerId) => users[peerId].device }),
+      },
+    }));
+    store = require("../sessionStore").useSessionStore;
+  });
+
+  return {
+    userId,
+    store,
+    texts,
+    device: { deviceId, publicKey: identity.publicKey, signingPublicKey: identity.signingPublicKey },
+  };
+};
+
+// `from` encrypts `text` for `to`; returns what `to` receives
+const send = async (from, to, text) => {
+  const envelope = await from.store.getState().encryptForDevice(to.userId, to.device, text);
+  expect(envelope?.ratchet).toBeDefined();
+  return {
+    msg: { nonce: `${from.userId}:${text}`, sender: from.userId, senderDeviceId: from.device.deviceId },
+    envelope,
+  };
+};
+
+const receive = (user, { msg, envelope }) => user.store.getState().decryptEnvelope(msg, envelope);
+
+describe("sessions started by both sides at once", () => {
+  beforeEach(async () => {
+    server.bundles = {};
+    users.alice = createUser("alice");
+    users.bob = createUser("bob");
+    await users.alice.store.getState().ensurePrekeys();
+    await users.bob.store.getState().ensurePrekeys();
+  });
+
+  it("keeps every message readable until the two sides settle on one session", async () => {
+    const { alice, bob } = users;
+    // Neither has heard from the other, so both start a session
+    const fromAlice = await send(alice, bob, "hi bob");
+    const fromBob = await send(bob, alice, "hi alice");
+
+    expect(await receive(bob, fromAlice)).toBe("hi bob");
+    expect(await receive(alice, fromBob)).toBe("hi alice");
+
+    // Each now sends on the session it accepted
+    const secondFromAlice = await send(alice, bob, "second from alice");
+    const secondFromBob = await send(bob, alice, "second from bob");
+    expect(secondFromAlice.envelope.ratchet.prekey).toBeUndefined();
+    expect(await receive(bob, secondFromAlice)).toBe("second from alice");
+    expect(await receive(alice, secondFromBob)).toBe("second from bob");
+
+    // Replies converge on one session both sides hold
+    for (let turn = 0; turn < 3; turn++) {
+      expect(await receive(alice, await send(bob, alice, `bob ${turn}`))).toBe(`bob ${turn}`);
+      expect(await receive(bob, await send(alice, bob, `alice ${turn}`))).toBe(`alice ${turn}`);
+    }
+  });
+
+  it("opens replies on a session it has since replaced", async () => {
+    const { alice, bob } = users;
+    const fromBob = await send(bob, alice, "hi alice");
+    const fromAlice = await send(alice, bob, "hi bob");
+
+    // Bob accepts Alice's session, which replaces the one he started...
+    expect(await receive(bob, fromAlice)).toBe("hi bob");
+    // ...but Alice answers on his
+    expect(await receive(alice, fromBob)).toBe("hi alice");
+    expect(await receive(bob, await send(alice, bob, "reply"))).toBe("reply");
+    expect(await receive(alice, await send(bob, alice, "and back"))).toBe("and back");
+  });
+});
+
+describe("message texts", () => {
+  beforeEach(async () => {
+    server.bundles = {};
+    users.alice = createUser("alice");
+    users.bob = createUser("bob");
+    await users.bob.store.getState().ensurePrekeys();
+  });
+
+  it("keeps each text in the message database and reads it back from there", async () => {
+    const { alice, bob } = users;
+    const sent = await send(alice, bob, "stored");
+    expect(await receive(bob, sent)).toBe("stored");
+    expect(bob.texts.get(sent.msg.nonce)).toBe("stored");
+
+    // As after a restart: nothing in memory, and the ratchet key is spent
+    bob.store.setState({ messageCache: {} });
+    expect(await receive(bob, sent)).toBe("stored");
+    expect(await bob.store.getState().getCachedMessage(sent.msg.nonce)).toBe("stored");
+  });
+});
+
+describe("devices without prekeys", () => {
+  beforeEach(() => {
+    server.bundles = {};
+    users.alice = createUser("alice");
+    users.bob = createUser("bob");
+  });
+
+  it("get static boxes if they never had prekeys", async () => {
+    const { alice, bob } = users;
+    expect(await alice.store.getState().encryptForDevice(bob.userId, bob.device, "hi")).toBeNull();
+    expect(await alice.store.getState().hasHadSessions(bob.userId)).toBe(false);
+  });
+
+  it("aren't downgraded to static boxes after a session", async () => {
+    const { alice, bob } = users;
+    await bob.store.getState().ensurePrekeys();
+    await send(alice, bob, "hi bob");
+
+    // The session is gone, and the server stops handing out Bob's prekeys
+    alice.store.setState({ sessions: {} });
+    delete server.bundles.bob;
+    await expect(
+      alice.store.getState().encryptForDevice(bob.userId, bob.device, "again"),
+    ).rejects.toThrow("stopped offering prekeys");
+    expect(await alice.store.getState().hasHadSessions(bob.userId)).toBe(true);
+  });
+});
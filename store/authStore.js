@@ -1,6 +1,14 @@
 import { create } from "zustand";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import { API_URL } from "../constants/api";
+import { api, configureApiClient } from "../utils/apiClient";
+import {
+  getSecureItem,
+  setSecureItem,
+  deleteSecureItem,
+} from "../utils/secureStorage";
+
+// The JWT lives in secure storage; the user profile isn't secret
+const TOKEN_KEY = "auth_token";
 
 export const useAuthStore = create((set) => ({
   user: null,
@@ -11,31 +19,17 @@ export const useAuthStore = create((set) => ({
   register: async (username, email, password) => {
     set({ isLoading: true });
     try {
-      const response = await fetch(`${API_URL}/auth/register`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          username,
-          email,
-          password,
-        }),
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) throw new Error(data.message || "Something went wrong");
+      const data = await api.auth.register(username, email, password);
 
       await AsyncStorage.setItem("user", JSON.stringify(data.user));
-      await AsyncStorage.setItem("token", data.token);
+      await setSecureItem(TOKEN_KEY, data.token);
 
       set({ token: data.token, user: data.user, isLoading: false });
 
       return { success: true };
     } catch (error) {
       set({ isLoading: false });
-      return { success: false, error: error.message };
+      return { success: false, error: error.message || "Something went wrong" };
     }
   },
 
@@ -43,49 +37,41 @@ export const useAuthStore = create((set) => ({
     set({ isLoading: true });
 
     try {
-      const response = await fetch(`${API_URL}/auth/login`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          email,
-          password,
-        }),
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) throw new Error(data.message || "Something went wrong");
+      const data = await api.auth.login(email, password);
 
       await AsyncStorage.setItem("user", JSON.stringify(data.user));
-      await AsyncStorage.setItem("token", data.token);
+      await setSecureItem(TOKEN_KEY, data.token);
 
       set({ token: data.token, user: data.user, isLoading: false });
 
       return { success: true };
     } catch (error) {
       set({ isLoading: false });
-      return { success: false, error: error.message };
+      return { success: false, error: error.message || "Something went wrong" };
     }
   },
 
   checkAuth: async () => {
     try {
-      const token = await AsyncStorage.getItem("token");
+      // Throws while the web vault is locked; the user unlocks and we run again
+      const token = await getSecureItem(TOKEN_KEY);
       const userJson = await AsyncStorage.getItem("user");
       const user = userJson ? JSON.parse(userJson) : null;
 
-      set({ token, user });
+      set({ token, user: token ? user : null });
     } catch (error) {
+      set({ token: null, user: null });
     } finally {
       set({ isCheckingAuth: false });
     }
   },
 
   logout: async () => {
-    await AsyncStorage.removeItem("token");
+    await deleteSecureItem(TOKEN_KEY);
     await AsyncStorage.removeItem("user");
     set({ token: null, user: null });
   },
 }));
+
+// Every API call reads the current session token from this store
+configureApiClient({ getToken: () => useAuthStore.getState().token });
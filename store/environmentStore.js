@@ -0,0 +1,139 @@
+import { create } from "zustand";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  DEFAULT_ENVIRONMENT,
+  ENVIRONMENTS,
+  deriveSocketUrl,
+} from "../constants/api";
+
+const ENVIRONMENT_STORAGE_KEY = "api_environment";
+
+const isValidUrl = (url) => /^https?:\/\/[^\s/]+/i.test(url || "");
+
+// Merge build-time profiles with the per-profile URLs saved on this device
+const resolveProfiles = (saved = {}) => {
+  const profiles = {};
+  for (const [name, env] of Object.entries(ENVIRONMENTS)) {
+    const apiUrl = saved[name]?.apiUrl || env.apiUrl;
+    profiles[name] = {
+      name,
+      label: env.label,
+      apiUrl,
+      socketUrl:
+        saved[name]?.socketUrl ||
+        (saved[name]?.apiUrl ? deriveSocketUrl(apiUrl) : env.socketUrl),
+    };
+  }
+  return profiles;
+};
+
+const persist = async (environment, overrides) => {
+  try {
+    await AsyncStorage.setItem(
+      ENVIRONMENT_STORAGE_KEY,
+      JSON.stringify({ environment, overrides }),
+    );
+  } catch (e) {
+    console.warn("Failed to save API environment:", e);
+  }
+};
+
+/**
+ * Store for the active backend environment
+ * The API client and socket read their URLs from here on every use
+ */
+export const useEnvironmentStore = create((set, get) => ({
+  environment: DEFAULT_ENVIRONMENT,
+  // URLs entered on the developer screen, keyed by profile name
+  overrides: {},
+  profiles: resolveProfiles(),
+  isLoaded: false,
+
+  loadEnvironment: async () => {
+    try {
+      const json = await AsyncStorage.getItem(ENVIRONMENT_STORAGE_KEY);
+      const saved = json ? JSON.parse(json) : null;
+      const overrides = saved?.overrides ?? {};
+      const profiles = resolveProfiles(overrides);
+      const environment =
+        saved?.environment && profiles[saved.environment]?.apiUrl
+          ? saved.environment
+          : DEFAULT_ENVIRONMENT;
+
+      set({ environment, overrides, profiles });
+    } catch (e) {
+      console.warn("Failed to load API environment:", e);
+    } finally {
+      set({ isLoaded: true });
+    }
+  },
+
+  // Switch profiles. Returns { success, error } like the auth store actions.
+  setEnvironment: async (environment) => {
+    const { profiles, overrides } = get();
+    if (!profiles[environment]) {
+      return { success: false, error: "Unknown environment" };
+    }
+    if (!isValidUrl(profiles[environment].apiUrl)) {
+      return { success: false, error: "Set a URL for this profile first" };
+    }
+
+    set({ environment });
+    await persist(environment, overrides);
+    return { success: true };
+  },
+
+  // Save URLs for a profile. socketUrl falls back to the derived value.
+  updateProfile: async (name, { apiUrl, socketUrl } = {}) => {
+    const { environment, overrides } = get();
+    if (!ENVIRONMENTS[name]) {
+      return { success: false, error: "Unknown environment" };
+    }
+
+    const trimmedApi = (apiUrl || "").trim().replace(/\/+$/, "");
+    const trimmedSocket = (socketUrl || "").trim().replace(/\/+$/, "");
+    if (trimmedApi && !isValidUrl(trimmedApi)) {
+      return { success: false, error: "API URL must start with http(s)://" };
+    }
+    if (trimmedSocket && !isValidUrl(trimmedSocket)) {
+      return { success: false, error: "Socket URL must start with http(s)://" };
+    }
+
+    const nextOverrides = { ...overrides };
+    if (trimmedApi || trimmedSocket) {
+      nextOverrides[name] = {
+        apiUrl: trimmedApi || undefined,
+        socketUrl: trimmedSocket || undefined,
+      };
+    } else {
+      delete nextOverrides[name];
+    }
+
+    set({ overrides: nextOverrides, profiles: resolveProfiles(nextOverrides) });
+    await persist(environment, nextOverrides);
+    return { success: true };
+  },
+
+  // Drop every runtime override and go back to the build default
+  resetEnvironment: async () => {
+    set({
+      environment: DEFAULT_ENVIRONMENT,
+      overrides: {},
+      profiles: resolveProfiles(),
+    });
+    try {
+      await AsyncStorage.removeItem(ENVIRONMENT_STORAGE_KEY);
+    } catch (e) {
+      console.warn("Failed to reset API environment:", e);
+    }
+  },
+}));
+
+export const getActiveProfile = () => {
+  const { environment, profiles } = useEnvironmentStore.getState();
+  return profiles[environment] ?? profiles[DEFAULT_ENVIRONMENT];
+};
+
+export const getApiUrl = () => getActiveProfile().apiUrl;
+
+export const getSocketUrl = () => getActiveProfile().socketUrl;
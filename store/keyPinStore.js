@@ -0,0 +1,221 @@
+import { create } from "zustand";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { router } from "expo-router";
+import { api } from "../utils/apiClient";
+import { getDeviceId } from "../utils/device";
+import { signDeviceApproval, verifyDeviceApproval } from "../utils/messageSigning";
+import { boxKeysetOf } from "../utils/fingerprint";
+import { useAuthStore } from "./authStore";
+import { loadStoredKeyPair } from "./keyStore";
+import { useToastStore } from "./toastStore";
+
+const PINS_STORAGE_KEY = "pinned_public_keys";
+
+const storageKey = () =>
+  `${PINS_STORAGE_KEY}:${useAuthStore.getState().user?._id || "anonymous"}`;
+
+/**
+ * Trust-on-first-use pins for contacts' public keys
+ * The first keyset seen for a contact (see keysetOf in
+ * recipientPublicKeyStore) is pinned; a different one later, e.g. a new
+ * linked device, is recorded in keyChanges so the chat can show it, then
+ * pinned in its place.
+ * pins: { [userId]: keyset }
+ * keyChanges: { [userId]: [{ _id, type: "key_change", publicKey, previousKey, createdAt }] }
+ *
+ * Our own devices get a copy of every message we send, so they are pinned
+ * one by one and a new one isn't trusted until it is approved; see
+ * checkOwnDevices.
+ * ownDevices: { [deviceId]: signingPublicKey }, null until the first list is pinned
+ * newDevices: [{ deviceId, name, platform, createdAt }] waiting for approval
+ */
+export const useKeyPinStore = create((set, get) => ({
+  pins: {},
+  keyChanges: {},
+  ownDevices: null,
+  newDevices: [],
+  isLoaded: false,
+  loadPromise: null,
+
+  loadPins: () => {
+    if (get().isLoaded) return Promise.resolve();
+    if (get().loadPromise) return get().loadPromise;
+
+    const loadPromise = (async () => {
+      try {
+        const json = await AsyncStorage.getItem(storageKey());
+        if (json) {
+          const { pins, keyChanges, ownDevices, newDevices } = JSON.parse(json);
+          set({
+            pins: pins || {},
+            keyChanges: keyChanges || {},
+            ownDevices: ownDevices || null,
+            newDevices: newDevices || [],
+          });
+        }
+      } catch (e) {
+        console.warn("Failed to load pinned keys:", e);
+      } finally {
+        set({ isLoaded: true, loadPromise: null });
+      }
+    })();
+    set({ loadPromise });
+    return loadPromise;
+  },
+
+  savePins: async () => {
+    const { pins, keyChanges, ownDevices, newDevices } = get();
+    try {
+      await AsyncStorage.setItem(
+        storageKey(),
+        JSON.stringify({ pins, keyChanges, ownDevices, newDevices }),
+      );
+    } catch (e) {
+      console.warn("Failed to save pinned keys:", e);
+    }
+  },
+
+  // Compare a freshly fetched keyset with the pin. Returns the key change, or null.
+  checkKey: async (userId, publicKey) => {
+    if (!userId || !publicKey) return null;
+    await get().loadPins();
+
+    const previousKey = get().pins[userId];
+    if (previousKey === publicKey) return null;
+
+    // Pinned before keysets held signing keys: the box keys are what was
+    // pinned, and the signing keys are taken on first use like any pin
+    const isOlderPin = !previousKey?.includes(".") && previousKey === boxKeysetOf(publicKey);
+
+    let change = null;
+    if (previousKey && !isOlderPin) {
+      const createdAt = new Date().toISOString();
+      change = {
+        _id: `key_change:${userId}:${createdAt}`,
+        type: "key_change",
+        publicKey,
+        previousKey,
+        createdAt,
+      };
+    }
+
+    set((state) => ({
+      pins: { ...state.pins, [userId]: publicKey },
+      keyChanges: change
+        ? {
+            ...state.keyChanges,
+            [userId]: [...(state.keyChanges[userId] || []), change],
+          }
+        : state.keyChanges,
+    }));
+    await get().savePins();
+    return change;
+  },
+
+  // Drop the key change notices for a conversation (e.g. when it is cleared)
+  clearKeyChanges: async (userId) => {
+    if (!get().keyChanges[userId]) return;
+    set((state) => {
+      const keyChanges = { ...state.keyChanges };
+      delete keyChanges[userId];
+      return { keyChanges };
+    });
+    await get().savePins();
+  },
+
+  /**
+   * Which of our own devices (already signature-checked) may get our
+   * messages. The first list seen is pinned, like a contact's keyset. After
+   * that a device counts once this device approved it, or once a pinned
+   * device signed its keys; until then it is announced and kept in
+   * newDevices. Devices no longer listed are unpinned.
+   */
+  checkOwnDevices: async (userId, devices) => {
+    // Nothing to compare with; keep the pins
+    if (!devices.length) return devices;
+    await get().loadPins();
+    const thisDeviceId = await getDeviceId();
+    const keys = await loadStoredKeyPair();
+
+    const trusted = get().ownDevices
+      ? { ...get().ownDevices }
+      : Object.fromEntries(devices.map((device) => [device.deviceId, device.signingPublicKey]));
+    if (keys?.signingPublicKey) trusted[thisDeviceId] = keys.signingPublicKey;
+    const isTrusted = (device) => trusted[device.deviceId] === device.signingPublicKey;
+
+    // Approvals chain: a device approved by one approved by us counts too
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const device of devices) {
+        const approverKey = device.approvedBy !== device.deviceId && trusted[device.approvedBy];
+        if (
+          !isTrusted(device) &&
+          approverKey &&
+          verifyDeviceApproval(userId, device, device.approvalSignature, approverKey)
+        ) {
+          trusted[device.deviceId] = device.signingPublicKey;
+          grew = true;
+        }
+      }
+    }
+
+    const listed = new Set([thisDeviceId, ...devices.map((device) => device.deviceId)]);
+    const ownDevices = Object.fromEntries(
+      Object.entries(trusted).filter(([deviceId]) => listed.has(deviceId)),
+    );
+    const newDevices = devices
+      .filter((device) => device.deviceId !== thisDeviceId && !isTrusted(device))
+      .map(({ deviceId, name, platform, createdAt }) => ({ deviceId, name, platform, createdAt }));
+
+    const announced = new Set(get().newDevices.map((device) => device.deviceId));
+    newDevices
+      .filter((device) => !announced.has(device.deviceId))
+      .forEach((device) => {
+        useToastStore.getState().showToast({
+          title: "New device linked",
+          message: `${device.name || "A new device"} won't get your messages until you approve it`,
+          icon: "phone-portrait-outline",
+          onPress: () => router.push("/devices"),
+        });
+      });
+
+    set({ ownDevices, newDevices });
+    await get().savePins();
+    return devices.filter(isTrusted);
+  },
+
+  /**
+   * Approve one of our new devices: sign its keys, so our other devices
+   * trust it as well, and include it in our messages from now on
+   */
+  approveDevice: async (device) => {
+    const keys = await loadStoredKeyPair();
+    if (!keys?.signingSecretKey) throw new Error("E2EE keys not initialized");
+    const userId = useAuthStore.getState().user?._id;
+    await api.users.approveDevice(device.deviceId, {
+      approvedBy: await getDeviceId(),
+      approvalSignature: signDeviceApproval(userId, device, keys.signingSecretKey),
+    });
+    set((state) => ({
+      ownDevices: { ...state.ownDevices, [device.deviceId]: device.signingPublicKey },
+      newDevices: state.newDevices.filter((d) => d.deviceId !== device.deviceId),
+    }));
+    await get().savePins();
+  },
+
+  reset: () =>
+    set({
+      pins: {},
+      keyChanges: {},
+      ownDevices: null,
+      newDevices: [],
+      isLoaded: false,
+      loadPromise: null,
+    }),
+}));
+
+// Pins belong to the signed-in account
+useAuthStore.subscribe((state, prevState) => {
+  if (prevState.token && !state.token) useKeyPinStore.getState().reset();
+});
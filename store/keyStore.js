@@ -0,0 +1,339 @@
+import { create } from "zustand";
+import { Platform } from "react-native";
+import { api } from "../utils/apiClient";
+import {
+  generateKeyPair,
+  generateSigningKeyPair,
+  validateKeyPair,
+  validateSigningKeyPair,
+} from "../utils/cryptoUtils";
+import { signIdentityKey } from "../utils/messageSigning";
+import { createKeyBackup, restoreKeyBackup } from "../utils/keyBackup";
+import {
+  getSecureItem,
+  setSecureItem,
+  deleteSecureItem,
+  subscribeVaultStatus,
+  VaultLockedError,
+} from "../utils/secureStorage";
+import { getDeviceId, getDeviceName, resetDeviceId } from "../utils/device";
+import { useAuthStore } from "./authStore";
+import { useSocketStore } from "./socketStore";
+
+export const KEYS_STORAGE_KEY = "e2ee_keys";
+// Wait between backup checks while the server can't be reached
+const SETUP_RETRY_MS = 30000;
+
+// Shared by concurrent initialize() calls
+let initPromise = null;
+let setupRetryTimer = null;
+
+const scheduleSetupRetry = () => {
+  clearTimeout(setupRetryTimer);
+  setupRetryTimer = setTimeout(() => useKeyStore.getState().initialize(), SETUP_RETRY_MS);
+};
+
+const newKeysData = () => {
+  const keys = generateKeyPair();
+  return {
+    publicKey: keys.publicKey,
+    secretKey: keys.secretKey,
+    ...generateSigningKeyPair(),
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+// Keys saved before signing keys existed (or restored from such a backup)
+// get a signing keypair of their own
+const withSigningKeys = (keys) => {
+  const { valid } = validateSigningKeyPair(keys.signingPublicKey, keys.signingSecretKey);
+  return valid ? keys : { ...keys, ...generateSigningKeyPair() };
+};
+
+const keyState = (keys) => ({
+  publicKey: keys.publicKey,
+  secretKey: keys.secretKey,
+  signingPublicKey: keys.signingPublicKey,
+  signingSecretKey: keys.signingSecretKey,
+});
+
+// The server's backup, or null when it has none (404)
+const fetchKeyBackup = async () => {
+  try {
+    const data = await api.users.keyBackup();
+    return data?.backup ?? data ?? null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+};
+
+// The box key goes up signed, so others can tell it belongs with the signing
+// key. It is published twice: as the account's key for older apps, and as
+// this device's entry in the linked devices list.
+const uploadPublicKey = async ({ publicKey, signingPublicKey, signingSecretKey }) => {
+  if (!publicKey || !useAuthStore.getState().token) return;
+  const keySignature = signIdentityKey(publicKey, signingSecretKey);
+  try {
+    await api.users.uploadPublicKey(publicKey, { signingPublicKey, keySignature });
+    await api.users.registerDevice({
+      deviceId: await getDeviceId(),
+      name: getDeviceName(),
+      platform: Platform.OS,
+      publicKey,
+      signingPublicKey,
+      keySignature,
+    });
+    console.log("✅ Public key uploaded to server");
+  } catch (e) {
+    if (e.status === 410) {
+      // Revoked from another device: this session is over
+      console.warn("This device was unlinked from the account");
+      await resetDeviceId();
+      await useAuthStore.getState().logout();
+    } else if (e.status) {
+      console.warn("Failed to upload public key");
+    } else {
+      console.error("Upload public key error:", e);
+    }
+  }
+};
+
+/**
+ * Store for this device's E2EE keypair and Ed25519 signing keypair
+ * One instance for the whole app; the secret keys live in secure storage.
+ * Use it through the useKeyStorage hook in components.
+ */
+export const useKeyStore = create((set, get) => ({
+  publicKey: null,
+  secretKey: null,
+  signingPublicKey: null,
+  signingSecretKey: null,
+  isInitialized: false,
+  e2eeReady: false,
+  isLoading: false,
+  // True on web while the passphrase vault is locked
+  isLocked: false,
+  // Server backup waiting for the user's passphrase (new device / reinstall)
+  pendingBackup: null,
+  // True while setup can't check for a backup (offline or server error);
+  // it tries again on reconnect and every SETUP_RETRY_MS
+  isWaitingForNetwork: false,
+  error: null,
+
+  initialize: async () => {
+    if (get().isInitialized || get().pendingBackup) return;
+    if (initPromise) return initPromise;
+
+    initPromise = (async () => {
+      set({ isLoading: true, error: null });
+      try {
+        console.log("🔑 Initializing E2EE keys...");
+        const stored = await getSecureItem(KEYS_STORAGE_KEY);
+        let keys = stored ? JSON.parse(stored) : null;
+
+        if (keys) {
+          // CRITICAL: Validate loaded keys before using them
+          const validation = validateKeyPair(keys.publicKey, keys.secretKey);
+          if (!validation.valid) {
+            console.warn(`⚠️ Stored keys are invalid: ${validation.error}. Regenerating...`);
+            keys = null;
+          }
+        }
+
+        if (!keys) {
+          // A new keypair would orphan the old one; look for a backup first,
+          // which needs a session. Login runs initialize() again.
+          if (!useAuthStore.getState().token) return;
+          let backup;
+          try {
+            backup = await fetchKeyBackup();
+          } catch (error) {
+            if (!error.isNetworkError && !(error.status >= 500)) throw error;
+            console.warn("Couldn't check for a key backup, trying again later:", error.message);
+            set({ isWaitingForNetwork: true });
+            scheduleSetupRetry();
+            return;
+          }
+          clearTimeout(setupRetryTimer);
+          set({ isWaitingForNetwork: false });
+          if (backup) {
+            set({ pendingBackup: backup });
+            return;
+          }
+          keys = newKeysData();
+          await setSecureItem(KEYS_STORAGE_KEY, JSON.stringify(keys));
+          console.log("✅ Generated and saved new keypair");
+        } else {
+          console.log("✅ Loaded existing keys from storage");
+          if (!validateSigningKeyPair(keys.signingPublicKey, keys.signingSecretKey).valid) {
+            keys = withSigningKeys(keys);
+            await setSecureItem(KEYS_STORAGE_KEY, JSON.stringify(keys));
+            console.log("✅ Added a signing keypair");
+          }
+        }
+
+        set({
+          ...keyState(keys),
+          isInitialized: true,
+          e2eeReady: true,
+          isLocked: false,
+        });
+        await uploadPublicKey(keys);
+      } catch (err) {
+        if (err instanceof VaultLockedError) {
+          // Never generate new keys here; that would orphan the stored ones
+          set({ isLocked: true });
+        } else {
+          console.error("❌ Key initialization error:", err);
+          set({ error: err.message || "Failed to initialize keys" });
+        }
+      } finally {
+        set({ isLoading: false });
+        initPromise = null;
+      }
+    })();
+    return initPromise;
+  },
+
+  /**
+   * Unwrap pendingBackup with the user's passphrase and start using it
+   * Throws WrongPassphraseError so the prompt can say so.
+   */
+  restoreFromBackup: async (passphrase) => {
+    const { pendingBackup } = get();
+    if (!pendingBackup) return;
+    const keys = withSigningKeys(await restoreKeyBackup(pendingBackup, passphrase));
+    await setSecureItem(
+      KEYS_STORAGE_KEY,
+      JSON.stringify({ ...keys, generatedAt: pendingBackup.createdAt, restoredAt: new Date().toISOString() }),
+    );
+    set({
+      ...keyState(keys),
+      pendingBackup: null,
+      isInitialized: true,
+      e2eeReady: true,
+      error: null,
+    });
+    await uploadPublicKey(keys);
+  },
+
+  // Give up on the backup: old messages stay unreadable on this device
+  skipRestore: async () => {
+    set({ pendingBackup: null });
+    const keys = newKeysData();
+    await setSecureItem(KEYS_STORAGE_KEY, JSON.stringify(keys));
+    set({ ...keyState(keys), isInitialized: true, e2eeReady: true });
+    await uploadPublicKey(keys);
+  },
+
+  // Wrap the current keypairs with `passphrase` and upload them
+  backupKeys: async (passphrase) => {
+    const { publicKey, secretKey } = get();
+    if (!publicKey || !secretKey) throw new Error("Keys not initialized");
+    const backup = await createKeyBackup(keyState(get()), passphrase);
+    await api.users.saveKeyBackup(backup);
+    return backup;
+  },
+
+  // { createdAt, publicKey } of the server backup, or null
+  getBackupStatus: async () => {
+    const backup = await fetchKeyBackup();
+    if (!backup) return null;
+    return {
+      createdAt: backup.createdAt,
+      // A backup of an older keypair can't decrypt new messages
+      isCurrent: backup.publicKey === get().publicKey,
+    };
+  },
+
+  deleteBackup: async () => {
+    try {
+      await api.users.deleteKeyBackup();
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  },
+
+  // Use with caution: messages encrypted to the old key become unreadable
+  regenerateKeys: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const keys = newKeysData();
+      await setSecureItem(KEYS_STORAGE_KEY, JSON.stringify(keys));
+      set({ ...keyState(keys), e2eeReady: true });
+      uploadPublicKey(keys);
+      return { publicKey: keys.publicKey, secretKey: keys.secretKey };
+    } catch (err) {
+      console.error("Key regeneration error:", err);
+      set({ error: err.message || "Failed to regenerate keys" });
+      throw err;
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  clearKeys: async () => {
+    try {
+      await deleteSecureItem(KEYS_STORAGE_KEY);
+      set({
+        publicKey: null,
+        secretKey: null,
+        signingPublicKey: null,
+        signingSecretKey: null,
+        isInitialized: false,
+        e2eeReady: false,
+      });
+    } catch (err) {
+      console.error("Key clear error:", err);
+      set({ error: err.message || "Failed to clear keys" });
+      throw err;
+    }
+  },
+}));
+
+/**
+ * Read the keypairs outside of React (e.g. notification actions)
+ * Returns null when no valid keys are available; the signing keys are
+ * missing until initialize() has added them to older stored keys.
+ */
+export const loadStoredKeyPair = async () => {
+  const { publicKey, secretKey } = useKeyStore.getState();
+  if (publicKey && secretKey) return keyState(useKeyStore.getState());
+
+  const stored = await getSecureItem(KEYS_STORAGE_KEY);
+  if (!stored) return null;
+  const keys = JSON.parse(stored);
+  return validateKeyPair(keys.publicKey, keys.secretKey).valid ? keys : null;
+};
+
+// Publish the public key for each new session, or finish a deferred setup
+useAuthStore.subscribe((state, prevState) => {
+  if (state.token === prevState.token) return;
+  if (!state.token) {
+    clearTimeout(setupRetryTimer);
+    useKeyStore.setState({ pendingBackup: null, isWaitingForNetwork: false });
+    return;
+  }
+  const { isInitialized, initialize } = useKeyStore.getState();
+  if (isInitialized) uploadPublicKey(useKeyStore.getState());
+  else initialize();
+});
+
+// Web: load the keys once the vault is unlocked (or was reset)
+subscribeVaultStatus((status) => {
+  if (status !== "locked" && useKeyStore.getState().isLocked) {
+    useKeyStore.getState().initialize();
+  }
+});
+
+// Setup waiting for the network tries again as soon as the socket is back
+useSocketStore.subscribe((state, prevState) => {
+  if (
+    state.connectionState === "connected" &&
+    prevState.connectionState !== "connected" &&
+    useKeyStore.getState().isWaitingForNetwork
+  ) {
+    useKeyStore.getState().initialize();
+  }
+});
@@ -0,0 +1,153 @@
+import { create } from "zustand";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const PREFS_STORAGE_KEY = "notification_prefs";
+
+export const NOTIFICATION_TYPES = [
+  { key: "likes", label: "Likes", description: "Someone likes your post" },
+  { key: "comments", label: "Comments", description: "Someone comments on your post" },
+  { key: "replies", label: "Replies", description: "Someone replies to your comment" },
+  {
+    key: "friendRequests",
+    label: "Friend requests",
+    description: "New requests and accepted requests",
+  },
+  { key: "messages", label: "Messages", description: "New chat messages" },
+  { key: "posts", label: "New posts", description: "Friends share a new meme" },
+];
+
+// Notification data.type -> preference key
+export const PREFERENCE_FOR_TYPE = {
+  like: "likes",
+  comment: "comments",
+  reply: "replies",
+  friend_request: "friendRequests",
+  friend_accept: "friendRequests",
+  message: "messages",
+  post: "posts",
+};
+
+export const DEFAULT_PREFS = {
+  types: {
+    likes: true,
+    comments: true,
+    replies: true,
+    friendRequests: true,
+    messages: true,
+    posts: true,
+  },
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "07:00",
+    // 0 = Sunday, matches Date#getDay()
+    days: [0, 1, 2, 3, 4, 5, 6],
+  },
+};
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm || "0:0").split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+/**
+ * Whether `date` falls inside the quiet-hours window.
+ * A window that crosses midnight (22:00 -> 07:00) belongs to the day it starts.
+ */
+export const isWithinQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  const days = quietHours.days ?? DEFAULT_PREFS.quietHours.days;
+
+  if (start < end) {
+    return days.includes(today) && now >= start && now < end;
+  }
+  if (now >= start) return days.includes(today);
+  if (now < end) return days.includes(yesterday);
+  return false;
+};
+
+const mergePrefs = (saved) => ({
+  types: { ...DEFAULT_PREFS.types, ...saved?.types },
+  quietHours: { ...DEFAULT_PREFS.quietHours, ...saved?.quietHours },
+});
+
+/**
+ * Store for the user's notification preferences
+ * Persisted on the device and sent to the backend with the push token
+ */
+export const useNotificationPrefsStore = create((set, get) => ({
+  ...DEFAULT_PREFS,
+  isLoaded: false,
+
+  loadPrefs: async () => {
+    try {
+      const json = await AsyncStorage.getItem(PREFS_STORAGE_KEY);
+      if (json) set(mergePrefs(JSON.parse(json)));
+    } catch (e) {
+      console.warn("Failed to load notification preferences:", e);
+    } finally {
+      set({ isLoaded: true });
+    }
+  },
+
+  setTypeEnabled: async (key, enabled) => {
+    set((state) => ({ types: { ...state.types, [key]: enabled } }));
+    await get().savePrefs();
+  },
+
+  setQuietHours: async (changes) => {
+    set((state) => ({ quietHours: { ...state.quietHours, ...changes } }));
+    await get().savePrefs();
+  },
+
+  savePrefs: async () => {
+    try {
+      const { types, quietHours } = get();
+      await AsyncStorage.setItem(PREFS_STORAGE_KEY, JSON.stringify({ types, quietHours }));
+    } catch (e) {
+      console.warn("Failed to save notification preferences:", e);
+    }
+  },
+
+  // Plain object in the shape the backend expects
+  getPrefs: () => {
+    const { types, quietHours } = get();
+    return {
+      types,
+      quietHours: {
+        ...quietHours,
+        // The server needs this to evaluate the window in the user's time
+        timezoneOffsetMinutes: -new Date().getTimezoneOffset(),
+      },
+    };
+  },
+
+  resetPrefs: async () => {
+    set(mergePrefs());
+    try {
+      await AsyncStorage.removeItem(PREFS_STORAGE_KEY);
+    } catch (e) {
+      console.warn("Failed to reset notification preferences:", e);
+    }
+  },
+}));
+
+/**
+ * Whether a notification of this type may alert the user right now
+ * Pass { ignoreQuietHours: true } for silent, in-app surfaces
+ */
+export const shouldNotify = (type, { date = new Date(), ignoreQuietHours = false } = {}) => {
+  const { types, quietHours } = useNotificationPrefsStore.getState();
+  const key = PREFERENCE_FOR_TYPE[type];
+  if (key && types[key] === false) return false;
+  if (!ignoreQuietHours && isWithinQuietHours(quietHours, date)) return false;
+  return true;
+};
@@ -0,0 +1,208 @@
+import { create } from "zustand";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { api } from "../utils/apiClient";
+import {
+  createNotificationsMock,
+  LEGACY_READ_STORAGE_KEY,
+} from "../utils/notificationsMock";
+import { useAuthStore } from "./authStore";
+
+const PAGE_SIZE = 20;
+// Re-opening the inbox within this window reuses the cached first page
+const CACHE_TTL_MS = 30000;
+const MIGRATION_BATCH_SIZE = 200;
+
+const mock = createNotificationsMock({
+  api,
+  getCurrentUserId: () => useAuthStore.getState().user?._id,
+});
+
+// "server" until /notifications answers 404, then "mock" for the session
+let source = "server";
+let legacyMigrated = false;
+
+// Push the old on-device "visitedNotifications" set to the server once,
+// then delete it. Failures other than 404 are retried on the next call.
+const migrateLegacyReadState = async () => {
+  const json = await AsyncStorage.getItem(LEGACY_READ_STORAGE_KEY);
+  let ids = [];
+  try {
+    ids = json ? JSON.parse(json) : [];
+  } catch {
+    // Unreadable legacy set: nothing to migrate, the key is removed below
+    console.warn("Discarding unreadable legacy notification read state");
+  }
+  if (!Array.isArray(ids)) ids = [];
+  try {
+    for (let i = 0; i < ids.length; i += MIGRATION_BATCH_SIZE) {
+      await api.notifications.markLegacyRead(ids.slice(i, i + MIGRATION_BATCH_SIZE));
+    }
+  } catch (error) {
+    if (error.status === 404) throw error;
+    console.warn("Notification read-state migration failed:", error.message);
+    return;
+  }
+  if (json !== null) await AsyncStorage.removeItem(LEGACY_READ_STORAGE_KEY);
+  legacyMigrated = true;
+};
+
+const callSource = async (method, ...args) => {
+  if (source === "server") {
+    try {
+      if (!legacyMigrated) await migrateLegacyReadState();
+      return await api.notifications[method](...args);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      console.log("/notifications not available, using local inbox");
+      source = "mock";
+    }
+  }
+  return mock[method](...args);
+};
+
+/**
+ * Store for the notification inbox
+ * Shared by the Home badge and NotificationModal so they never disagree
+ */
+export const useNotificationStore = create((set, get) => ({
+  notifications: [],
+  nextCursor: null,
+  unreadCount: 0,
+  isLoading: false,
+  isLoadingMore: false,
+  lastFetchedAt: 0,
+  error: null,
+  // True while NotificationModal is on screen (suppresses toasts)
+  isInboxOpen: false,
+
+  setInboxOpen: (isInboxOpen) => set({ isInboxOpen }),
+
+  // Add a notification pushed over the socket. Returns false for duplicates.
+  ingest: (notification) => {
+    if (!notification?._id) return false;
+    if (get().notifications.some((n) => n._id === notification._id)) return false;
+
+    if (source === "mock") mock.invalidate();
+    set((state) => ({
+      notifications: [{ read: false, ...notification }, ...state.notifications],
+      unreadCount: notification.read ? state.unreadCount : state.unreadCount + 1,
+    }));
+    return true;
+  },
+
+  fetchUnreadCount: async () => {
+    if (!useAuthStore.getState().token) return;
+    try {
+      const data = await callSource("unreadCount");
+      set({ unreadCount: data?.count ?? 0 });
+    } catch (error) {
+      console.error("Error fetching notification count:", error);
+    }
+  },
+
+  // Load (or reload) the newest page
+  fetchNotifications: async ({ force = false } = {}) => {
+    const { isLoading, lastFetchedAt } = get();
+    if (isLoading) return;
+    if (!force && lastFetchedAt && Date.now() - lastFetchedAt < CACHE_TTL_MS) return;
+
+    set({ isLoading: true, error: null });
+    try {
+      const data = await callSource("list", { limit: PAGE_SIZE });
+      set({
+        notifications: data?.notifications || [],
+        nextCursor: data?.nextCursor || null,
+        unreadCount: data?.unreadCount ?? get().unreadCount,
+        lastFetchedAt: Date.now(),
+      });
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      set({ error: error.message || "Failed to load notifications" });
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  fetchMoreNotifications: async () => {
+    const { nextCursor, isLoading, isLoadingMore } = get();
+    if (!nextCursor || isLoading || isLoadingMore) return;
+
+    set({ isLoadingMore: true });
+    try {
+      const data = await callSource("list", { cursor: nextCursor, limit: PAGE_SIZE });
+      set((state) => {
+        const seen = new Set(state.notifications.map((n) => n._id));
+        const fresh = (data?.notifications || []).filter((n) => !seen.has(n._id));
+        return {
+          notifications: [...state.notifications, ...fresh],
+          nextCursor: data?.nextCursor || null,
+        };
+      });
+    } catch (error) {
+      console.error("Error fetching more notifications:", error);
+    } finally {
+      set({ isLoadingMore: false });
+    }
+  },
+
+  markRead: async (ids) => {
+    const unread = get().notifications.filter((n) => ids.includes(n._id) && !n.read);
+    // Optimistic: update the list and badge right away
+    set((state) => ({
+      notifications: state.notifications.map((n) =>
+        ids.includes(n._id) ? { ...n, read: true } : n,
+      ),
+      unreadCount: Math.max(0, state.unreadCount - unread.length),
+    }));
+    try {
+      const data = await callSource("markRead", ids);
+      if (typeof data?.unreadCount === "number") set({ unreadCount: data.unreadCount });
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+    }
+  },
+
+  // Read state changed elsewhere (another device); update without a request
+  applyRemoteRead: ({ ids, all } = {}) => {
+    set((state) => {
+      const matches = (n) => all || ids?.includes(n._id);
+      const newlyRead = state.notifications.filter((n) => !n.read && matches(n));
+      return {
+        notifications: state.notifications.map((n) =>
+          matches(n) ? { ...n, read: true } : n,
+        ),
+        unreadCount: all ? 0 : Math.max(0, state.unreadCount - newlyRead.length),
+      };
+    });
+  },
+
+  markAllRead: async () => {
+    set((state) => ({
+      notifications: state.notifications.map((n) => ({ ...n, read: true })),
+      unreadCount: 0,
+    }));
+    try {
+      await callSource("markAllRead");
+    } catch (error) {
+      console.error("Error marking all notifications read:", error);
+    }
+  },
+
+  reset: () => {
+    mock.reset();
+    source = "server";
+    legacyMigrated = false;
+    set({
+      notifications: [],
+      nextCursor: null,
+      unreadCount: 0,
+      lastFetchedAt: 0,
+      error: null,
+    });
+  },
+}));
+
+// Drop the previous user's inbox on logout
+useAuthStore.subscribe((state, prevState) => {
+  if (prevState.token && !state.token) useNotificationStore.getState().reset();
+});
@@ -0,0 +1,172 @@
+import { create } from "zustand";
+import { ApiError } from "../utils/apiClient";
+import { getSealedItem, setSealedItem } from "../utils/sealedStorage";
+import { prepareTextMessage, deliverTextMessage, createClientId } from "../utils/quickReply";
+import { useAuthStore } from "./authStore";
+
+const OUTBOX_STORAGE_KEY = "message_outbox";
+
+const storageKey = () =>
+  `${OUTBOX_STORAGE_KEY}:${useAuthStore.getState().user?._id || "anonymous"}`;
+
+// Items being sent right now; never sent twice at once
+const inFlight = new Set();
+
+// (message, item) callbacks for every message the server accepted
+const sentListeners = new Set();
+
+// Offline, timed out or a server hiccup; anything else needs the user
+const isRetryable = (error) =>
+  error instanceof ApiError && (error.isNetworkError || error.status >= 500);
+
+/**
+ * Text messages not yet accepted by the server, kept across restarts
+ * An item is encrypted on its first attempt and that same payload is sent
+ * on every retry: sealing again would advance the ratchet past a message
+ * the recipient may already have. The payload carries the item's clientId
+ * so the server can drop a copy it already saved.
+ * Items hold the plaintext until they're sent, so they're kept in sealed
+ * storage. useOutboxSync retries them when the socket reconnects.
+ * items: [{ clientId, receiverId, text, replyTo, payload, status: "pending" | "failed", error, retryable, queuedAt }]
+ */
+export const useOutboxStore = create((set, get) => {
+  const update = (clientId, changes) =>
+    set((state) => ({
+      items: state.items.map((item) =>
+        item.clientId === clientId ? { ...item, ...changes } : item,
+      ),
+    }));
+
+  return {
+    items: [],
+    isLoaded: false,
+    loadPromise: null,
+
+    loadOutbox: () => {
+      if (get().isLoaded) return Promise.resolve();
+      if (get().loadPromise) return get().loadPromise;
+
+      const loadPromise = (async () => {
+        try {
+          const json = await getSealedItem(storageKey());
+          if (json) {
+            const stored = JSON.parse(json);
+            // Anything queued during this session keeps its place at the end
+            set((state) => ({ items: [...stored, ...state.items] }));
+          }
+        } catch (e) {
+          console.warn("Failed to load the outbox:", e);
+        } finally {
+          set({ isLoaded: true, loadPromise: null });
+        }
+      })();
+      set({ loadPromise });
+      return loadPromise;
+    },
+
+    saveOutbox: async () => {
+      try {
+        await setSealedItem(storageKey(), JSON.stringify(get().items));
+      } catch (e) {
+        console.warn("Failed to save the outbox:", e);
+      }
+    },
+
+    // Queue `text` for `receiverId` and try to send it. Returns the clientId.
+    // replyTo: reference of the message it replies to (utils/messageReplies)
+    enqueue: async (receiverId, text, replyTo = null) => {
+      const item = {
+        clientId: createClientId("outbox"),
+        receiverId: String(receiverId),
+        text,
+        replyTo,
+        payload: null,
+        status: "pending",
+        error: null,
+        retryable: false,
+        queuedAt: new Date().toISOString(),
+      };
+      set((state) => ({ items: [...state.items, item] }));
+      await get().loadOutbox();
+      await get().saveOutbox();
+      get().sendItem(item.clientId);
+      return item.clientId;
+    },
+
+    sendItem: async (clientId) => {
+      const item = get().items.find((i) => i.clientId === clientId);
+      if (!item || inFlight.has(clientId)) return;
+      inFlight.add(clientId);
+      update(clientId, { status: "pending", error: null });
+
+      try {
+        let { payload } = item;
+        if (!payload) {
+          payload = {
+            ...(await prepareTextMessage(item.receiverId, item.text, item.replyTo)),
+            clientId,
+          };
+          // Deleted while it was being encrypted
+          if (!get().items.some((i) => i.clientId === clientId)) return;
+          update(clientId, { payload });
+          await get().saveOutbox();
+        }
+
+        const saved = await deliverTextMessage(payload);
+        set((state) => ({ items: state.items.filter((i) => i.clientId !== clientId) }));
+        await get().saveOutbox();
+        const message = { ...saved, text: item.text, ...(item.replyTo && { quoted: item.replyTo }) };
+        sentListeners.forEach((listener) => listener(message, item));
+      } catch (error) {
+        console.warn("Message not sent:", error.message);
+        update(clientId, {
+          status: "failed",
+          error: error.message || "Failed to send message",
+          retryable: isRetryable(error),
+        });
+        await get().saveOutbox();
+      } finally {
+        inFlight.delete(clientId);
+      }
+    },
+
+    // Send everything that can go without the user, oldest first
+    flush: async () => {
+      if (!useAuthStore.getState().token) return;
+      await get().loadOutbox();
+      const due = get().items.filter(
+        (item) => item.status === "pending" || item.retryable,
+      );
+      for (const item of due) {
+        await get().sendItem(item.clientId);
+      }
+    },
+
+    // Drop an item without sending it. One already on its way may still
+    // arrive; the server's copy then shows up like any sent message.
+    discard: async (clientId) => {
+      set((state) => ({ items: state.items.filter((i) => i.clientId !== clientId) }));
+      await get().saveOutbox();
+    },
+
+    reset: () => {
+      inFlight.clear();
+      set({ items: [], isLoaded: false, loadPromise: null });
+    },
+  };
+});
+
+/**
+ * Call `listener(message, item)` with each message the outbox delivers
+ * (`message.text` is the plaintext, `message.quoted` the reply reference).
+ * Returns an unsubscribe function.
+ */
+export const onOutboxMessageSent = (listener) => {
+  sentListeners.add(listener);
+  return () => sentListeners.delete(listener);
+};
+
+// The outbox belongs to the signed-in account
+useAuthStore.subscribe((state, prevState) => {
+  if (prevState.token && !state.token) useOutboxStore.getState().reset();
+});
@@ -1,12 +1,79 @@
 import { create } from "zustand";
-import { API_URL } from "../constants/api";
+import { api } from "../utils/apiClient";
+import { useKeyPinStore } from "./keyPinStore";
+import { verifyIdentityKey } from "../utils/messageSigning";
+import { useAuthStore } from "./authStore";
+
+// A user's linked devices; [] for users on an app version without them (404).
+// Only devices whose box key is signed by their own signing key are kept.
+const fetchDevices = async (userId) => {
+  let list;
+  try {
+    const data = await api.users.devices(userId);
+    list = data?.devices ?? data ?? [];
+  } catch (error) {
+    if (error.status === 404) return [];
+    throw error;
+  }
+  return list
+    .filter((device) => {
+      const valid =
+        device.deviceId &&
+        device.publicKey &&
+        device.signingPublicKey &&
+        verifyIdentityKey(device.publicKey, device.signingPublicKey, device.keySignature);
+      if (!valid) console.warn(`Ignoring device ${device.deviceId} with a bad key signature`);
+      return valid;
+    })
+    .map(
+      ({
+        deviceId,
+        name,
+        platform,
+        publicKey,
+        signingPublicKey,
+        approvedBy,
+        approvalSignature,
+        createdAt,
+        lastSeenAt,
+      }) => ({
+        deviceId,
+        name,
+        platform,
+        publicKey,
+        signingPublicKey,
+        approvedBy,
+        approvalSignature,
+        createdAt,
+        lastSeenAt,
+      }),
+    );
+};
+
+// One device's keys: the box key, then the signing key after a "."
+const deviceKeysOf = ({ publicKey, signingPublicKey }) =>
+  signingPublicKey ? `${publicKey}.${signingPublicKey}` : publicKey;
+
+/**
+ * All of a user's keys as one string: each device's keys, sorted and joined
+ * with ",", or the account keys for users without linked devices. This is
+ * what gets pinned and verified, so a new device or signing key shows up as
+ * a key change.
+ */
+export const keysetOf = ({ publicKey, signingPublicKey, devices }) =>
+  devices?.length
+    ? devices.map(deviceKeysOf).sort().join(",")
+    : deviceKeysOf({ publicKey, signingPublicKey });
 
 /**
  * Store for managing recipient public keys with caching and retry logic
  * Prevents redundant API calls and handles missing keys gracefully
+ * Every fetched keyset is checked against its trust-on-first-use pin (keyPinStore)
  */
 export const useRecipientPublicKeyStore = create((set, get) => ({
-  // Cache: { userId: { publicKey: "...", timestamp: Date, error: null } }
+  // Cache: { userId: { publicKey, signingPublicKey, devices, keyset, timestamp: Date, error: null } }
+  // signingPublicKey is null for users on an app version without signing keys,
+  // devices is [] for users without linked devices
   cache: {},
 
   // Fetch recipient's public key with retry and caching
@@ -41,17 +108,18 @@ export const useRecipientPublicKeyStore = create((set, get) => ({
     let lastError = null;
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        const res = await fetch(`${API_URL}/users/${recipientId}/public-key`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
+        let data;
+        try {
+          data = await api.users.publicKey(recipientId);
+        } catch (apiError) {
+          // Network failures fall through to the retry loop below
+          if (apiError.isNetworkError) throw apiError;
 
-        if (!res.ok) {
-          const data = await res.json();
           const error = new Error(
-            data.message || "Failed to fetch recipient public key",
+            apiError.message || "Failed to fetch recipient public key",
           );
-          error.statusCode = res.status;
-          error.isE2EENotSetup = res.status === 400; // 400 = user hasn't set up E2EE
+          error.statusCode = apiError.status;
+          error.isE2EENotSetup = apiError.status === 400; // 400 = user hasn't set up E2EE
 
           // Cache the error
           set((state) => ({
@@ -68,31 +136,58 @@ export const useRecipientPublicKeyStore = create((set, get) => ({
           throw error;
         }
 
-        const data = await res.json();
-        const publicKey = data.publicKey;
+        const publicKey = data?.publicKey;
 
         if (!publicKey) {
           throw new Error("Public key not found in response");
         }
 
+        // The box key must be signed by the signing key it comes with
+        const signingPublicKey = data.signingPublicKey || null;
+        if (
+          signingPublicKey &&
+          !verifyIdentityKey(publicKey, signingPublicKey, data.keySignature)
+        ) {
+          const error = new Error("Recipient's key signature is invalid");
+          error.isBadSignature = true;
+          throw error;
+        }
+
+        const isOwnAccount = String(recipientId) === String(useAuthStore.getState().user?._id);
+        let devices = await fetchDevices(recipientId);
+        // Our own messages only go to devices we approved (keyPinStore)
+        if (isOwnAccount) {
+          devices = await useKeyPinStore.getState().checkOwnDevices(recipientId, devices);
+        }
+        const keyset = keysetOf({ publicKey, signingPublicKey, devices });
+
         // Cache the successful result
         set((state) => ({
           cache: {
             ...state.cache,
             [recipientId]: {
               publicKey,
+              signingPublicKey,
+              devices,
+              keyset,
               error: null,
               timestamp: Date.now(),
             },
           },
         }));
 
+        // Record it if the contact's keys changed since we pinned them
+        if (!isOwnAccount) {
+          await useKeyPinStore.getState().checkKey(recipientId, keyset);
+        }
+
         return publicKey;
       } catch (error) {
         lastError = error;
 
-        // Don't retry on 404 (user doesn't exist) or 400 (no E2EE setup)
-        if (error.statusCode === 404) {
+        // Don't retry on 404 (user doesn't exist), a bad key signature
+        // or 400 (no E2EE setup)
+        if (error.statusCode === 404 || error.isBadSignature) {
           throw error;
         }
 
@@ -111,6 +206,23 @@ export const useRecipientPublicKeyStore = create((set, get) => ({
     throw lastError;
   },
 
+  // One of a user's devices by id, or null. Refetches the list (at most
+  // every 30 seconds) in case the device was linked since.
+  fetchDevice: async (userId, deviceId, token) => {
+    const find = () =>
+      get().cache[userId]?.devices?.find((device) => device.deviceId === deviceId) || null;
+    if (find() || Date.now() - (get().cache[userId]?.timestamp || 0) < 30000) {
+      return find();
+    }
+    get().invalidateCache(userId);
+    try {
+      await get().fetchRecipientPublicKey(userId, token);
+    } catch (error) {
+      console.warn(`Couldn't fetch devices of ${userId}:`, error.message);
+    }
+    return find();
+  },
+
   // Invalidate cache for a specific recipient
   invalidateCache: (recipientId) => {
     set((state) => {
@@ -0,0 +1,462 @@
+import { create } from "zustand";
+import { api } from "../utils/apiClient";
+import {
+  SESSION_VERSION,
+  SessionError,
+  acceptSession,
+  generatePreKeys,
+  generateSignedPreKey,
+  initiateSession,
+  ratchetDecrypt,
+  ratchetEncrypt,
+} from "../utils/ratchet";
+import { getSealedItem, setSealedItem, removeSealedItem } from "../utils/sealedStorage";
+import {
+  isMessageDatabaseSupported,
+  saveSessionTexts,
+  loadSessionText,
+} from "../utils/messageDatabase";
+import { signPreKey, verifyPreKey } from "../utils/messageSigning";
+import { getDeviceId } from "../utils/device";
+import { useAuthStore } from "./authStore";
+import { useKeyStore, loadStoredKeyPair } from "./keyStore";
+import { useRecipientPublicKeyStore } from "./recipientPublicKeyStore";
+
+const SESSIONS_ITEM = "sessions";
+const MESSAGE_CACHE_ITEM = "session_messages";
+const ONE_TIME_PREKEY_BATCH = 50;
+// Top up the server when fewer than this many one-time prekeys are left
+const MIN_ONE_TIME_PREKEYS = 20;
+// Handed out but never used ones are dropped beyond this
+const MAX_LOCAL_ONE_TIME_PREKEYS = 200;
+const SIGNED_PREKEY_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+// A contact without prekeys runs an older app; ask again after this long
+const NO_BUNDLE_RETRY_MS = 5 * 60 * 1000;
+// Web has no message database; texts share one sealed item there
+const MAX_WEB_CACHED_MESSAGES = 5000;
+// Sessions a newer one replaced, kept per device for messages still on them
+const MAX_PREVIOUS_SESSIONS = 4;
+
+const accountItem = (name) =>
+  `${name}:${useAuthStore.getState().user?._id || "anonymous"}`;
+
+// Devices that had no prekey bundle: session id -> retry time
+const noBundleUntil = new Map();
+
+// Session and prekey changes run one at a time, in call order
+let queue = Promise.resolve();
+const serialized = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const publicPart = ({ keyId, publicKey }) => ({ keyId, publicKey });
+
+const latestSignedPreKey = (signedPreKeys) =>
+  Object.values(signedPreKeys).sort((a, b) => b.keyId - a.keyId)[0] || null;
+
+// The device's bundle, or null when it hasn't published one (404)
+const fetchBundle = async (userId, deviceId) => {
+  try {
+    const data = await api.users.prekeyBundle(userId, deviceId);
+    return data?.bundle ?? data ?? null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+};
+
+const senderIdOf = (msg) =>
+  String(typeof msg.sender === "object" ? msg.sender?._id : msg.sender);
+
+// One session per device of each user
+const sessionIdOf = (userId, deviceId) => `${userId}:${deviceId}`;
+
+// session id -> the device key each session is with
+const remoteKeysOf = (sessions) =>
+  Object.fromEntries(
+    Object.entries(sessions).map(([sessionId, session]) => [sessionId, session.remoteIdentityKey]),
+  );
+
+/**
+ * Store for forward-secret sessions (utils/ratchet) with each linked device
+ *
+ * Holds this device's prekeys and one ratchet session per device of each
+ * contact (and of our own other devices), plus the few it replaced: when
+ * both sides start a session at once, each answers the other's, and
+ * messages keep arriving on both until one side replies. All of it is
+ * sealed in AsyncStorage (see
+ * sealedStorage). Ratchet keys are used once, so every decrypted or sent
+ * text is kept by the message's nonce, one row each in the message
+ * database (utils/messageDatabase); that is how history is shown again
+ * later. Web has no database and keeps the latest texts in one sealed item.
+ *
+ * Devices without a prekey bundle still get the static nacl.box scheme
+ * from cryptoUtils; encryptForDevice returns null for them. A device we
+ * once had a session with never goes back to it, or the server could
+ * downgrade a conversation by withholding prekeys. Messages are put
+ * together per device in utils/messageEnvelopes.
+ */
+export const useSessionStore = create((set, get) => ({
+  // Our public key that the sessions and prekeys below belong to
+  identityKey: null,
+  sessions: {},
+  // session id -> [replaced sessions], most recent first
+  previousSessions: {},
+  // session id -> device key, for every device we've had a session with;
+  // kept when our own identity key changes
+  ratchetDevices: {},
+  signedPreKeys: {},
+  oneTimePreKeys: {},
+  nextPreKeyId: 1,
+  // nonce -> plaintext, for texts used since launch (on web, all of them)
+  messageCache: {},
+  isLoaded: false,
+
+  // Only call from inside serialized tasks. Returns our identity keypair.
+  load: async () => {
+    const identity = await loadStoredKeyPair();
+    if (!identity) throw new SessionError("E2EE keys not initialized");
+    if (get().isLoaded && get().identityKey === identity.publicKey) return identity;
+
+    const [json, cacheJson] = await Promise.all([
+      getSealedItem(accountItem(SESSIONS_ITEM)),
+      getSealedItem(accountItem(MESSAGE_CACHE_ITEM)),
+    ]);
+    const saved = json ? JSON.parse(json) : null;
+    const messageCache = cacheJson ? JSON.parse(cacheJson) : {};
+    if (cacheJson && isMessageDatabaseSupported()) {
+      // Texts used to live in one sealed item; move them to the database
+      try {
+        await saveSessionTexts(Object.entries(messageCache));
+        await removeSealedItem(accountItem(MESSAGE_CACHE_ITEM));
+      } catch (error) {
+        console.warn("Failed to move message texts to the database:", error.message || error);
+      }
+    }
+    // Sessions and prekeys are tied to one identity key; a new one starts over
+    const fresh = !saved || saved.identityKey !== identity.publicKey;
+    set({
+      identityKey: identity.publicKey,
+      sessions: fresh ? {} : saved.sessions,
+      previousSessions: fresh ? {} : saved.previousSessions || {},
+      // Seeded from the sessions, for storage written before this was kept
+      ratchetDevices: { ...remoteKeysOf(saved?.sessions || {}), ...saved?.ratchetDevices },
+      signedPreKeys: fresh ? {} : saved.signedPreKeys,
+      oneTimePreKeys: fresh ? {} : saved.oneTimePreKeys,
+      nextPreKeyId: fresh ? 1 : saved.nextPreKeyId,
+      messageCache,
+      isLoaded: true,
+    });
+    return identity;
+  },
+
+  saveSessions: async () => {
+    const {
+      identityKey,
+      sessions,
+      previousSessions,
+      ratchetDevices,
+      signedPreKeys,
+      oneTimePreKeys,
+      nextPreKeyId,
+    } = get();
+    await setSealedItem(
+      accountItem(SESSIONS_ITEM),
+      JSON.stringify({
+        identityKey,
+        sessions,
+        previousSessions,
+        ratchetDevices,
+        signedPreKeys,
+        oneTimePreKeys,
+        nextPreKeyId,
+      }),
+    );
+  },
+
+  // Only call from inside serialized tasks
+  cacheMessage: async (nonce, plaintext) => {
+    set((state) => ({ messageCache: { ...state.messageCache, [nonce]: plaintext } }));
+    if (isMessageDatabaseSupported()) {
+      try {
+        await saveSessionTexts([[nonce, plaintext]]);
+      } catch (error) {
+        console.warn("Failed to store a message's text:", error.message || error);
+      }
+      return;
+    }
+
+    set((state) => {
+      const messageCache = { ...state.messageCache };
+      const nonces = Object.keys(messageCache);
+      nonces.slice(0, Math.max(0, nonces.length - MAX_WEB_CACHED_MESSAGES)).forEach((n) => {
+        delete messageCache[n];
+      });
+      return { messageCache };
+    });
+    await setSealedItem(accountItem(MESSAGE_CACHE_ITEM), JSON.stringify(get().messageCache));
+  },
+
+  // Only call from inside serialized tasks. The stored text or undefined.
+  lookupMessage: async (nonce) => {
+    const cached = get().messageCache[nonce];
+    if (cached !== undefined || !isMessageDatabaseSupported()) return cached;
+    const stored = await loadSessionText(nonce);
+    if (stored !== undefined) {
+      set((state) => ({ messageCache: { ...state.messageCache, [nonce]: stored } }));
+    }
+    return stored;
+  },
+
+  /**
+   * Make sure the server has a current signed prekey and enough one-time
+   * prekeys for others to start sessions with us
+   */
+  ensurePrekeys: () =>
+    serialized(async () => {
+      if (!useAuthStore.getState().token) return;
+      try {
+        const identity = await get().load();
+        // Signed prekeys need the signing key; initialize() adds it
+        if (!identity.signingSecretKey) return;
+        let { signedPreKeys, oneTimePreKeys, nextPreKeyId } = get();
+        const deviceId = await getDeviceId();
+        const upload = { deviceId, identityKey: identity.publicKey };
+        // Nothing local: whatever the server holds can't be decrypted here
+        if (!Object.keys(signedPreKeys).length) upload.replace = true;
+
+        const current = latestSignedPreKey(signedPreKeys);
+        if (
+          upload.replace ||
+          !current?.signature ||
+          Date.now() - Date.parse(current.createdAt) > SIGNED_PREKEY_MAX_AGE
+        ) {
+          const signed = generateSignedPreKey(nextPreKeyId++);
+          signed.signature = signPreKey(signed.publicKey, identity.signingSecretKey);
+          // Keep the previous one for sessions already on their way
+          signedPreKeys = {
+            ...(current && !upload.replace && { [current.keyId]: current }),
+            [signed.keyId]: signed,
+          };
+          upload.signedPreKey = {
+            ...publicPart(signed),
+            signature: signed.signature,
+            createdAt: signed.createdAt,
+          };
+        }
+
+        let remaining = 0;
+        if (!upload.replace) {
+          const data = await api.users.prekeyCount(deviceId);
+          remaining = data?.count ?? 0;
+        }
+        if (remaining < MIN_ONE_TIME_PREKEYS) {
+          const batch = generatePreKeys(nextPreKeyId, ONE_TIME_PREKEY_BATCH);
+          nextPreKeyId += batch.length;
+          const kept = upload.replace
+            ? []
+            : Object.values(oneTimePreKeys)
+                .sort((a, b) => a.keyId - b.keyId)
+                .slice(-(MAX_LOCAL_ONE_TIME_PREKEYS - batch.length));
+          oneTimePreKeys = Object.fromEntries(
+            [...kept, ...batch].map((key) => [key.keyId, key]),
+          );
+          upload.oneTimePreKeys = batch.map(publicPart);
+        }
+
+        if (!upload.signedPreKey && !upload.oneTimePreKeys) return;
+        // Saved first, so we never publish a prekey we can't use
+        set({ signedPreKeys, oneTimePreKeys, nextPreKeyId });
+        await get().saveSessions();
+        await api.users.uploadPrekeys(upload);
+      } catch (error) {
+        console.warn("Failed to publish prekeys:", error.message || error);
+      }
+    }),
+
+  /**
+   * Encrypt `text` for one device ({ deviceId, publicKey, signingPublicKey }
+   * from the recipient cache) of user `userId`
+   * Returns { cipherText, nonce, ratchet }, or null when the device has no
+   * prekeys (use the static scheme). Throws SessionError instead for a
+   * device we've had a session with.
+   */
+  encryptForDevice: (userId, device, text) =>
+    serialized(async () => {
+      const identity = await get().load();
+      const sessionId = sessionIdOf(userId, device.deviceId);
+      let session = get().sessions[sessionId];
+      // A new identity key for the device means a new session
+      if (session && session.remoteIdentityKey !== device.publicKey) session = null;
+
+      if (!session) {
+        const hadSession = get().ratchetDevices[sessionId] === device.publicKey;
+        if (!hadSession && (noBundleUntil.get(sessionId) || 0) > Date.now()) return null;
+        const bundle = await fetchBundle(userId, device.deviceId);
+        if (!bundle?.signedPreKey) {
+          if (hadSession) {
+            throw new SessionError(
+              "Their device stopped offering prekeys, so this can't be sent securely",
+            );
+          }
+          noBundleUntil.set(sessionId, Date.now() + NO_BUNDLE_RETRY_MS);
+          return null;
+        }
+        if (bundle.identityKey !== device.publicKey) {
+          throw new SessionError("Prekey bundle doesn't match this device's key");
+        }
+        // Only the device's signing key could have signed its prekey
+        const { publicKey, signature } = bundle.signedPreKey;
+        if (!verifyPreKey(publicKey, device.signingPublicKey, signature)) {
+          throw new SessionError("Prekey bundle signature is invalid");
+        }
+        session = initiateSession(identity, bundle);
+      }
+
+      const sealed = ratchetEncrypt(session, text);
+      set((state) => ({
+        sessions: { ...state.sessions, [sessionId]: sealed.state },
+        ratchetDevices: { ...state.ratchetDevices, [sessionId]: device.publicKey },
+      }));
+      await get().saveSessions();
+
+      return {
+        cipherText: sealed.cipherText,
+        nonce: sealed.nonce,
+        ratchet: {
+          version: SESSION_VERSION,
+          header: sealed.header,
+          ...(sealed.prekey && { prekey: sealed.prekey }),
+        },
+      };
+    }),
+
+  /**
+   * Plaintext of `envelope` (the message's copy for this device, one with
+   * `ratchet`), from a session with the sending device. The session that
+   * opens it becomes the one we send on. Cached under the message's own
+   * nonce. Throws SessionError when it can't be decrypted.
+   */
+  decryptEnvelope: (msg, envelope) =>
+    serialized(async () => {
+      const identity = await get().load();
+      const cached = await get().lookupMessage(msg.nonce);
+      if (cached !== undefined) return cached;
+
+      const senderId = senderIdOf(msg);
+      const sessionId = sessionIdOf(senderId, msg.senderDeviceId);
+      const { header, prekey } = envelope.ratchet;
+      const { cipherText, nonce } = envelope;
+      const active = get().sessions[sessionId];
+      const known = [...(active ? [active] : []), ...(get().previousSessions[sessionId] || [])];
+      let result = null;
+      let opened = null;
+      let firstError = null;
+      for (const session of known) {
+        try {
+          result = ratchetDecrypt(session, header, cipherText, nonce);
+          opened = session;
+          break;
+        } catch (error) {
+          firstError = firstError || error;
+        }
+      }
+
+      let usedOneTimeKeyId = null;
+      if (!result) {
+        // A prekey message we haven't answered yet starts a new session below
+        if (!prekey || known.some((session) => session.baseKey === prekey.baseKey)) {
+          throw firstError || new SessionError("No session with this device");
+        }
+        // Sessions are only accepted from the sender's listed devices
+        const device = await useRecipientPublicKeyStore
+          .getState()
+          .fetchDevice(senderId, msg.senderDeviceId, useAuthStore.getState().token);
+        if (device?.publicKey !== prekey.identityKey) {
+          throw new SessionError("Message is from a key that isn't one of the sender's devices");
+        }
+        const signedPreKey = get().signedPreKeys[prekey.signedPreKeyId];
+        if (!signedPreKey) throw new SessionError("Unknown signed prekey");
+        let oneTimePreKey = null;
+        if (prekey.oneTimePreKeyId != null) {
+          oneTimePreKey = get().oneTimePreKeys[prekey.oneTimePreKeyId];
+          if (!oneTimePreKey) throw new SessionError("One-time prekey was already used");
+          usedOneTimeKeyId = prekey.oneTimePreKeyId;
+        }
+        const accepted = acceptSession(identity, prekey, signedPreKey, oneTimePreKey);
+        result = ratchetDecrypt(accepted, header, cipherText, nonce);
+      }
+
+      set((state) => {
+        const oneTimePreKeys = { ...state.oneTimePreKeys };
+        if (usedOneTimeKeyId != null) delete oneTimePreKeys[usedOneTimeKeyId];
+        const previous = known
+          .filter((session) => session !== opened)
+          .slice(0, MAX_PREVIOUS_SESSIONS);
+        return {
+          sessions: { ...state.sessions, [sessionId]: result.state },
+          previousSessions: { ...state.previousSessions, [sessionId]: previous },
+          ratchetDevices: {
+            ...state.ratchetDevices,
+            [sessionId]: result.state.remoteIdentityKey,
+          },
+          oneTimePreKeys,
+        };
+      });
+      await get().saveSessions();
+      await get().cacheMessage(msg.nonce, result.plaintext);
+      return result.plaintext;
+    }),
+
+  // Whether we've had a session with any of `userId`'s devices
+  hasHadSessions: (userId) =>
+    serialized(async () => {
+      await get().load();
+      return Object.keys(get().ratchetDevices).some((id) => id.startsWith(`${userId}:`));
+    }),
+
+  // Keep the text of a message we sent, which can't be decrypted later
+  rememberMessage: (nonce, plaintext) =>
+    serialized(async () => {
+      await get().load();
+      await get().cacheMessage(nonce, plaintext);
+    }),
+
+  // Cached plaintext of a message, or undefined
+  getCachedMessage: (nonce) =>
+    serialized(async () => {
+      await get().load();
+      return get().lookupMessage(nonce);
+    }),
+
+  reset: () => {
+    noBundleUntil.clear();
+    set({
+      identityKey: null,
+      sessions: {},
+      previousSessions: {},
+      ratchetDevices: {},
+      signedPreKeys: {},
+      oneTimePreKeys: {},
+      nextPreKeyId: 1,
+      messageCache: {},
+      isLoaded: false,
+    });
+  },
+}));
+
+// Publish prekeys once this device's keys are ready
+useKeyStore.subscribe((state, prevState) => {
+  if (state.publicKey && state.publicKey !== prevState.publicKey) {
+    useSessionStore.getState().ensurePrekeys();
+  }
+});
+
+// ...and for each login; sessions belong to the signed-in account
+useAuthStore.subscribe((state, prevState) => {
+  if (state.token === prevState.token) return;
+  if (!state.token) useSessionStore.getState().reset();
+  else if (useKeyStore.getState().publicKey) useSessionStore.getState().ensurePrekeys();
+});
@@ -0,0 +1,285 @@
+import { create } from "zustand";
+import { io } from "socket.io-client";
+import { useAuthStore } from "./authStore";
+import { useToastStore } from "./toastStore";
+
+/**
+ * Socket Store
+ * Owns the one Socket.IO connection for the signed-in session.
+ *
+ * - connect(token, url) / disconnect() are driven by the root layout
+ * - Exponential backoff reconnects, including after a server-side kick
+ * - A handshake rejected for the token signs the user out instead
+ * - Handlers registered with on() survive reconnects and socket swaps
+ * - emit() while offline is queued and flushed on the next connect
+ * - connectionState feeds the global "Reconnecting…" banner
+ */
+
+export const RECONNECT_BASE_DELAY_MS = 1000;
+export const RECONNECT_MAX_DELAY_MS = 30000;
+// How long a queued emit with an ack callback waits before giving up
+export const QUEUED_ACK_TIMEOUT_MS = 8000;
+// How long a sent emit waits for the server's ack; the connection can drop
+// after the packet left, and then the ack never comes
+export const ACK_TIMEOUT_MS = 10000;
+const MAX_QUEUE_SIZE = 100;
+
+// Ephemeral events that are pointless to replay after a reconnect
+const VOLATILE_EVENTS = new Set(["typing_start", "typing_stop"]);
+
+// Module-level so every component shares the same connection
+let socket = null;
+let currentToken = null;
+let currentUrl = null;
+let manualReconnectTimer = null;
+let manualReconnectAttempt = 0;
+
+// event -> Set(handler); re-attached to every new socket instance
+const handlers = new Map();
+
+// [{ event, data, cb, timer }]
+let outbox = [];
+
+export const getBackoffDelay = (attempt) => {
+  const exp = Math.min(
+    RECONNECT_MAX_DELAY_MS,
+    RECONNECT_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1),
+  );
+  // +/- 25% jitter so clients don't reconnect in lockstep
+  return Math.round(exp * (0.75 + Math.random() * 0.5));
+};
+
+const clearManualReconnect = () => {
+  if (manualReconnectTimer) {
+    clearTimeout(manualReconnectTimer);
+    manualReconnectTimer = null;
+  }
+};
+
+const failQueued = (message) => {
+  const pending = outbox;
+  outbox = [];
+  pending.forEach((item) => {
+    clearTimeout(item.timer);
+    if (typeof item.cb === "function") item.cb(new Error(message));
+  });
+};
+
+// Emit on a connected socket; `cb` gets the server's ack or, after
+// ACK_TIMEOUT_MS without one, an error. It's called once either way.
+const emitNow = (event, data, cb) => {
+  if (typeof cb !== "function") {
+    socket.emit(event, data);
+    return;
+  }
+  let settled = false;
+  const timer = setTimeout(() => {
+    settled = true;
+    cb(new Error("Socket ack timed out"));
+  }, ACK_TIMEOUT_MS);
+  socket.emit(event, data, (...args) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    cb(...args);
+  });
+};
+
+// The server's auth middleware rejects the handshake with errors like
+// "Authentication error" or "jwt expired"; the same token never succeeds
+const isAuthError = (error) =>
+  error?.data?.status === 401 ||
+  /unauthori[sz]ed|authenticat|jwt|token/i.test(error?.message || "");
+
+const flushOutbox = () => {
+  if (!socket?.connected || outbox.length === 0) return;
+  const pending = outbox;
+  outbox = [];
+  pending.forEach(({ event, data, cb, timer }) => {
+    clearTimeout(timer);
+    emitNow(event, data, cb);
+  });
+};
+
+export const useSocketStore = create((set, get) => {
+  // Socket.IO does not retry after "io server disconnect" or a rejected
+  // handshake, so those cases reconnect on our own backoff schedule
+  const scheduleManualReconnect = () => {
+    clearManualReconnect();
+    if (!socket || !currentToken) return;
+
+    manualReconnectAttempt += 1;
+    set({
+      connectionState: "reconnecting",
+      reconnectAttempt: manualReconnectAttempt,
+    });
+
+    const target = socket;
+    manualReconnectTimer = setTimeout(() => {
+      manualReconnectTimer = null;
+      if (socket === target && !target.connected) target.connect();
+    }, getBackoffDelay(manualReconnectAttempt));
+  };
+
+  const attachHandlers = (target) => {
+    handlers.forEach((eventHandlers, event) => {
+      eventHandlers.forEach((handler) => target.on(event, handler));
+    });
+  };
+
+  return {
+    // "idle" | "connecting" | "connected" | "reconnecting" | "disconnected"
+    connectionState: "idle",
+    reconnectAttempt: 0,
+    // Bumped on every new socket instance so hooks can re-read it
+    socketVersion: 0,
+
+    connect: (token, url) => {
+      if (!token || !url) {
+        get().disconnect();
+        return;
+      }
+      // Same session, same server: keep the existing connection
+      if (socket && token === currentToken && url === currentUrl) return;
+
+      if (socket) {
+        socket.removeAllListeners();
+        socket.io.removeAllListeners();
+        socket.disconnect();
+      }
+      clearManualReconnect();
+      manualReconnectAttempt = 0;
+
+      currentToken = token;
+      currentUrl = url;
+
+      const next = io(url, {
+        auth: { token },
+        transports: ["websocket", "polling"],
+        reconnection: true,
+        reconnectionDelay: RECONNECT_BASE_DELAY_MS,
+        reconnectionDelayMax: RECONNECT_MAX_DELAY_MS,
+        randomizationFactor: 0.25,
+      });
+      socket = next;
+
+      next.on("connect", () => {
+        clearManualReconnect();
+        manualReconnectAttempt = 0;
+        set({ connectionState: "connected", reconnectAttempt: 0 });
+        flushOutbox();
+      });
+
+      next.on("disconnect", (reason) => {
+        if (reason === "io client disconnect") {
+          set({ connectionState: "disconnected" });
+        } else if (reason === "io server disconnect") {
+          scheduleManualReconnect();
+        } else {
+          // The manager retries these on its own
+          set({ connectionState: "reconnecting" });
+        }
+      });
+
+      next.on("connect_error", (error) => {
+        if (!next.active && isAuthError(error)) {
+          // Signing out disconnects through the root layout
+          clearManualReconnect();
+          set({ connectionState: "disconnected" });
+          useToastStore.getState().showToast({
+            title: "Session expired",
+            message: "Please log in again to continue.",
+            icon: "log-out-outline",
+          });
+          useAuthStore.getState().logout();
+          return;
+        }
+        if (!next.active) scheduleManualReconnect();
+        else set({ connectionState: "reconnecting" });
+      });
+
+      next.io.on("reconnect_attempt", (attempt) => {
+        set({ connectionState: "reconnecting", reconnectAttempt: attempt });
+      });
+
+      attachHandlers(next);
+
+      set((state) => ({
+        connectionState: "connecting",
+        reconnectAttempt: 0,
+        socketVersion: state.socketVersion + 1,
+      }));
+    },
+
+    disconnect: () => {
+      clearManualReconnect();
+      manualReconnectAttempt = 0;
+      currentToken = null;
+      currentUrl = null;
+      failQueued("Socket disconnected");
+
+      if (socket) {
+        socket.removeAllListeners();
+        socket.io.removeAllListeners();
+        socket.disconnect();
+        socket = null;
+        set((state) => ({ socketVersion: state.socketVersion + 1 }));
+      }
+      set({ connectionState: "idle", reconnectAttempt: 0 });
+    },
+
+    // Retry right away instead of waiting out the backoff (banner "Retry")
+    reconnectNow: () => {
+      if (!socket || socket.connected) return;
+      clearManualReconnect();
+      socket.connect();
+    },
+
+    emit: (event, data, cb) => {
+      if (socket?.connected) {
+        emitNow(event, data, cb);
+        return;
+      }
+
+      // No session to wait for, or nothing worth replaying
+      if (!socket || VOLATILE_EVENTS.has(event)) {
+        if (typeof cb === "function") cb(new Error("Socket not connected"));
+        return;
+      }
+
+      if (outbox.length >= MAX_QUEUE_SIZE) {
+        const dropped = outbox.shift();
+        clearTimeout(dropped.timer);
+        if (typeof dropped.cb === "function") {
+          dropped.cb(new Error("Socket not connected"));
+        }
+      }
+
+      const item = { event, data, cb, timer: null };
+      // Callers waiting on an ack fall back (e.g. to HTTP) if we stay offline
+      if (typeof cb === "function") {
+        item.timer = setTimeout(() => {
+          outbox = outbox.filter((queued) => queued !== item);
+          cb(new Error("Socket not connected"));
+        }, QUEUED_ACK_TIMEOUT_MS);
+      }
+      outbox.push(item);
+    },
+
+    on: (event, handler) => {
+      if (!handlers.has(event)) handlers.set(event, new Set());
+      const registered = handlers.get(event);
+      if (registered.has(handler)) return;
+      registered.add(handler);
+      socket?.on(event, handler);
+    },
+
+    off: (event, handler) => {
+      handlers.get(event)?.delete(handler);
+      if (handlers.get(event)?.size === 0) handlers.delete(event);
+      socket?.off(event, handler);
+    },
+  };
+});
+
+export const getSocket = () => socket;
@@ -0,0 +1,30 @@
+import { create } from "zustand";
+
+export const TOAST_DURATION_MS = 4000;
+const MAX_QUEUED = 3;
+
+let nextId = 1;
+
+/**
+ * Store for in-app toasts
+ * Toasts are shown one at a time; extras wait in a short queue
+ */
+export const useToastStore = create((set, get) => ({
+  // [{ id, title, message, icon, onPress }]
+  toasts: [],
+
+  showToast: ({ title, message, icon, onPress }) => {
+    const id = nextId++;
+    set((state) => ({
+      // Keep only the newest few so a burst doesn't replay for a minute
+      toasts: [...state.toasts, { id, title, message, icon, onPress }].slice(-MAX_QUEUED),
+    }));
+    return id;
+  },
+
+  hideToast: (id) => {
+    set((state) => ({ toasts: state.toasts.filter((t) => t.id !== id) }));
+  },
+
+  clearToasts: () => set({ toasts: [] }),
+}));
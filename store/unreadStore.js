@@ -0,0 +1,80 @@
+import { create } from "zustand";
+import { api } from "../utils/apiClient";
+import { useAuthStore } from "./authStore";
+import { useNotificationStore } from "./notificationStore";
+
+const sumCounts = (counts) =>
+  Object.values(counts).reduce((sum, n) => sum + (n || 0), 0);
+
+/**
+ * Store for unread chat messages, keyed by the other user's id
+ * Seeded from /messages/conversations, then kept current from socket events.
+ * Unread notifications live in the notification store; getTotalUnread adds both.
+ */
+export const useUnreadStore = create((set, get) => ({
+  messageCounts: {},
+  messageTotal: 0,
+  // Conversation currently on screen; its messages never count as unread
+  activeChatUserId: null,
+  lastSyncedAt: null,
+
+  syncMessageCounts: async () => {
+    if (!useAuthStore.getState().token) return;
+    try {
+      const data = await api.messages.conversations();
+      const messageCounts = {};
+      // A conversation's _id is the other user's id
+      (data?.conversations || []).forEach((c) => {
+        if (c._id && c.unreadCount > 0) messageCounts[String(c._id)] = c.unreadCount;
+      });
+      const { activeChatUserId } = get();
+      if (activeChatUserId) delete messageCounts[activeChatUserId];
+      set({
+        messageCounts,
+        messageTotal: sumCounts(messageCounts),
+        lastSyncedAt: Date.now(),
+      });
+    } catch (error) {
+      console.warn("Failed to sync unread messages:", error.message);
+    }
+  },
+
+  incrementMessages: (otherUserId, by = 1) => {
+    const id = String(otherUserId);
+    if (!otherUserId || get().activeChatUserId === id) return;
+    set((state) => {
+      const messageCounts = {
+        ...state.messageCounts,
+        [id]: (state.messageCounts[id] || 0) + by,
+      };
+      return { messageCounts, messageTotal: sumCounts(messageCounts) };
+    });
+  },
+
+  clearConversation: (otherUserId) => {
+    const id = String(otherUserId);
+    if (!get().messageCounts[id]) return;
+    set((state) => {
+      const messageCounts = { ...state.messageCounts };
+      delete messageCounts[id];
+      return { messageCounts, messageTotal: sumCounts(messageCounts) };
+    });
+  },
+
+  setActiveChat: (otherUserId) => {
+    const id = otherUserId ? String(otherUserId) : null;
+    set({ activeChatUserId: id });
+    if (id) get().clearConversation(id);
+  },
+
+  reset: () =>
+    set({ messageCounts: {}, messageTotal: 0, activeChatUserId: null, lastSyncedAt: null }),
+}));
+
+// Unread messages + unread notifications, e.g. for the app icon badge
+export const getTotalUnread = () =>
+  useUnreadStore.getState().messageTotal + (useNotificationStore.getState().unreadCount || 0);
+
+useAuthStore.subscribe((state, prevState) => {
+  if (prevState.token && !state.token) useUnreadStore.getState().reset();
+});
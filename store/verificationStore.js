@@ -0,0 +1,82 @@
+import { create } from "zustand";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { useAuthStore } from "./authStore";
+import { boxKeysetOf } from "../utils/fingerprint";
+
+const VERIFICATIONS_STORAGE_KEY = "contact_verifications";
+
+// Kept per account so another login on this phone starts clean
+const storageKey = () =>
+  `${VERIFICATIONS_STORAGE_KEY}:${useAuthStore.getState().user?._id || "anonymous"}`;
+
+/**
+ * Store for contacts whose keys the user has verified in person
+ * { [userId]: { publicKey, verifiedAt } }, kept on this device only.
+ * A verification only counts for the exact keyset (all of their devices'
+ * keys, see keysetOf) that was compared.
+ */
+export const useVerificationStore = create((set, get) => ({
+  verifications: {},
+  isLoaded: false,
+
+  loadVerifications: async () => {
+    if (get().isLoaded) return;
+    try {
+      const json = await AsyncStorage.getItem(storageKey());
+      if (json) set({ verifications: JSON.parse(json) });
+    } catch (e) {
+      console.warn("Failed to load verifications:", e);
+    } finally {
+      set({ isLoaded: true });
+    }
+  },
+
+  saveVerifications: async () => {
+    try {
+      await AsyncStorage.setItem(storageKey(), JSON.stringify(get().verifications));
+    } catch (e) {
+      console.warn("Failed to save verifications:", e);
+    }
+  },
+
+  markVerified: async (userId, publicKey) => {
+    set((state) => ({
+      verifications: {
+        ...state.verifications,
+        [userId]: { publicKey, verifiedAt: new Date().toISOString() },
+      },
+    }));
+    await get().saveVerifications();
+  },
+
+  clearVerification: async (userId) => {
+    set((state) => {
+      const verifications = { ...state.verifications };
+      delete verifications[userId];
+      return { verifications };
+    });
+    await get().saveVerifications();
+  },
+
+  // Forget the in-memory copy; the stored one stays with its account
+  reset: () => set({ verifications: {}, isLoaded: false }),
+}));
+
+/**
+ * "verified" | "unverified" | "changed" (verified, but for a different key)
+ * A verification from before keysets held signing keys covers the box keys
+ * only, so it counts as unverified rather than changed.
+ */
+export const getVerificationStatus = (verifications, userId, publicKey) => {
+  const entry = verifications[userId];
+  if (!entry) return "unverified";
+  if (entry.publicKey === publicKey) return "verified";
+  const isOlderEntry =
+    !entry.publicKey.includes(".") && entry.publicKey === boxKeysetOf(publicKey);
+  return isOlderEntry ? "unverified" : "changed";
+};
+
+// Verifications belong to the signed-in account
+useAuthStore.subscribe((state, prevState) => {
+  if (prevState.token && !state.token) useVerificationStore.getState().reset();
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, jest } from "@jest/globals";
+import { createApiClient, ApiError } from "../apiClient";
+
+jest.mock("../../store/environmentStore", () => ({
+  getApiUrl: () => "https://default.test/api",
+}));
+
+// Stand-in for fetch: records each call and answers with `reply`
+const fakeTransport = ({ status, body } = { status: 200, body: {} }) =>
+  jest.fn(async () => {
+    const text = body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body);
+    return { ok: status >= 200 && status < 300, status, text: async () => text };
+  });
+
+const clientWith = (transport, options = {}) =>
+  createApiClient({ baseUrl: "https://api.test", transport, getToken: () => "token-1", ...options });
+
+describe("requests", () => {
+  it("attaches the token and sends JSON bodies", async () => {
+    const transport = fakeTransport({ status: 201, body: { ok: true } });
+    const data = await clientWith(transport).friends.request("u2");
+
+    expect(data).toEqual({ ok: true });
+    const [url, init] = transport.mock.calls[0];
+    expect(url).toBe("https://api.test/friends/request");
+    expect(init.method).toBe("POST");
+    expect(init.headers).toEqual({
+      Authorization: "Bearer token-1",
+      "Content-Type": "application/json",
+    });
+    expect(JSON.parse(init.body)).toEqual({ receiverId: "u2" });
+  });
+
+  it("leaves the token off auth endpoints", async () => {
+    const transport = fakeTransport();
+    await clientWith(transport).auth.login("a@b.test", "pw");
+    expect(transport.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  });
+
+  it("builds query strings and skips empty values", async () => {
+    const transport = fakeTransport();
+    await clientWith(transport).messages.list("u2", 20, { before: "2024-01-01T00:00:00.000Z" });
+    expect(transport.mock.calls[0][0]).toBe(
+      "https://api.test/messages/u2?limit=20&before=2024-01-01T00%3A00%3A00.000Z",
+    );
+  });
+
+  it("resolves the base URL on every request", async () => {
+    let baseUrl = "https://one.test";
+    const transport = fakeTransport();
+    const client = createApiClient({ baseUrl: () => baseUrl, transport });
+    await client.books.get("b1");
+    baseUrl = "https://two.test";
+    await client.books.get("b1");
+    expect(transport.mock.calls.map(([url]) => url)).toEqual([
+      "https://one.test/books/b1",
+      "https://two.test/books/b1",
+    ]);
+  });
+
+  it("uses PUT to set a reaction and DELETE to remove it", async () => {
+    const transport = fakeTransport();
+    const client = clientWith(transport);
+    await client.messages.react("m1", { cipherText: "x" });
+    await client.messages.react("m1", null);
+    expect(transport.mock.calls.map(([url, init]) => `${init.method} ${url}`)).toEqual([
+      "PUT https://api.test/messages/m1/reaction",
+      "DELETE https://api.test/messages/m1/reaction",
+    ]);
+  });
+
+  it("returns plain text bodies as text and empty bodies as null", async () => {
+    expect(await clientWith(fakeTransport({ status: 200, body: "pong" })).request("/ping")).toBe("pong");
+    expect(await clientWith(fakeTransport({ status: 204 })).request("/ping")).toBeNull();
+  });
+});
+
+describe("errors", () => {
+  it("turns HTTP errors into ApiError with the server's message", async () => {
+    const transport = fakeTransport({ status: 401, body: { message: "Token expired" } });
+    const error = await clientWith(transport).books.mine().catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ message: "Token expired", status: 401, code: "HTTP_ERROR" });
+    expect(error.isUnauthorized).toBe(true);
+    expect(error.isNetworkError).toBe(false);
+  });
+
+  it("falls back to the status when the body has no message", async () => {
+    const transport = fakeTransport({ status: 500, body: "" });
+    await expect(clientWith(transport).books.mine()).rejects.toMatchObject({
+      message: "Request failed with status 500",
+      status: 500,
+    });
+  });
+
+  it("reports transport failures as network errors", async () => {
+    const transport = jest.fn(async () => {
+      throw new TypeError("Network request failed");
+    });
+    const error = await clientWith(transport).books.mine().catch((e) => e);
+    expect(error).toMatchObject({ status: 0, code: "NETWORK_ERROR" });
+    expect(error.isNetworkError).toBe(true);
+  });
+
+  it("aborts requests that run past the timeout", async () => {
+    const transport = jest.fn(
+      (url, init) =>
+        new Promise((resolve, reject) => {
+          init.signal.addEventListener("abort", () => reject(new Error("Aborted")));
+        }),
+    );
+    const error = await clientWith(transport, { timeoutMs: 10 }).books.mine().catch((e) => e);
+    expect(error).toMatchObject({ message: "Request timed out", code: "TIMEOUT" });
+    expect(error.isNetworkError).toBe(true);
+  });
+});
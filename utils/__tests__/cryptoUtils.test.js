@@ -0,0 +1,246 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  validateKeyPair,
+  generateKeyPair,
+  generateNonce,
+  encryptMessage,
+  decryptMessage,
+  encryptBinaryData,
+  decryptBinaryData,
+  generateSymmetricKey,
+  encryptSymmetric,
+  decryptSymmetric,
+  encryptSymmetricBinary,
+  decryptSymmetricBinary,
+  validateSigningKeyPair,
+  signMessage,
+  verifySignature,
+  createHmacSha512,
+  hkdfSha512,
+  base64ToUint8Array,
+  uint8ArrayToBase64,
+} from "../cryptoUtils";
+
+const bytes = (hex) => Uint8Array.from(hex.match(/../g) || [], (b) => parseInt(b, 16));
+const hex = (data) => Array.from(data, (b) => b.toString(16).padStart(2, "0")).join("");
+const b64 = (hexString) => uint8ArrayToBase64(bytes(hexString));
+const text = (value) => new TextEncoder().encode(value);
+
+// The same base64 data with one bit of byte `index` flipped
+const flipBit = (base64, index = 0) => {
+  const data = base64ToUint8Array(base64);
+  data[index] ^= 1;
+  return uint8ArrayToBase64(data);
+};
+
+// crypto_box example from the NaCl docs; the keypairs are RFC 7748's
+const BOX = {
+  aliceSecretKey: b64("77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a"),
+  alicePublicKey: b64("8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a"),
+  bobSecretKey: b64("5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb"),
+  bobPublicKey: b64("de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f"),
+  sharedKey: b64("1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389"),
+  nonce: b64("69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37"),
+  plain:
+    "be075fc53c81f2d5cf141316ebeb0c7b5228c52a4c62cbd44b66849b64244ffc" +
+    "e5ecbaaf33bd751a1ac728d45e6c61296cdc3c01233561f41db66cce314adb31" +
+    "0e3be8250c46f06dceea3a7fa1348057e2f6556ad6b1318a024a838f21af1fde" +
+    "048977eb48f59ffd4924ca1c60902e52f0a089bc76897040e082f93776384864" +
+    "5e0705",
+  cipher: b64(
+    "f3ffc7703f9400e52a7dfb4b3d3305d98e993b9f48681273c29650ba32fc76ce" +
+      "48332ea7164d96a4476fb8c531a1186ac0dfc17c98dce87b4da7f011ec48c972" +
+      "71d2c20f9b928fe2270d6fb863d51738b48eeee314a7cc8ab932164548e526ae" +
+      "90224368517acfeabd6bb3732bc0e9da99832b61ca01b6de56244a9e88d5f9b3" +
+      "7973f622a43d14a6599b1f654cb45a74e355a5",
+  ),
+};
+
+describe("keypairs", () => {
+  it("accepts the RFC 7748 keypair and rejects mismatched or short keys", () => {
+    expect(validateKeyPair(BOX.alicePublicKey, BOX.aliceSecretKey).valid).toBe(true);
+    expect(validateKeyPair(BOX.alicePublicKey, BOX.bobSecretKey).valid).toBe(false);
+    expect(validateKeyPair(BOX.alicePublicKey, BOX.aliceSecretKey.slice(0, 20)).valid).toBe(false);
+  });
+
+  it("generates valid keypairs", () => {
+    const keys = generateKeyPair();
+    expect(validateKeyPair(keys.publicKey, keys.secretKey).valid).toBe(true);
+  });
+});
+
+describe("box", () => {
+  it("opens the NaCl known-answer vector", () => {
+    const opened = decryptBinaryData(
+      { cipherText: BOX.cipher, nonce: BOX.nonce, senderPublicKey: BOX.alicePublicKey },
+      BOX.bobSecretKey,
+    );
+    expect(hex(opened)).toBe(BOX.plain);
+  });
+
+  it("round-trips text and binary data", () => {
+    const alice = generateKeyPair();
+    const bob = generateKeyPair();
+    const message = "Hello 👋 from the tests";
+    const sealed = encryptMessage(message, alice.secretKey, bob.publicKey);
+    expect(decryptMessage({ ...sealed, senderPublicKey: alice.publicKey }, bob.secretKey)).toBe(
+      message,
+    );
+
+    const sealedData = encryptBinaryData(bytes(BOX.plain), bob.secretKey, alice.publicKey);
+    const opened = decryptBinaryData({ ...sealedData, senderPublicKey: bob.publicKey }, alice.secretKey);
+    expect(hex(opened)).toBe(BOX.plain);
+  });
+
+  it("rejects altered messages and the wrong sender", () => {
+    const alice = generateKeyPair();
+    const bob = generateKeyPair();
+    const sealed = encryptMessage("tamper me", alice.secretKey, bob.publicKey);
+    const open = (changes) =>
+      decryptMessage({ ...sealed, senderPublicKey: alice.publicKey, ...changes }, bob.secretKey);
+
+    expect(open({ cipherText: flipBit(sealed.cipherText) })).toBeNull();
+    expect(open({ cipherText: flipBit(sealed.cipherText, 20) })).toBeNull();
+    expect(open({ nonce: flipBit(sealed.nonce) })).toBeNull();
+    expect(open({ senderPublicKey: generateKeyPair().publicKey })).toBeNull();
+  });
+});
+
+describe("secretbox", () => {
+  it("opens the NaCl known-answer vector", () => {
+    const opened = decryptSymmetricBinary({ cipherText: BOX.cipher, nonce: BOX.nonce }, BOX.sharedKey);
+    expect(hex(opened)).toBe(BOX.plain);
+  });
+
+  it("round-trips text and binary data", () => {
+    const key = generateSymmetricKey();
+    expect(base64ToUint8Array(key)).toHaveLength(32);
+    expect(decryptSymmetric(encryptSymmetric("Symmetric 🔐 text", key), key)).toBe(
+      "Symmetric 🔐 text",
+    );
+    const opened = decryptSymmetricBinary(encryptSymmetricBinary(bytes(BOX.plain), key), key);
+    expect(hex(opened)).toBe(BOX.plain);
+  });
+
+  it("rejects altered data and the wrong key", () => {
+    const key = generateSymmetricKey();
+    const boxed = encryptSymmetric("tamper me", key);
+    expect(decryptSymmetric({ ...boxed, cipherText: flipBit(boxed.cipherText, 20) }, key)).toBeNull();
+    expect(decryptSymmetric({ ...boxed, nonce: flipBit(boxed.nonce) }, key)).toBeNull();
+    expect(decryptSymmetric(boxed, generateSymmetricKey())).toBeNull();
+  });
+});
+
+describe("nonces", () => {
+  it("never repeat", () => {
+    const key = generateSymmetricKey();
+    const seen = new Set();
+    for (let i = 0; i < 1000; i++) {
+      seen.add(generateNonce());
+      seen.add(encryptSymmetric("x", key).nonce);
+    }
+    expect(seen.size).toBe(2000);
+  });
+});
+
+// RFC 8032 section 7.1, tests 1 and 2
+describe("Ed25519 signatures", () => {
+  const VECTORS = [
+    {
+      name: "test 1",
+      seed: "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60",
+      publicKey: "d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a",
+      message: "",
+      signature:
+        "e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e06522490155" +
+        "5fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b",
+    },
+    {
+      name: "test 2",
+      seed: "4ccd089b28ff96da9db6c346ec114e0f5b8a319f35aba624da8cf6ed4fb8a6fb",
+      publicKey: "3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c",
+      message: "72",
+      signature:
+        "92a009a9f0d4cab8720e820b5f642540a2b27b5416503f8fb3762223ebdb69da" +
+        "085ac1e43e15996e458f3613d0f11d8c387b2eaeb4302aeeb00d291612bb0c00",
+    },
+  ];
+
+  it.each(VECTORS)("signs and verifies $name", (vector) => {
+    const secretKey = b64(vector.seed + vector.publicKey);
+    const publicKey = b64(vector.publicKey);
+    expect(validateSigningKeyPair(publicKey, secretKey).valid).toBe(true);
+
+    const signature = signMessage(bytes(vector.message), secretKey);
+    expect(hex(base64ToUint8Array(signature))).toBe(vector.signature);
+    expect(verifySignature(bytes(vector.message), signature, publicKey)).toBe(true);
+    expect(verifySignature(bytes("00"), signature, publicKey)).toBe(false);
+    expect(verifySignature(bytes(vector.message), flipBit(signature), publicKey)).toBe(false);
+  });
+
+  it("rejects a signing key that doesn't match its public key", () => {
+    const [first, second] = VECTORS;
+    expect(validateSigningKeyPair(b64(second.publicKey), b64(first.seed + first.publicKey)).valid).toBe(
+      false,
+    );
+  });
+});
+
+// RFC 4231 test cases 1, 2 and 6 (a key longer than the block size)
+describe("HMAC-SHA512", () => {
+  it.each([
+    [
+      "case 1",
+      "0b".repeat(20),
+      "Hi There",
+      "87aa7cdea5ef619d4ff0b4241a1d6cb02379f4e2ce4ec2787ad0b30545e17cde" +
+        "daa833b7d6b8a702038b274eaea3f4e4be9d914eeb61f1702e696c203a126854",
+    ],
+    [
+      "case 2",
+      hex(text("Jefe")),
+      "what do ya want for nothing?",
+      "164b7a7bfcf819e2e395fbe73b56e0a387bd64222e831fd610270cd7ea250554" +
+        "9758bf75c05a994a6d034f65f8f0e6fdcaeab1a34d4a6b4b636e070a38bce737",
+    ],
+    [
+      "case 6",
+      "aa".repeat(131),
+      "Test Using Larger Than Block-Size Key - Hash Key First",
+      "80b24263c7c1a3ebb71493c1dd7be8b49b46d1f41b4aeec1121b013783f8f352" +
+        "6b56d037e05f2598bd0fd2215d6a1e5295e64f73f63f0aec8b915a985d786598",
+    ],
+  ])("matches %s", (_, key, message, mac) => {
+    expect(hex(createHmacSha512(bytes(key))(text(message)))).toBe(mac);
+  });
+});
+
+// RFC 5869's inputs; the outputs come from OpenSSL's HKDF-SHA512
+describe("HKDF-SHA512", () => {
+  const ikm = bytes("0b".repeat(22));
+  const salt = bytes("000102030405060708090a0b0c");
+  const info = bytes("f0f1f2f3f4f5f6f7f8f9");
+
+  it("derives the known output", () => {
+    expect(hex(hkdfSha512(ikm, salt, info, 42))).toBe(
+      "832390086cda71fb47625bb5ceb168e4c8e26a1a16ed34d9fc7fe92c14815793" +
+        "38da362cb8d9f925d7cb",
+    );
+  });
+
+  it("treats an empty salt as 64 zero bytes", () => {
+    expect(hex(hkdfSha512(ikm, new Uint8Array(0), new Uint8Array(0), 42))).toBe(
+      "f5fa02b18298a72a8c23898a8703472c6eb179dc204c03425c970e3b164bf90f" +
+        "ff22d04836d0e2343bac",
+    );
+  });
+
+  it("expands across several blocks", () => {
+    expect(hex(hkdfSha512(ikm, salt, info, 100))).toBe(
+      "832390086cda71fb47625bb5ceb168e4c8e26a1a16ed34d9fc7fe92c14815793" +
+        "38da362cb8d9f925d7cbcce0dff7098769cf15959867d571c1715450cb530137" +
+        "be3fb62f3cf32b84feba8f1eb1b563e20d9749b8640b8264c4b69b14ad519911" +
+        "5e1d609c",
+    );
+  });
+});
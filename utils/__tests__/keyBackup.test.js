@@ -0,0 +1,124 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from "@jest/globals";
+import nacl from "tweetnacl";
+import {
+  BACKUP_VERSION,
+  WrongPassphraseError,
+  deriveBackupKey,
+  createKeyBackup,
+  restoreKeyBackup,
+} from "../keyBackup";
+import { uint8ArrayToBase64 } from "../cryptoUtils";
+
+const bytes = (hex) => Uint8Array.from(hex.match(/../g), (b) => parseInt(b, 16));
+const hex = (data) => Array.from(data, (b) => b.toString(16).padStart(2, "0")).join("");
+const b64 = (hexString) => uint8ArrayToBase64(bytes(hexString));
+
+// RFC 7748 box keypair and RFC 8032 test 1 signing keypair
+const KEYS = {
+  publicKey: b64("8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a"),
+  secretKey: b64("77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a"),
+  signingPublicKey: b64("d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a"),
+  signingSecretKey: b64(
+    "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60" +
+      "d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a",
+  ),
+};
+const PASSPHRASE = "correct horse battery";
+
+// PBKDF2-HMAC-SHA512("password", "salt"), first 32 bytes; the RFC 6070
+// inputs with SHA-512, outputs from OpenSSL
+const PBKDF2_VECTORS = [
+  [1, "867f70cf1ade02cff3752599a3a53dc4af34c7a669815ae5d513554e1c8cf252"],
+  [2, "e1d9c16aa681708a45f5c7c4e215ceb66e011a2e9f0040713f18aefdb866d53c"],
+  [4096, "d197b1b33db0143e018b12f3d1d1479e6cdebdcc97c5c0f87f6902e072f457b5"],
+];
+const SALT = new TextEncoder().encode("salt");
+
+// A backup sealed by hand, for the cases createKeyBackup won't produce
+const sealBackup = async (payload, iterations = 2) => {
+  const salt = nacl.randomBytes(16);
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const key = await deriveBackupKey(PASSPHRASE, salt, iterations);
+  return {
+    version: BACKUP_VERSION,
+    publicKey: payload.publicKey,
+    kdf: { name: "PBKDF2-SHA512", iterations, salt: uint8ArrayToBase64(salt) },
+    nonce: uint8ArrayToBase64(nonce),
+    cipherText: uint8ArrayToBase64(
+      nacl.secretbox(new TextEncoder().encode(JSON.stringify(payload)), nonce, key),
+    ),
+  };
+};
+
+describe("deriveBackupKey", () => {
+  it.each(PBKDF2_VECTORS)("matches the known answer for %i iterations (WebCrypto)", async (iterations, expected) => {
+    expect(hex(await deriveBackupKey("password", SALT, iterations))).toBe(expected);
+  });
+
+  describe("without WebCrypto", () => {
+    beforeEach(() => {
+      jest.replaceProperty(globalThis, "crypto", {
+        getRandomValues: globalThis.crypto.getRandomValues.bind(globalThis.crypto),
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it.each(PBKDF2_VECTORS)("matches the known answer for %i iterations", async (iterations, expected) => {
+      expect(globalThis.crypto.subtle).toBeUndefined();
+      expect(hex(await deriveBackupKey("password", SALT, iterations))).toBe(expected);
+    });
+  });
+
+  it("normalizes the passphrase", async () => {
+    const composed = await deriveBackupKey("caf\u00e9 passphrase", SALT, 2);
+    const decomposed = await deriveBackupKey("cafe\u0301 passphrase", SALT, 2);
+    expect(hex(decomposed)).toBe(hex(composed));
+  });
+});
+
+describe("key backups", () => {
+  it("restores the keys it sealed", async () => {
+    const backup = await createKeyBackup(KEYS, PASSPHRASE);
+    expect(backup).toMatchObject({
+      version: BACKUP_VERSION,
+      publicKey: KEYS.publicKey,
+      kdf: { name: "PBKDF2-SHA512", iterations: 100000 },
+    });
+    expect(backup.cipherText).not.toContain(KEYS.secretKey);
+    await expect(restoreKeyBackup(backup, PASSPHRASE)).resolves.toEqual(KEYS);
+  });
+
+  it("refuses a short passphrase", async () => {
+    await expect(createKeyBackup(KEYS, "too short")).rejects.toThrow("at least 10 characters");
+  });
+
+  it("throws WrongPassphraseError for the wrong passphrase", async () => {
+    const backup = await sealBackup(KEYS);
+    await expect(restoreKeyBackup(backup, "not the passphrase")).rejects.toBeInstanceOf(
+      WrongPassphraseError,
+    );
+  });
+
+  it("restores backups made before signing keys existed", async () => {
+    const backup = await sealBackup({ publicKey: KEYS.publicKey, secretKey: KEYS.secretKey });
+    await expect(restoreKeyBackup(backup, PASSPHRASE)).resolves.toEqual({
+      publicKey: KEYS.publicKey,
+      secretKey: KEYS.secretKey,
+    });
+  });
+
+  it("rejects a backup whose keys don't match", async () => {
+    const backup = await sealBackup({ ...KEYS, publicKey: b64("00".repeat(31) + "01") });
+    await expect(restoreKeyBackup(backup, PASSPHRASE)).rejects.toThrow("Backup is corrupted");
+  });
+
+  it("rejects backups from a newer version", async () => {
+    const backup = await sealBackup(KEYS);
+    await expect(restoreKeyBackup({ ...backup, version: BACKUP_VERSION + 1 }, PASSPHRASE)).rejects.toThrow(
+      "newer version",
+    );
+  });
+});
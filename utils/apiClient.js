@@ -0,0 +1,287 @@
+import { getApiUrl } from "../store/environmentStore";
+
+/**
+ * API Client
+ * Single entry point for every HTTP call the app makes to the backend.
+ *
+ * - Attaches the auth token (Authorization: Bearer ...) automatically
+ * - Normalizes every failure into an ApiError
+ * - Applies a per-request timeout
+ * - Lets tests swap the transport (defaults to global fetch)
+ * - Resolves the base URL per request so environment switches apply at once
+ */
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+export const UPLOAD_TIMEOUT_MS = 120000;
+
+/**
+ * Error shape thrown by every API call
+ * status: HTTP status code (0 when the request never got a response)
+ * code: "HTTP_ERROR" | "NETWORK_ERROR" | "TIMEOUT"
+ * data: parsed response body when the server sent one
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = "HTTP_ERROR", data = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  get isNetworkError() {
+    return this.code === "NETWORK_ERROR" || this.code === "TIMEOUT";
+  }
+}
+
+const fetchTransport = (url, init) => fetch(url, init);
+
+const buildQuery = (query) => {
+  if (!query) return "";
+  const parts = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`,
+    );
+  return parts.length ? `?${parts.join("&")}` : "";
+};
+
+// Read the body as text first so non-JSON error pages don't throw
+const parseBody = async (response) => {
+  let text = "";
+  try {
+    text = await response.text();
+  } catch {
+    return null;
+  }
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Create an API client
+ * Options: { baseUrl, transport, getToken, timeoutMs }
+ * baseUrl may be a string or a function returning one
+ */
+export const createApiClient = (options = {}) => {
+  const config = {
+    baseUrl: getApiUrl,
+    transport: fetchTransport,
+    getToken: () => null,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    ...options,
+  };
+
+  const configure = (overrides = {}) => {
+    Object.assign(config, overrides);
+  };
+
+  const request = async (path, opts = {}) => {
+    const {
+      method = "GET",
+      body,
+      query,
+      headers = {},
+      auth = true,
+      timeoutMs = config.timeoutMs,
+    } = opts;
+
+    const baseUrl =
+      typeof config.baseUrl === "function" ? config.baseUrl() : config.baseUrl;
+    const url = `${baseUrl}${path}${buildQuery(query)}`;
+    const finalHeaders = { ...headers };
+
+    if (auth) {
+      const token = opts.token ?? config.getToken();
+      if (token) finalHeaders.Authorization = `Bearer ${token}`;
+    }
+
+    let finalBody = body;
+    const isFormData =
+      typeof FormData !== "undefined" && body instanceof FormData;
+    if (body !== undefined && !isFormData && typeof body !== "string") {
+      finalHeaders["Content-Type"] = "application/json";
+      finalBody = JSON.stringify(body);
+    }
+
+    const controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller?.abort();
+    }, timeoutMs);
+
+    let response;
+    try {
+      response = await config.transport(url, {
+        method,
+        headers: finalHeaders,
+        body: finalBody,
+        signal: controller?.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new ApiError("Request timed out", { code: "TIMEOUT" });
+      }
+      throw new ApiError(error?.message || "Network request failed", {
+        code: "NETWORK_ERROR",
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await parseBody(response);
+
+    if (!response.ok) {
+      const message =
+        (data && typeof data === "object" && data.message) ||
+        (typeof data === "string" && data) ||
+        `Request failed with status ${response.status}`;
+      throw new ApiError(message, { status: response.status, data });
+    }
+
+    return data;
+  };
+
+  const get = (path, opts) => request(path, { ...opts, method: "GET" });
+  const post = (path, body, opts) =>
+    request(path, { ...opts, method: "POST", body });
+  const put = (path, body, opts) =>
+    request(path, { ...opts, method: "PUT", body });
+  const del = (path, opts) => request(path, { ...opts, method: "DELETE" });
+
+  return {
+    configure,
+    request,
+
+    auth: {
+      register: (username, email, password) =>
+        post("/auth/register", { username, email, password }, { auth: false }),
+      login: (email, password) =>
+        post("/auth/login", { email, password }, { auth: false }),
+    },
+
+    books: {
+      all: (page = 1, limit = 5) =>
+        get("/books/all", { query: { page, limit } }),
+      mine: () => get("/books/user"),
+      byUser: (userId) => get(`/books/user/${userId}`),
+      get: (bookId) => get(`/books/${bookId}`),
+      create: (form) =>
+        post("/books/create", form, { timeoutMs: UPLOAD_TIMEOUT_MS }),
+      remove: (bookId) => del(`/books/delete/${bookId}`),
+    },
+
+    likes: {
+      list: (bookId) => get(`/likes/${bookId}`),
+      toggle: (bookId) => post(`/likes/${bookId}`),
+    },
+
+    comments: {
+      list: (bookId) => get(`/comments/${bookId}`),
+      add: (bookId, text, parentCommentId) =>
+        post(`/comments/${bookId}`, {
+          text,
+          parentCommentId: parentCommentId || undefined,
+        }),
+      remove: (commentId) => del(`/comments/${commentId}`),
+    },
+
+    friends: {
+      list: (userId) =>
+        get(userId ? `/friends/list/${userId}` : "/friends/list"),
+      count: (userId) => get(`/friends/count/${userId}`),
+      status: (userId) => get(`/friends/status/${userId}`),
+      receivedRequests: () => get("/friends/requests/received"),
+      request: (receiverId) => post("/friends/request", { receiverId }),
+      accept: (senderId) => post("/friends/accept", { senderId }),
+      reject: (senderId) => post("/friends/reject", { senderId }),
+      cancel: (receiverId) => post("/friends/cancel", { receiverId }),
+      unfriend: (friendId) => post("/friends/unfriend", { friendId }),
+    },
+
+    messages: {
+      conversations: () => get("/messages/conversations"),
+      // after / before: ISO timestamps. after pages forward (the oldest
+      // `limit` messages since then), before pages back through older
+      // history; both answer { messages, hasMore }, oldest first.
+      list: (userId, limit = 50, { after, before } = {}) =>
+        get(`/messages/${userId}`, { query: { limit, after, before } }),
+      send: (payload) => post("/messages", payload),
+      sendEncryptedVoice: (payload) =>
+        post("/messages/encrypted-voice", payload, {
+          timeoutMs: UPLOAD_TIMEOUT_MS,
+        }),
+      remove: (messageId) => del(`/messages/${messageId}`),
+      // reaction: sealed by utils/messageReactions; null removes ours
+      react: (messageId, reaction) =>
+        reaction
+          ? put(`/messages/${messageId}/reaction`, { reaction })
+          : del(`/messages/${messageId}/reaction`),
+      clearConversation: (userId) => del(`/messages/conversation/${userId}`),
+    },
+
+    notifications: {
+      list: ({ cursor, limit = 20 } = {}) =>
+        get("/notifications", { query: { cursor, limit } }),
+      unreadCount: () => get("/notifications/unread-count"),
+      markRead: (ids) => post("/notifications/read", { ids }),
+      // Ids from the old on-device read set ("like_<likeId>", ...)
+      markLegacyRead: (legacyIds) => post("/notifications/read", { legacyIds }),
+      markAllRead: () => post("/notifications/read-all"),
+    },
+
+    users: {
+      get: (userId) => get(`/users/${userId}`),
+      publicKey: (userId) => get(`/users/${userId}/public-key`),
+      // signing: { signingPublicKey, keySignature } over publicKey
+      uploadPublicKey: (publicKey, signing) =>
+        post("/users/upload-public-key", { publicKey, ...signing }),
+      onlineStatus: (ids) =>
+        get("/users/online-status", { query: { ids: ids.join(",") } }),
+      lastSeen: (ids) =>
+        get("/users/last-seen", { query: { ids: ids.join(",") } }),
+      blockedList: () => get("/users/blocked/list"),
+      block: (userId) => post("/users/block", { userId }),
+      unblock: (userId) => post("/users/unblock", { userId }),
+      registerPushToken: (pushToken, preferences, opts) =>
+        post("/users/push-token", { token: pushToken, preferences }, opts),
+      // Passphrase-wrapped secret key; the server can't read it
+      keyBackup: () => get("/users/key-backup"),
+      saveKeyBackup: (backup) => put("/users/key-backup", backup),
+      deleteKeyBackup: () => del("/users/key-backup"),
+      // Prekeys for forward-secret sessions, per device; fetching a bundle uses up
+      // one of that device's one-time prekeys
+      uploadPrekeys: (prekeys) => post("/users/prekeys", prekeys),
+      prekeyCount: (deviceId) =>
+        get("/users/prekeys/count", { query: { deviceId } }),
+      prekeyBundle: (userId, deviceId) =>
+        get(`/users/${userId}/devices/${deviceId}/prekey-bundle`),
+      // Linked devices, each with its own keypairs. Registering a revoked
+      // device id answers 410. An approval ({ approvedBy, approvalSignature })
+      // is another of the account's devices signing this one's keys; it is
+      // listed with the device.
+      devices: (userId) => get(`/users/${userId}/devices`),
+      registerDevice: (device) => post("/users/devices", device),
+      approveDevice: (deviceId, approval) => post(`/users/devices/${deviceId}/approval`, approval),
+      revokeDevice: (deviceId) => del(`/users/devices/${deviceId}`),
+    },
+  };
+};
+
+// Shared client used across the app. The auth store wires getToken on load.
+export const api = createApiClient();
+
+export const configureApiClient = (overrides) => api.configure(overrides);
+
+export default api;
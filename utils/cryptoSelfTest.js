@@ -0,0 +1,185 @@
+import {
+  validateKeyPair,
+  generateKeyPair,
+  generateNonce,
+  encryptMessage,
+  decryptMessage,
+  encryptBinaryData,
+  decryptBinaryData,
+  generateSymmetricKey,
+  encryptSymmetric,
+  decryptSymmetric,
+  encryptSymmetricBinary,
+  decryptSymmetricBinary,
+  base64ToUint8Array,
+  uint8ArrayToBase64,
+} from "./cryptoUtils";
+
+/**
+ * Self-test for the primitives in cryptoUtils, run on the device itself
+ * (Developer Settings), where the PRNG and tweetnacl build are the ones
+ * messages actually use.
+ *
+ * The known-answer vectors are the crypto_box example from the NaCl
+ * documentation; its keypairs are also the X25519 vectors of RFC 7748.
+ * utils/__tests__/cryptoUtils.test.js runs the same checks under Jest.
+ */
+
+const fromHex = (hex) =>
+  uint8ArrayToBase64(Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16)));
+
+const VECTORS = {
+  aliceSecretKey: fromHex("77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a"),
+  alicePublicKey: fromHex("8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a"),
+  bobSecretKey: fromHex("5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb"),
+  bobPublicKey: fromHex("de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f"),
+  // crypto_box_beforenm(bobPublicKey, aliceSecretKey), the secretbox key
+  sharedKey: fromHex("1b27556473e985d462cd51197a9a46c76009549eac6474f206c4ee0844f68389"),
+  nonce: fromHex("69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37"),
+  plain: fromHex(
+    "be075fc53c81f2d5cf141316ebeb0c7b5228c52a4c62cbd44b66849b64244ffc" +
+      "e5ecbaaf33bd751a1ac728d45e6c61296cdc3c01233561f41db66cce314adb31" +
+      "0e3be8250c46f06dceea3a7fa1348057e2f6556ad6b1318a024a838f21af1fde" +
+      "048977eb48f59ffd4924ca1c60902e52f0a089bc76897040e082f93776384864" +
+      "5e0705",
+  ),
+  cipher: fromHex(
+    "f3ffc7703f9400e52a7dfb4b3d3305d98e993b9f48681273c29650ba32fc76ce" +
+      "48332ea7164d96a4476fb8c531a1186ac0dfc17c98dce87b4da7f011ec48c972" +
+      "71d2c20f9b928fe2270d6fb863d51738b48eeee314a7cc8ab932164548e526ae" +
+      "90224368517acfeabd6bb3732bc0e9da99832b61ca01b6de56244a9e88d5f9b3" +
+      "7973f622a43d14a6599b1f654cb45a74e355a5",
+  ),
+};
+
+const NONCE_SAMPLES = 1000;
+
+const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const sameBytes = (bytes, base64) =>
+  Boolean(bytes) && uint8ArrayToBase64(bytes) === base64;
+
+// The same base64 data with one bit of byte `index` flipped
+const flipBit = (base64, index = 0) => {
+  const bytes = base64ToUint8Array(base64);
+  bytes[index] ^= 1;
+  return uint8ArrayToBase64(bytes);
+};
+
+const TESTS = [
+  [
+    "Keypair validation",
+    () => {
+      const { alicePublicKey, aliceSecretKey, bobSecretKey } = VECTORS;
+      assert(validateKeyPair(alicePublicKey, aliceSecretKey).valid, "RFC 7748 keypair rejected");
+      assert(!validateKeyPair(alicePublicKey, bobSecretKey).valid, "Mismatched keypair accepted");
+      assert(
+        !validateKeyPair(alicePublicKey, aliceSecretKey.slice(0, 20)).valid,
+        "Short secret key accepted",
+      );
+      const keys = generateKeyPair();
+      assert(validateKeyPair(keys.publicKey, keys.secretKey).valid, "Generated keypair rejected");
+    },
+  ],
+  [
+    "Box known answer",
+    () => {
+      const { cipher, nonce, alicePublicKey, bobSecretKey, plain } = VECTORS;
+      const opened = decryptBinaryData(
+        { cipherText: cipher, nonce, senderPublicKey: alicePublicKey },
+        bobSecretKey,
+      );
+      assert(sameBytes(opened, plain), "NaCl box vector didn't decrypt");
+    },
+  ],
+  [
+    "Secretbox known answer",
+    () => {
+      const { cipher, nonce, sharedKey, plain } = VECTORS;
+      const opened = decryptSymmetricBinary({ cipherText: cipher, nonce }, sharedKey);
+      assert(sameBytes(opened, plain), "NaCl secretbox vector didn't decrypt");
+    },
+  ],
+  [
+    "Box round trip",
+    () => {
+      const alice = generateKeyPair();
+      const bob = generateKeyPair();
+      const text = "Hello 👋 from the self-test";
+      const sealed = encryptMessage(text, alice.secretKey, bob.publicKey);
+      const opened = decryptMessage({ ...sealed, senderPublicKey: alice.publicKey }, bob.secretKey);
+      assert(opened === text, "Text didn't survive a box round trip");
+
+      const data = VECTORS.plain;
+      const sealedData = encryptBinaryData(data, bob.secretKey, alice.publicKey);
+      const openedData = decryptBinaryData(
+        { ...sealedData, senderPublicKey: bob.publicKey },
+        alice.secretKey,
+      );
+      assert(sameBytes(openedData, data), "Binary data didn't survive a box round trip");
+    },
+  ],
+  [
+    "Secretbox round trip",
+    () => {
+      const key = generateSymmetricKey();
+      assert(base64ToUint8Array(key).length === 32, "Symmetric key isn't 32 bytes");
+      const text = "Symmetric 🔐 text";
+      assert(decryptSymmetric(encryptSymmetric(text, key), key) === text, "Text round trip failed");
+      const opened = decryptSymmetricBinary(encryptSymmetricBinary(VECTORS.plain, key), key);
+      assert(sameBytes(opened, VECTORS.plain), "Binary round trip failed");
+    },
+  ],
+  [
+    "Tamper detection",
+    () => {
+      const alice = generateKeyPair();
+      const bob = generateKeyPair();
+      const sealed = encryptMessage("tamper me", alice.secretKey, bob.publicKey);
+      const open = (changes) =>
+        decryptMessage({ ...sealed, senderPublicKey: alice.publicKey, ...changes }, bob.secretKey);
+      assert(open({ cipherText: flipBit(sealed.cipherText) }) === null, "Altered tag accepted");
+      assert(open({ cipherText: flipBit(sealed.cipherText, 20) }) === null, "Altered box accepted");
+      assert(open({ nonce: flipBit(sealed.nonce) }) === null, "Altered nonce accepted");
+      assert(open({ senderPublicKey: generateKeyPair().publicKey }) === null, "Wrong sender accepted");
+
+      const key = generateSymmetricKey();
+      const boxed = encryptSymmetric("tamper me", key);
+      assert(
+        decryptSymmetric({ ...boxed, cipherText: flipBit(boxed.cipherText, 20) }, key) === null,
+        "Altered secretbox accepted",
+      );
+      assert(decryptSymmetric(boxed, generateSymmetricKey()) === null, "Wrong key accepted");
+    },
+  ],
+  [
+    "Nonce uniqueness",
+    () => {
+      const key = generateSymmetricKey();
+      const seen = new Set();
+      for (let i = 0; i < NONCE_SAMPLES; i++) {
+        seen.add(generateNonce());
+        seen.add(encryptSymmetric("x", key).nonce);
+      }
+      assert(seen.size === NONCE_SAMPLES * 2, "A nonce repeated");
+    },
+  ],
+];
+
+/**
+ * Run every check. Returns { success, results: [{ name, passed, error? }] }
+ */
+export function runCryptoSelfTest() {
+  const results = TESTS.map(([name, test]) => {
+    try {
+      test();
+      return { name, passed: true };
+    } catch (error) {
+      console.error(`❌ Crypto self-test "${name}" failed:`, error.message);
+      return { name, passed: false, error: error.message };
+    }
+  });
+  return { success: results.every((result) => result.passed), results };
+}
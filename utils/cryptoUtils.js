@@ -61,6 +61,12 @@ export const validateKeyPair = (publicKey, secretKey) => {
       };
     }
 
+    // The public key must be the one derived from the secret key
+    const derived = nacl.box.keyPair.fromSecretKey(secUint8).publicKey;
+    if (!nacl.verify(derived, pubUint8)) {
+      return { valid: false, error: "publicKey doesn't match secretKey" };
+    }
+
     return { valid: true };
   } catch (error) {
     return { valid: false, error: error.message };
@@ -76,6 +82,14 @@ export const uint8ArrayToBase64 = (uint8Array) => {
   return base64.fromByteArray(uint8Array);
 };
 
+// Uint8Array, ArrayBuffer or a base64 string as bytes
+const toBinary = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (typeof data === "string") return base64ToUint8Array(data);
+  throw new Error("Unsupported binary data format");
+};
+
 /**
  * Generate a keypair for the user
  * Uses crypto.getRandomValues from react-native-get-random-values for secure PRNG
@@ -238,30 +252,79 @@ export const decryptMessage = (msg, receiverPrivateKey) => {
 };
 
 /**
- * Sign a message with sender's secret key
- * Returns: signature as base64
+ * Generate an Ed25519 signing keypair (separate from the nacl.box keypair,
+ * whose Curve25519 keys can't sign)
+ * Returns: { signingPublicKey, signingSecretKey } as base64 (32 / 64 bytes)
  */
-export const signMessage = (message, secretKeyBase64) => {
+export const generateSigningKeyPair = () => {
+  if (!nacl.random || typeof nacl.random !== "function") {
+    initPRNG();
+  }
+  const keyPair = nacl.sign.keyPair();
+  return {
+    signingPublicKey: uint8ArrayToBase64(keyPair.publicKey),
+    signingSecretKey: uint8ArrayToBase64(keyPair.secretKey),
+  };
+};
+
+/**
+ * Check that a signing secret key belongs to its public key
+ * Returns: { valid: boolean, error?: string }
+ */
+export const validateSigningKeyPair = (signingPublicKey, signingSecretKey) => {
   try {
-    const messageUint8 = new TextEncoder().encode(message);
-    const secretKey = base64ToUint8Array(secretKeyBase64);
-    const signature = nacl.sign.detached(messageUint8, secretKey);
-    return uint8ArrayToBase64(signature);
+    if (!signingPublicKey || !signingSecretKey) {
+      return { valid: false, error: "Missing signing keys" };
+    }
+    const secret = base64ToUint8Array(signingSecretKey);
+    if (secret.length !== nacl.sign.secretKeyLength) {
+      return {
+        valid: false,
+        error: `Invalid signingSecretKey length: ${secret.length}, expected ${nacl.sign.secretKeyLength}`,
+      };
+    }
+    const derived = nacl.sign.keyPair.fromSecretKey(secret).publicKey;
+    if (uint8ArrayToBase64(derived) !== signingPublicKey) {
+      return { valid: false, error: "Signing keys don't match" };
+    }
+    return { valid: true };
   } catch (error) {
-    console.error("Message signing error:", error);
-    throw new Error("Failed to sign message");
+    return { valid: false, error: error.message };
   }
 };
 
+const toMessageBytes = (message) =>
+  typeof message === "string" ? new TextEncoder().encode(message) : message;
+
+/**
+ * Sign a message (string or Uint8Array) with an Ed25519 signing secret key
+ * Returns: signature as base64
+ */
+export const signMessage = (message, signingSecretKeyBase64) => {
+  const secretKey = base64ToUint8Array(signingSecretKeyBase64);
+  if (secretKey.length !== nacl.sign.secretKeyLength) {
+    throw new Error(
+      `Invalid signing key length: ${secretKey.length}, expected ${nacl.sign.secretKeyLength}`,
+    );
+  }
+  const signature = nacl.sign.detached(toMessageBytes(message), secretKey);
+  return uint8ArrayToBase64(signature);
+};
+
 /**
- * Verify a message signature
+ * Verify an Ed25519 signature; false for malformed input
  */
-export const verifySignature = (message, signatureBase64, publicKeyBase64) => {
+export const verifySignature = (message, signatureBase64, signingPublicKeyBase64) => {
   try {
-    const messageUint8 = new TextEncoder().encode(message);
     const signature = base64ToUint8Array(signatureBase64);
-    const publicKey = base64ToUint8Array(publicKeyBase64);
-    return nacl.sign.detached.verify(messageUint8, signature, publicKey);
+    const publicKey = base64ToUint8Array(signingPublicKeyBase64);
+    if (
+      signature.length !== nacl.sign.signatureLength ||
+      publicKey.length !== nacl.sign.publicKeyLength
+    ) {
+      return false;
+    }
+    return nacl.sign.detached.verify(toMessageBytes(message), signature, publicKey);
   } catch (error) {
     console.error("Signature verification error:", error);
     return false;
@@ -278,18 +341,7 @@ export const encryptBinaryData = (binaryData, senderPrivateKey, receiverPublicKe
       throw new Error("Missing encryption parameters");
     }
 
-    // Convert binary data to Uint8Array if it's not already
-    let dataUint8;
-    if (binaryData instanceof Uint8Array) {
-      dataUint8 = binaryData;
-    } else if (binaryData instanceof ArrayBuffer) {
-      dataUint8 = new Uint8Array(binaryData);
-    } else if (typeof binaryData === 'string') {
-      // Assume base64 encoded binary data
-      dataUint8 = base64ToUint8Array(binaryData);
-    } else {
-      throw new Error("Unsupported binary data format");
-    }
+    const dataUint8 = toBinary(binaryData);
 
     const receiverPublicKeyUint8 = base64ToUint8Array(receiverPublicKey);
     const senderPrivateKeyUint8 = base64ToUint8Array(senderPrivateKey);
@@ -392,3 +444,119 @@ export const decryptBinaryData = (encryptedData, receiverPrivateKey) => {
     return null;
   }
 };
+
+const symmetricKeyBytes = (key) => {
+  const keyUint8 = base64ToUint8Array(key);
+  if (keyUint8.length !== nacl.secretbox.keyLength) {
+    throw new Error(
+      `Invalid symmetric key length: ${keyUint8.length}, expected ${nacl.secretbox.keyLength}`,
+    );
+  }
+  return keyUint8;
+};
+
+/**
+ * Generate a random key for nacl.secretbox (XSalsa20-Poly1305)
+ * Returns: base64 string
+ */
+export const generateSymmetricKey = () => {
+  if (!nacl.random || typeof nacl.random !== "function") {
+    initPRNG();
+  }
+  return uint8ArrayToBase64(nacl.randomBytes(nacl.secretbox.keyLength));
+};
+
+/**
+ * Encrypt binary data (Uint8Array, ArrayBuffer or base64) with a shared key
+ * Returns: { cipherText, nonce }
+ */
+export const encryptSymmetricBinary = (binaryData, key) => {
+  if (!binaryData || !key) {
+    throw new Error("Missing encryption parameters");
+  }
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const cipherText = nacl.secretbox(toBinary(binaryData), nonce, symmetricKeyBytes(key));
+  return {
+    cipherText: uint8ArrayToBase64(cipherText),
+    nonce: uint8ArrayToBase64(nonce),
+  };
+};
+
+/**
+ * Decrypt data from encryptSymmetricBinary
+ * Returns: Uint8Array, or null if the key is wrong or the data was altered
+ */
+export const decryptSymmetricBinary = (encryptedData, key) => {
+  try {
+    const { cipherText, nonce } = encryptedData || {};
+    if (!cipherText || !nonce || !key) return null;
+    const nonceUint8 = base64ToUint8Array(nonce);
+    if (nonceUint8.length !== nacl.secretbox.nonceLength) return null;
+    return nacl.secretbox.open(
+      base64ToUint8Array(cipherText),
+      nonceUint8,
+      symmetricKeyBytes(key),
+    );
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Encrypt a string with a shared key
+ * Returns: { cipherText, nonce }
+ */
+export const encryptSymmetric = (text, key) => {
+  if (!text) {
+    throw new Error("Missing encryption parameters");
+  }
+  return encryptSymmetricBinary(new TextEncoder().encode(text), key);
+};
+
+/**
+ * Decrypt a string from encryptSymmetric
+ * Returns: the text, or null if decryption fails
+ */
+export const decryptSymmetric = (encryptedData, key) => {
+  const plain = decryptSymmetricBinary(encryptedData, key);
+  return plain ? new TextDecoder().decode(plain) : null;
+};
+
+// a followed by b, as a new Uint8Array
+export const concatBytes = (a, b) => {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+};
+
+/**
+ * HMAC-SHA512 keyed with `key` (Uint8Array)
+ * Returns a function (message: Uint8Array) => 64-byte MAC, so the key pads
+ * are only computed once for repeated use.
+ */
+export const createHmacSha512 = (key) => {
+  const blockSize = 128;
+  const block = new Uint8Array(blockSize);
+  block.set(key.length > blockSize ? nacl.hash(key) : key);
+  const inner = block.map((b) => b ^ 0x36);
+  const outer = block.map((b) => b ^ 0x5c);
+  return (message) =>
+    nacl.hash(concatBytes(outer, nacl.hash(concatBytes(inner, message))));
+};
+
+/**
+ * HKDF-SHA512 (RFC 5869). All inputs are Uint8Arrays; returns `length` bytes.
+ */
+export const hkdfSha512 = (ikm, salt, info, length) => {
+  const prk = createHmacSha512(salt.length ? salt : new Uint8Array(64))(ikm);
+  const expand = createHmacSha512(prk);
+  const out = new Uint8Array(length);
+  let block = new Uint8Array(0);
+  for (let i = 0, offset = 0; offset < length; i++) {
+    block = expand(concatBytes(concatBytes(block, info), new Uint8Array([i + 1])));
+    out.set(block.subarray(0, Math.min(block.length, length - offset)), offset);
+    offset += block.length;
+  }
+  return out;
+};
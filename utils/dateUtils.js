@@ -177,3 +177,21 @@ export const formatLastSeen = (lastSeenDate, isOnline = false) => {
     return `last seen ${day} ${month} ${year} at ${timeStr}`;
   }
 };
+
+/**
+ * Formats an exact moment for message info (e.g., "12 Mar 2026 at 2:30 PM")
+ * @param {string|Date} date - The date to format
+ * @returns {string} Formatted date string
+ */
+export const formatMessageTimestamp = (date) => {
+  if (!date) return "";
+
+  const moment = new Date(date);
+  const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+  const timeStr = moment.toLocaleTimeString([], {
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+  return `${moment.getDate()} ${months[moment.getMonth()]} ${moment.getFullYear()} at ${timeStr}`;
+};
@@ -0,0 +1,87 @@
+import Constants from "expo-constants";
+
+// Must match "scheme" in app.json
+export const LINK_SCHEME = Constants.expoConfig?.scheme || "mobile";
+
+/**
+ * Route builders. Every screen that can be linked to has one,
+ * so callers never spell out paths by hand.
+ */
+export const routes = {
+  home: () => "/",
+  post: (id) => ({ pathname: "/post/[id]", params: { id: String(id) } }),
+  postComments: (id) => ({ pathname: "/post/[id]/comments", params: { id: String(id) } }),
+  chat: (userId) => ({ pathname: "/chat/[userId]", params: { userId: String(userId) } }),
+  user: (id) => ({ pathname: "/user/[id]", params: { id: String(id) } }),
+};
+
+// Plain path for a route object, e.g. "/post/123/comments"
+export const toPath = (href) => {
+  if (typeof href === "string") return href;
+  return Object.entries(href.params || {}).reduce(
+    (path, [key, value]) => path.replace(`[${key}]`, encodeURIComponent(value)),
+    href.pathname,
+  );
+};
+
+// Shareable link, e.g. "mobile://post/123"
+export const createLink = (href) => `${LINK_SCHEME}:/${toPath(href)}`;
+
+/**
+ * Route for a notification payload (push data, socket event or inbox item)
+ * A payload may carry an explicit `url`; otherwise the type decides.
+ */
+export const routeForNotification = (data) => {
+  if (!data) return null;
+  if (typeof data.url === "string") return pathFromUrl(data.url);
+
+  switch (data.type) {
+    case "like":
+    case "post":
+      return data.bookId ? routes.post(data.bookId) : routes.home();
+    case "comment":
+    case "reply":
+      return data.bookId ? routes.postComments(data.bookId) : routes.home();
+    case "friend_request":
+      return data.senderId ? routes.user(data.senderId) : routes.home();
+    case "friend_accept":
+      return data.accepterId || data.senderId
+        ? routes.user(data.accepterId || data.senderId)
+        : routes.home();
+    case "message":
+      return data.senderId ? routes.chat(data.senderId) : routes.home();
+    default:
+      return routes.home();
+  }
+};
+
+/**
+ * In-app path for an incoming URL, or null if it isn't ours.
+ * Accepts "mobile://post/1", "mobile:///post/1" and bare "/post/1".
+ */
+export function pathFromUrl(url) {
+  if (!url) return null;
+  let path = url;
+  const schemePrefix = `${LINK_SCHEME}://`;
+  if (path.startsWith(schemePrefix)) {
+    path = path.slice(schemePrefix.length);
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(path)) {
+    return null;
+  }
+  path = `/${path.replace(/^\/+/, "")}`;
+  return path.split("?")[0].split("#")[0];
+}
+
+// A link opened while signed out, replayed after login
+let pendingPath = null;
+
+export const setPendingLink = (path) => {
+  // Only deep links are worth remembering, not the tab roots
+  pendingPath = path && /^\/(post|chat|user)\//.test(path) ? path : null;
+};
+
+export const consumePendingLink = () => {
+  const path = pendingPath;
+  pendingPath = null;
+  return path;
+};
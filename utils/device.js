@@ -0,0 +1,48 @@
+import { Platform } from "react-native";
+import Constants from "expo-constants";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import nacl from "tweetnacl";
+
+/**
+ * Identity of this install among the user's linked devices
+ * The id isn't secret; it only names which of the user's keys is ours.
+ */
+
+const DEVICE_ID_KEY = "device_id";
+
+const PLATFORM_NAMES = {
+  ios: "iPhone",
+  android: "Android phone",
+  web: "Web browser",
+};
+
+let deviceIdPromise = null;
+
+const newDeviceId = () =>
+  Array.from(nacl.randomBytes(16), (b) => b.toString(16).padStart(2, "0")).join("");
+
+export function getDeviceId() {
+  if (!deviceIdPromise) {
+    deviceIdPromise = (async () => {
+      const stored = await AsyncStorage.getItem(DEVICE_ID_KEY);
+      if (stored) return stored;
+      const deviceId = newDeviceId();
+      await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+      return deviceId;
+    })().catch((error) => {
+      deviceIdPromise = null;
+      throw error;
+    });
+  }
+  return deviceIdPromise;
+}
+
+// A revoked device id can't be registered again; the next login links
+// this install as a new device
+export async function resetDeviceId() {
+  deviceIdPromise = null;
+  await AsyncStorage.removeItem(DEVICE_ID_KEY);
+}
+
+export const getDeviceName = () =>
+  Constants.deviceName || PLATFORM_NAMES[Platform.OS] || Platform.OS;
@@ -0,0 +1,82 @@
+import nacl from "tweetnacl";
+import { base64ToUint8Array } from "./cryptoUtils";
+
+/**
+ * Safety numbers for comparing E2EE keys out of band
+ *
+ * Each side's keys are hashed with its user id into a 30-digit number; the
+ * two halves are ordered by user id so both people see the same 60 digits.
+ * A different number on either phone means a key was swapped. Each side is
+ * its keyset (keysetOf in recipientPublicKeyStore): every device's box key
+ * and signing key, so swapping either one changes the number.
+ */
+
+const FINGERPRINT_VERSION = 0;
+// Hash iterations; makes brute-forcing a matching number expensive
+const ITERATIONS = 5200;
+export const QR_PREFIX = "mobile-verify:1";
+
+/**
+ * A keyset as it was before keysets held signing keys: the box keys only,
+ * sorted and joined with ","
+ */
+export const boxKeysetOf = (keyset) =>
+  keyset
+    .split(",")
+    .map((keys) => keys.split(".")[0])
+    .sort()
+    .join(",");
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+};
+
+// 30 digits for one party: six 5-byte chunks, each mod 100000
+const partyDigits = (userId, keyset) => {
+  const keys = keyset.split(",").sort().flatMap((device) => device.split("."));
+  const key = concat(...keys.map(base64ToUint8Array));
+  const id = new TextEncoder().encode(String(userId));
+  let hash = concat(new Uint8Array([0, FINGERPRINT_VERSION]), key, id);
+  for (let i = 0; i < ITERATIONS; i++) {
+    hash = nacl.hash(concat(hash, key));
+  }
+
+  let digits = "";
+  for (let chunk = 0; chunk < 6; chunk++) {
+    let value = 0;
+    for (let b = 0; b < 5; b++) {
+      value = value * 256 + hash[chunk * 5 + b];
+    }
+    digits += String(value % 100000).padStart(5, "0");
+  }
+  return digits;
+};
+
+const ordered = (me, them) =>
+  String(me.userId) < String(them.userId) ? [me, them] : [them, me];
+
+/**
+ * 60-digit safety number as 12 groups of 5, e.g. ["04821", "99310", ...]
+ * me / them: { userId, publicKey } with base64 keys or keysets
+ */
+export function computeSafetyNumber(me, them) {
+  const digits = ordered(me, them)
+    .map((party) => partyDigits(party.userId, party.publicKey))
+    .join("");
+  return digits.match(/.{5}/g);
+}
+
+/**
+ * QR payload holding both user ids and keysets, in the same order as the
+ * safety number, so a scan compares keys directly
+ */
+export function createVerificationPayload(me, them) {
+  const [a, b] = ordered(me, them);
+  return [QR_PREFIX, a.userId, a.publicKey, b.userId, b.publicKey].join(":");
+}
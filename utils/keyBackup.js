@@ -0,0 +1,128 @@
+import nacl from "tweetnacl";
+import {
+  base64ToUint8Array,
+  uint8ArrayToBase64,
+  validateKeyPair,
+  validateSigningKeyPair,
+  createHmacSha512,
+  concatBytes,
+} from "./cryptoUtils";
+
+/**
+ * Passphrase-wrapped backups of the E2EE keypair
+ *
+ * The keypair is sealed with nacl.secretbox under a key derived from the
+ * passphrase with PBKDF2-HMAC-SHA512. Only the sealed blob is uploaded, so
+ * the server never sees the passphrase or the secret key.
+ */
+
+export const BACKUP_VERSION = 1;
+export const MIN_BACKUP_PASSPHRASE_LENGTH = 10;
+// Pure-JS PBKDF2 takes a few seconds on a phone at this count
+const PBKDF2_ITERATIONS = 100000;
+const SALT_LENGTH = 16;
+// Iterations between yields so the UI keeps rendering
+const YIELD_EVERY = 2000;
+
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super("Wrong passphrase");
+    this.name = "WrongPassphraseError";
+  }
+}
+
+const pbkdf2Sha512Js = async (password, salt, iterations, length) => {
+  const hmac = createHmacSha512(password);
+  // length <= 64, so one PBKDF2 block is enough
+  let u = hmac(concatBytes(salt, new Uint8Array([0, 0, 0, 1])));
+  const result = u.slice();
+  for (let i = 1; i < iterations; i++) {
+    u = hmac(u);
+    for (let j = 0; j < result.length; j++) result[j] ^= u[j];
+    if (i % YIELD_EVERY === 0) await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return result.slice(0, length);
+};
+
+/**
+ * PBKDF2-HMAC-SHA512, through WebCrypto when the platform has it
+ */
+export async function deriveBackupKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const password = new TextEncoder().encode(passphrase.normalize("NFKC"));
+  const length = nacl.secretbox.keyLength;
+  const subtle = globalThis.crypto?.subtle;
+
+  if (subtle?.deriveBits) {
+    const material = await subtle.importKey("raw", password, "PBKDF2", false, [
+      "deriveBits",
+    ]);
+    const bits = await subtle.deriveBits(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-512" },
+      material,
+      length * 8,
+    );
+    return new Uint8Array(bits);
+  }
+  return pbkdf2Sha512Js(password, salt, iterations, length);
+}
+
+/**
+ * Seal the keypairs ({ publicKey, secretKey, signingPublicKey?,
+ * signingSecretKey? } in base64) for upload
+ */
+export async function createKeyBackup(keys, passphrase) {
+  if (!passphrase || passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `Passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`,
+    );
+  }
+  const salt = nacl.randomBytes(SALT_LENGTH);
+  const key = await deriveBackupKey(passphrase, salt);
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const payload = new TextEncoder().encode(
+    JSON.stringify({
+      publicKey: keys.publicKey,
+      secretKey: keys.secretKey,
+      signingPublicKey: keys.signingPublicKey,
+      signingSecretKey: keys.signingSecretKey,
+    }),
+  );
+
+  return {
+    version: BACKUP_VERSION,
+    publicKey: keys.publicKey,
+    kdf: { name: "PBKDF2-SHA512", iterations: PBKDF2_ITERATIONS, salt: uint8ArrayToBase64(salt) },
+    nonce: uint8ArrayToBase64(nonce),
+    cipherText: uint8ArrayToBase64(nacl.secretbox(payload, nonce, key)),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Open a backup from the server. Throws WrongPassphraseError on a bad passphrase.
+ */
+export async function restoreKeyBackup(backup, passphrase) {
+  if (!backup || backup.version !== BACKUP_VERSION || backup.kdf?.name !== "PBKDF2-SHA512") {
+    throw new Error("This backup was made by a newer version of the app");
+  }
+  const key = await deriveBackupKey(
+    passphrase,
+    base64ToUint8Array(backup.kdf.salt),
+    backup.kdf.iterations,
+  );
+  const plain = nacl.secretbox.open(
+    base64ToUint8Array(backup.cipherText),
+    base64ToUint8Array(backup.nonce),
+    key,
+  );
+  if (!plain) throw new WrongPassphraseError();
+
+  const keys = JSON.parse(new TextDecoder().decode(plain));
+  const validation = validateKeyPair(keys.publicKey, keys.secretKey);
+  if (!validation.valid) throw new Error(`Backup is corrupted: ${validation.error}`);
+  // Older backups have no signing keys; the caller makes new ones
+  const signing = validateSigningKeyPair(keys.signingPublicKey, keys.signingSecretKey).valid
+    ? { signingPublicKey: keys.signingPublicKey, signingSecretKey: keys.signingSecretKey }
+    : {};
+  return { publicKey: keys.publicKey, secretKey: keys.secretKey, ...signing };
+}
@@ -0,0 +1,182 @@
+import { Platform } from "react-native";
+import * as SQLite from "expo-sqlite";
+import { sealValue, openSealedValue } from "./sealedStorage";
+import { useAuthStore } from "../store/authStore";
+
+/**
+ * On-device chat history, so a chat opens instantly and works offline
+ *
+ * Messages are stored after decryption (session messages can't be
+ * decrypted twice), so each row is sealed with the install key from
+ * sealedStorage; only ids and timestamps are in the clear, for queries.
+ * Rows belong to the signed-in account.
+ *
+ * It also keeps the plaintext of every session message by nonce
+ * (session_texts), for the session store: those can't be decrypted again,
+ * so rows there are never evicted.
+ *
+ * Web has no cache: expo-sqlite there needs cross-origin isolation headers
+ * the hosted build doesn't send. Every function resolves to an empty result.
+ */
+
+const DATABASE_NAME = "messages.db";
+const IS_SUPPORTED = Platform.OS !== "web";
+
+let databasePromise = null;
+
+const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = (async () => {
+      const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      await db.execAsync(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS messages (
+          account TEXT NOT NULL,
+          id TEXT NOT NULL,
+          peer TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          sealed TEXT NOT NULL,
+          PRIMARY KEY (account, id)
+        );
+        CREATE INDEX IF NOT EXISTS messages_by_peer
+          ON messages (account, peer, created_at);
+        CREATE TABLE IF NOT EXISTS session_texts (
+          account TEXT NOT NULL,
+          nonce TEXT NOT NULL,
+          sealed TEXT NOT NULL,
+          PRIMARY KEY (account, nonce)
+        );
+      `);
+      return db;
+    })().catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+const accountId = () => String(useAuthStore.getState().user?._id || "anonymous");
+
+const idOf = (value) => String(typeof value === "object" && value ? value._id : value);
+
+// The other user in a message's conversation
+const peerOf = (msg) =>
+  idOf(msg.sender) === accountId() ? idOf(msg.receiver) : idOf(msg.sender);
+
+// Only messages the server has saved; optimistic ones have no createdAt
+const isStorable = (msg) => Boolean(msg?._id && msg.createdAt);
+
+// A failing cache must never break the chat
+const safely = async (label, fallback, task) => {
+  if (!IS_SUPPORTED) return fallback;
+  try {
+    return await task(await getDatabase());
+  } catch (error) {
+    console.warn(`Message cache: ${label} failed:`, error.message || error);
+    return fallback;
+  }
+};
+
+/**
+ * The latest `limit` cached messages with `peerId` (older than `before`,
+ * an ISO timestamp, when given), oldest first
+ */
+export const loadCachedMessages = (peerId, limit = 50, { before } = {}) =>
+  safely("load", [], async (db) => {
+    const rows = await db.getAllAsync(
+      `SELECT sealed FROM messages WHERE account = ? AND peer = ? AND created_at < ?
+       ORDER BY created_at DESC LIMIT ?`,
+      [
+        accountId(),
+        String(peerId),
+        // ISO strings sort by time; "9" is after any of them
+        before ? new Date(before).toISOString() : "9",
+        limit,
+      ],
+    );
+    const messages = [];
+    for (const row of rows.reverse()) {
+      const json = await openSealedValue(row.sealed);
+      if (json) messages.push(JSON.parse(json));
+    }
+    return messages;
+  });
+
+/**
+ * Insert or replace messages, with their decrypted text
+ */
+export const cacheMessages = (messages) =>
+  safely("save", undefined, async (db) => {
+    const storable = messages.filter(isStorable);
+    if (!storable.length) return;
+    const rows = await Promise.all(
+      storable.map(async (msg) => [
+        accountId(),
+        String(msg._id),
+        peerOf(msg),
+        new Date(msg.createdAt).toISOString(),
+        await sealValue(JSON.stringify(msg)),
+      ]),
+    );
+    await db.withTransactionAsync(async () => {
+      for (const row of rows) {
+        await db.runAsync(
+          `INSERT OR REPLACE INTO messages (account, id, peer, created_at, sealed)
+           VALUES (?, ?, ?, ?, ?)`,
+          row,
+        );
+      }
+    });
+  });
+
+export const deleteCachedMessage = (messageId) =>
+  safely("delete", undefined, (db) =>
+    db.runAsync("DELETE FROM messages WHERE account = ? AND id = ?", [
+      accountId(),
+      String(messageId),
+    ]),
+  );
+
+export const clearCachedConversation = (peerId) =>
+  safely("clear", undefined, (db) =>
+    db.runAsync("DELETE FROM messages WHERE account = ? AND peer = ?", [
+      accountId(),
+      String(peerId),
+    ]),
+  );
+
+// False on web, where every function here is a no-op
+export const isMessageDatabaseSupported = () => IS_SUPPORTED;
+
+/**
+ * Store session message texts: [[nonce, plaintext], ...]
+ * Unlike the helpers above this throws, so the caller knows the only copy
+ * wasn't saved.
+ */
+export async function saveSessionTexts(entries) {
+  if (!IS_SUPPORTED || !entries.length) return;
+  const db = await getDatabase();
+  const rows = await Promise.all(
+    entries.map(async ([nonce, text]) => [accountId(), String(nonce), await sealValue(text)]),
+  );
+  await db.withTransactionAsync(async () => {
+    for (const row of rows) {
+      await db.runAsync(
+        "INSERT OR REPLACE INTO session_texts (account, nonce, sealed) VALUES (?, ?, ?)",
+        row,
+      );
+    }
+  });
+}
+
+// The stored text for `nonce`, or undefined
+export const loadSessionText = (nonce) =>
+  safely("load text", undefined, async (db) => {
+    const row = await db.getFirstAsync(
+      "SELECT sealed FROM session_texts WHERE account = ? AND nonce = ?",
+      [accountId(), String(nonce)],
+    );
+    if (!row) return undefined;
+    return (await openSealedValue(row.sealed)) ?? undefined;
+  });
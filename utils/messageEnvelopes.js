@@ -0,0 +1,261 @@
+import { encryptMessage, decryptMessage } from "./cryptoUtils";
+import { getDeviceId } from "./device";
+import { SessionError } from "./ratchet";
+import {
+  sealReplyReference,
+  openReplyReference,
+  parseReplyReference,
+} from "./messageReplies";
+import { useAuthStore } from "../store/authStore";
+import { loadStoredKeyPair } from "../store/keyStore";
+import { useRecipientPublicKeyStore } from "../store/recipientPublicKeyStore";
+import { useSessionStore } from "../store/sessionStore";
+
+/**
+ * Text messages for users with several linked devices
+ *
+ * A message carries one envelope per device: every device of the recipient
+ * and every other device of the sender that this one approved (see
+ * checkOwnDevices in keyPinStore), each sealed with that device's
+ * ratchet session (or a static nacl.box when it has never had prekeys).
+ * The top-level cipherText/nonce mirror the recipient's first envelope, or
+ * are a static box to the account key for recipients on an app without
+ * devices.
+ *
+ * A reply's quote (utils/messageReplies) is in each envelope too, as a
+ * static box between the two devices' keys.
+ *
+ * Payload fields: senderDeviceId, envelopes: [{ deviceId, cipherText, nonce, ratchet?, replyTo? }]
+ */
+
+// Session cache key for the quote of the message with `nonce`
+const replyCacheKey = (nonce) => `${nonce}:replyTo`;
+
+export const usesEnvelopes = (msg) => Array.isArray(msg?.envelopes) && msg.envelopes.length > 0;
+
+const idOf = (value) => String(typeof value === "object" && value ? value._id : value);
+
+const devicesOf = async (userId) => {
+  const store = useRecipientPublicKeyStore.getState();
+  await store.fetchRecipientPublicKey(userId, useAuthStore.getState().token);
+  return useRecipientPublicKeyStore.getState().cache[userId]?.devices || [];
+};
+
+// Every device of `recipientId`, then our other approved devices, as [userId, device]
+const deviceTargets = async (recipientId) => {
+  const myId = useAuthStore.getState().user?._id;
+  const senderDeviceId = await getDeviceId();
+  const recipientDevices = await devicesOf(recipientId);
+  let ownDevices = [];
+  try {
+    ownDevices = (await devicesOf(myId)).filter(
+      (device) => device.deviceId !== senderDeviceId,
+    );
+  } catch (error) {
+    // Our other devices miss this one; the chat itself still works
+    console.warn("Couldn't fetch this account's devices:", error.message);
+  }
+  return {
+    senderDeviceId,
+    hasRecipientDevices: recipientDevices.length > 0,
+    targets: [
+      ...recipientDevices.map((device) => [recipientId, device]),
+      ...ownDevices.map((device) => [myId, device]),
+    ],
+  };
+};
+
+/**
+ * Encrypt `text` for every device of `recipientId` and our other devices
+ * recipientKey: the recipient's account key, for recipients without devices
+ * replyTo: the reference of the message this one replies to, if any
+ * Returns { cipherText, nonce, senderDeviceId, envelopes?, replyTo? }
+ */
+export async function sealTextMessage(recipientId, recipientKey, text, replyTo = null) {
+  const keys = await loadStoredKeyPair();
+  if (!keys) throw new Error("E2EE keys not initialized");
+  const { senderDeviceId, hasRecipientDevices, targets } = await deviceTargets(recipientId);
+
+  const { encryptForDevice, rememberMessage, hasHadSessions } = useSessionStore.getState();
+  // A device list gone missing mustn't turn sessions into static boxes
+  if (!hasRecipientDevices && (await hasHadSessions(recipientId))) {
+    throw new SessionError("Their devices couldn't be loaded, so this can't be sent securely");
+  }
+  const envelopes = [];
+  for (const [userId, device] of targets) {
+    const sealed =
+      (await encryptForDevice(userId, device, text)) ||
+      encryptMessage(text, keys.secretKey, device.publicKey);
+    envelopes.push({
+      deviceId: device.deviceId,
+      ...sealed,
+      ...(replyTo && {
+        replyTo: sealReplyReference(replyTo, keys.secretKey, device.publicKey),
+      }),
+    });
+  }
+
+  const top = hasRecipientDevices
+    ? envelopes[0]
+    : {
+        ...encryptMessage(text, keys.secretKey, recipientKey),
+        ...(replyTo && {
+          replyTo: sealReplyReference(replyTo, keys.secretKey, recipientKey),
+        }),
+      };
+  // There's no envelope for this device; keep the text to show it again
+  await rememberMessage(top.nonce, text);
+  if (replyTo) await rememberMessage(replyCacheKey(top.nonce), JSON.stringify(replyTo));
+
+  return {
+    cipherText: top.cipherText,
+    nonce: top.nonce,
+    senderDeviceId,
+    ...(envelopes.length && { envelopes }),
+    ...(top.replyTo && { replyTo: top.replyTo }),
+  };
+}
+
+// The sending device's key; static boxes only count from one of the sender's devices
+const senderDeviceKey = async (msg) => {
+  const device = await useRecipientPublicKeyStore
+    .getState()
+    .fetchDevice(idOf(msg.sender), msg.senderDeviceId, useAuthStore.getState().token);
+  if (!device || device.publicKey !== msg.senderPublicKey) {
+    throw new Error("Message is from a key that isn't one of the sender's devices");
+  }
+  return device;
+};
+
+const openEnvelope = async (msg, envelope) => {
+  if (envelope.ratchet) return useSessionStore.getState().decryptEnvelope(msg, envelope);
+
+  const device = await senderDeviceKey(msg);
+  const keys = await loadStoredKeyPair();
+  const text = decryptMessage(
+    { cipherText: envelope.cipherText, nonce: envelope.nonce, senderPublicKey: device.publicKey },
+    keys?.secretKey,
+  );
+  if (!text) throw new Error("Message authentication failed");
+  return text;
+};
+
+/**
+ * Plaintext of a message with envelopes, or null when it has no copy for
+ * this device (it was linked later, or sent the message itself before its
+ * cache was cleared). Throws when this device's copy can't be decrypted.
+ */
+export async function openTextMessage(msg) {
+  const cached = await useSessionStore.getState().getCachedMessage(msg.nonce);
+  if (cached !== undefined) return cached;
+
+  const deviceId = await getDeviceId();
+  const envelope = msg.envelopes.find((e) => e.deviceId === deviceId);
+  return envelope ? openEnvelope(msg, envelope) : null;
+}
+
+/**
+ * The quote of a reply with envelopes, from this device's envelope (or
+ * the session cache, for our own); null when it has none or it doesn't open
+ */
+export async function openEnvelopeReply(msg) {
+  const cached = await useSessionStore.getState().getCachedMessage(replyCacheKey(msg.nonce));
+  if (cached !== undefined) return parseReplyReference(cached);
+
+  const deviceId = await getDeviceId();
+  const sealed = msg.envelopes.find((e) => e.deviceId === deviceId)?.replyTo;
+  if (!sealed) return null;
+  try {
+    const device = await senderDeviceKey(msg);
+    const keys = await loadStoredKeyPair();
+    return openReplyReference(sealed, device.publicKey, keys?.secretKey);
+  } catch (error) {
+    console.warn(`Quote of message ${msg._id} can't be decrypted:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Open the envelope messages of a chat history, oldest first (sessions
+ * must see them in order). Returns Map nonce -> plaintext (null when it
+ * couldn't be decrypted).
+ */
+export async function openTextMessages(messages) {
+  const texts = new Map();
+  const ordered = messages
+    .filter((msg) => usesEnvelopes(msg) && msg.nonce)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  for (const msg of ordered) {
+    try {
+      texts.set(msg.nonce, await openTextMessage(msg));
+    } catch (error) {
+      console.warn(`Message ${msg._id} can't be decrypted:`, error.message);
+      texts.set(msg.nonce, null);
+    }
+  }
+  return texts;
+}
+
+/**
+ * Seal a small payload (e.g. a reaction) like a text message, but with a
+ * static box per device: it needs no session, so it opens in any order.
+ * Returns { senderDeviceId, senderPublicKey, cipherText, nonce, envelopes? }
+ */
+export async function sealStaticPayload(recipientId, recipientKey, plaintext) {
+  const keys = await loadStoredKeyPair();
+  if (!keys) throw new Error("E2EE keys not initialized");
+  const { senderDeviceId, hasRecipientDevices, targets } = await deviceTargets(recipientId);
+
+  const envelopes = targets.map(([, device]) => ({
+    deviceId: device.deviceId,
+    ...encryptMessage(plaintext, keys.secretKey, device.publicKey),
+  }));
+  const top = hasRecipientDevices
+    ? envelopes[0]
+    : encryptMessage(plaintext, keys.secretKey, recipientKey);
+  // Nothing is sealed for this device
+  await useSessionStore.getState().rememberMessage(top.nonce, plaintext);
+
+  return {
+    senderDeviceId,
+    senderPublicKey: keys.publicKey,
+    cipherText: top.cipherText,
+    nonce: top.nonce,
+    ...(envelopes.length && { envelopes }),
+  };
+}
+
+/**
+ * Plaintext of a sealStaticPayload result from `senderId`; null when
+ * there's no copy for this device or it doesn't open
+ */
+export async function openStaticPayload(sealed, senderId) {
+  if (!sealed?.nonce) return null;
+  const cached = await useSessionStore.getState().getCachedMessage(sealed.nonce);
+  if (cached !== undefined) return cached;
+
+  const deviceId = await getDeviceId();
+  const envelope = sealed.envelopes?.find((e) => e.deviceId === deviceId);
+  if (!envelope) return null;
+  try {
+    const device = await senderDeviceKey({ ...sealed, sender: senderId });
+    const keys = await loadStoredKeyPair();
+    return decryptMessage(
+      { cipherText: envelope.cipherText, nonce: envelope.nonce, senderPublicKey: device.publicKey },
+      keys?.secretKey,
+    );
+  } catch (error) {
+    console.warn("Sealed payload can't be decrypted:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Signing key of the device that sent `msg`, from the sender's recipient
+ * cache entry; undefined when that device isn't linked (anymore)
+ */
+export const senderSigningKey = (senderEntry, msg) =>
+  msg.senderDeviceId
+    ? senderEntry?.devices?.find((device) => device.deviceId === msg.senderDeviceId)
+        ?.signingPublicKey
+    : senderEntry?.signingPublicKey;
@@ -0,0 +1,69 @@
+import { sealStaticPayload, openStaticPayload } from "./messageEnvelopes";
+
+/**
+ * Emoji reactions on chat messages, end-to-end encrypted
+ *
+ * Each user has at most one reaction per message. It's sealed for every
+ * device of both users (sealStaticPayload); the plaintext names the message
+ * too, so the server can't move a reaction onto another one.
+ *
+ * On a message: reactions: [{ userId, reaction: sealed }]
+ * Socket "message_reaction" (both ways): { messageId, userId, reaction: sealed | null }
+ * Decrypted, kept on messages as reactionEmoji: { [userId]: emoji }
+ */
+
+const MAX_EMOJI_LENGTH = 16;
+
+const idOf = (value) => String(typeof value === "object" && value ? value._id : value);
+
+/**
+ * Seal `emoji` as our reaction to message `messageId` with `recipientId`
+ */
+export const sealReaction = (messageId, recipientId, recipientKey, emoji) =>
+  sealStaticPayload(
+    recipientId,
+    recipientKey,
+    JSON.stringify({ messageId: String(messageId), emoji }),
+  );
+
+/**
+ * The emoji in a sealed reaction by `userId` to `messageId`, or null
+ */
+export async function openReaction(messageId, userId, sealed) {
+  const json = await openStaticPayload(sealed, userId);
+  if (!json) return null;
+  try {
+    const { messageId: reactedTo, emoji } = JSON.parse(json);
+    if (reactedTo !== String(messageId)) return null;
+    if (typeof emoji !== "string" || !emoji || emoji.length > MAX_EMOJI_LENGTH) return null;
+    return emoji;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decrypt the reactions stored on `msg` into { [userId]: emoji }
+ */
+export async function openMessageReactions(msg) {
+  const reactionEmoji = {};
+  for (const { userId, reaction } of msg.reactions || []) {
+    const emoji = await openReaction(msg._id, idOf(userId), reaction);
+    if (emoji) reactionEmoji[idOf(userId)] = emoji;
+  }
+  return reactionEmoji;
+}
+
+/**
+ * Chips for a message: [{ emoji, count, mine }], most used first
+ */
+export const summarizeReactions = (reactionEmoji, myId) => {
+  const chips = new Map();
+  Object.entries(reactionEmoji || {}).forEach(([userId, emoji]) => {
+    const chip = chips.get(emoji) || { emoji, count: 0, mine: false };
+    chip.count += 1;
+    if (userId === String(myId)) chip.mine = true;
+    chips.set(emoji, chip);
+  });
+  return [...chips.values()].sort((a, b) => b.count - a.count);
+};
@@ -0,0 +1,63 @@
+import { encryptMessage, decryptMessage } from "./cryptoUtils";
+
+/**
+ * Replies: a message can quote an earlier one of the same chat
+ *
+ * The quote travels encrypted like the message body: for text messages in
+ * each per-device envelope (utils/messageEnvelopes), for voice notes as a
+ * box to the account key next to the audio. Only its ciphertext reaches
+ * the server: payload field replyTo: { cipherText, nonce }.
+ *
+ * Reference (decrypted, kept on messages as `quoted`):
+ * { messageId, senderId, preview, isVoice }
+ */
+
+const PREVIEW_LENGTH = 120;
+
+const idOf = (value) => String(typeof value === "object" && value ? value._id : value);
+
+export const isVoiceMessage = (msg) =>
+  !!msg?.voiceMessage || (!!msg?.isEncrypted && !!msg?.encryptedVoiceMessage);
+
+// The reference to quote `msg` in a reply
+export const replyReferenceFor = (msg) => {
+  const isVoice = isVoiceMessage(msg);
+  const text = typeof msg.text === "string" ? msg.text : "";
+  return {
+    messageId: String(msg._id),
+    senderId: idOf(msg.sender),
+    preview: isVoice ? "" : text.slice(0, PREVIEW_LENGTH),
+    isVoice,
+  };
+};
+
+export const sealReplyReference = (reference, secretKey, publicKey) =>
+  encryptMessage(JSON.stringify(reference), secretKey, publicKey);
+
+// Reference from its JSON, or null when it isn't one
+export const parseReplyReference = (json) => {
+  try {
+    const reference = JSON.parse(json);
+    if (typeof reference?.messageId !== "string" || typeof reference.senderId !== "string") {
+      return null;
+    }
+    return {
+      messageId: reference.messageId,
+      senderId: reference.senderId,
+      preview: String(reference.preview ?? "").slice(0, PREVIEW_LENGTH),
+      isVoice: !!reference.isVoice,
+    };
+  } catch {
+    return null;
+  }
+};
+
+// The reference in `sealed`, or null when it doesn't open
+export const openReplyReference = (sealed, senderPublicKey, secretKey) => {
+  if (!sealed?.cipherText || !sealed.nonce || !senderPublicKey || !secretKey) return null;
+  const json = decryptMessage(
+    { cipherText: sealed.cipherText, nonce: sealed.nonce, senderPublicKey },
+    secretKey,
+  );
+  return json ? parseReplyReference(json) : null;
+};
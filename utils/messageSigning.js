@@ -0,0 +1,100 @@
+import { signMessage, verifySignature } from "./cryptoUtils";
+
+/**
+ * Ed25519 signatures over what the server relays
+ *
+ * Each statement starts with its own context string so a signature made
+ * for one purpose can't be replayed as another. Messages are signed after
+ * encryption, over the sender, recipient, nonce and ciphertext.
+ */
+
+const IDENTITY_CONTEXT = "mobile-identity-key:1";
+const PREKEY_CONTEXT = "mobile-signed-prekey:1";
+const MESSAGE_CONTEXT = "mobile-message:1";
+const DEVICE_APPROVAL_CONTEXT = "mobile-device-approval:1";
+
+// Verification results, so re-renders don't redo the work. Keyed without
+// the ciphertext (voice notes are large); a swapped ciphertext wouldn't
+// decrypt under the same nonce anyway.
+const MAX_CACHED_RESULTS = 1000;
+const verifyCache = new Map();
+
+const idOf = (value) =>
+  String(typeof value === "object" && value ? value._id : value);
+
+// The same string for an outgoing payload and the stored message. Per-device
+// envelopes (utils/messageEnvelopes) and a reply's quote are covered too,
+// when there are any.
+const sealedPart = (sealed) => `${sealed.nonce}:${sealed.cipherText}`;
+
+const messageStatement = (msg) => {
+  const voice = msg.encryptedVoiceMessage;
+  const parts = [
+    MESSAGE_CONTEXT,
+    msg.senderId ?? idOf(msg.sender),
+    msg.receiverId ?? idOf(msg.receiver),
+    msg.nonce ?? voice?.nonce,
+    msg.cipherText ?? msg.encryptedMessage ?? voice?.cipherText,
+  ];
+  if (msg.envelopes?.length) {
+    parts.push(
+      msg.senderDeviceId,
+      msg.envelopes
+        .map((e) =>
+          [e.deviceId, sealedPart(e), ...(e.replyTo ? [sealedPart(e.replyTo)] : [])].join(":"),
+        )
+        .join(","),
+    );
+  }
+  if (msg.replyTo) parts.push(`reply:${sealedPart(msg.replyTo)}`);
+  return parts.join("|");
+};
+
+export const signIdentityKey = (publicKey, signingSecretKey) =>
+  signMessage(`${IDENTITY_CONTEXT}|${publicKey}`, signingSecretKey);
+
+export const verifyIdentityKey = (publicKey, signingPublicKey, signature) =>
+  verifySignature(`${IDENTITY_CONTEXT}|${publicKey}`, signature, signingPublicKey);
+
+export const signPreKey = (preKeyPublicKey, signingSecretKey) =>
+  signMessage(`${PREKEY_CONTEXT}|${preKeyPublicKey}`, signingSecretKey);
+
+export const verifyPreKey = (preKeyPublicKey, signingPublicKey, signature) =>
+  verifySignature(`${PREKEY_CONTEXT}|${preKeyPublicKey}`, signature, signingPublicKey);
+
+// One of the account's devices vouching for another one's keys
+const deviceApprovalStatement = (userId, device) =>
+  [DEVICE_APPROVAL_CONTEXT, userId, device.deviceId, device.publicKey, device.signingPublicKey].join("|");
+
+export const signDeviceApproval = (userId, device, signingSecretKey) =>
+  signMessage(deviceApprovalStatement(userId, device), signingSecretKey);
+
+export const verifyDeviceApproval = (userId, device, signature, signingPublicKey) =>
+  verifySignature(deviceApprovalStatement(userId, device), signature, signingPublicKey);
+
+/**
+ * Signature for an outgoing message payload (text or voice)
+ */
+export const signOutgoingMessage = (payload, signingSecretKey) =>
+  signMessage(messageStatement(payload), signingSecretKey);
+
+/**
+ * "verified" | "invalid" | "unsigned" (older app) | "unknown" (no key to check with)
+ */
+export function getMessageAuthenticity(msg, signingPublicKey) {
+  if (!msg.signature) return "unsigned";
+  if (!signingPublicKey) return "unknown";
+
+  const nonce = msg.nonce ?? msg.encryptedVoiceMessage?.nonce;
+  const cacheKey = `${msg._id}|${nonce}|${msg.replyTo?.nonce}|${msg.signature}|${signingPublicKey}`;
+  if (!verifyCache.has(cacheKey)) {
+    if (verifyCache.size >= MAX_CACHED_RESULTS) {
+      verifyCache.delete(verifyCache.keys().next().value);
+    }
+    verifyCache.set(
+      cacheKey,
+      verifySignature(messageStatement(msg), msg.signature, signingPublicKey),
+    );
+  }
+  return verifyCache.get(cacheKey) ? "verified" : "invalid";
+}
@@ -1,10 +1,62 @@
 import Constants from "expo-constants";
 import { Platform, Alert } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { routeForNotification, routes } from "./deepLinks";
+import {
+  shouldNotify,
+  useNotificationPrefsStore,
+} from "../store/notificationPrefsStore";
 
 const PROJECT_ID = Constants.expoConfig?.extra?.eas?.projectId ?? "f09896fc-0276-49d6-b1a1-ccc397a6c49d";
 const PERMISSION_ASKED_KEY = "@notification_permission_asked";
 
+/**
+ * Android channels. Users can tune each one in system settings.
+ * Remote pushes should send the matching channelId (see channelForType).
+ */
+export const ANDROID_CHANNELS = {
+  messages: {
+    name: "Messages",
+    description: "New chat messages",
+    importance: "MAX",
+    sound: "default",
+    vibrationPattern: [0, 250, 250, 250],
+  },
+  social: {
+    name: "Likes & Comments",
+    description: "Likes, comments, replies and new posts",
+    importance: "DEFAULT",
+    sound: "default",
+    vibrationPattern: [0, 150],
+  },
+  friend_requests: {
+    name: "Friend Requests",
+    description: "New and accepted friend requests",
+    importance: "HIGH",
+    sound: "default",
+    vibrationPattern: [0, 250, 250, 250],
+  },
+};
+
+// The single channel earlier versions created; replaced by the ones above
+const LEGACY_CHANNEL_ID = "default";
+
+export const MESSAGE_CATEGORY = "message";
+export const REPLY_ACTION = "reply";
+export const MARK_READ_ACTION = "mark_read";
+
+export function channelForType(type) {
+  switch (type) {
+    case "message":
+      return "messages";
+    case "friend_request":
+    case "friend_accept":
+      return "friend_requests";
+    default:
+      return "social";
+  }
+}
+
 // Check if we're in Expo Go (where push notifications don't work)
 // In production builds, push notifications will work properly
 const isExpoGo = Constants.executionEnvironment === "storeClient" || 
@@ -13,6 +65,9 @@ const isExpoGo = Constants.executionEnvironment === "storeClient" ||
 let Notifications = null;
 let handlerInitialized = false;
 let loadAttempted = false;
+// Last successful registration, so preference changes can be re-sent
+let registeredPushToken = null;
+let registeredAuthToken = null;
 
 async function getNotifications() {
   // Always try to load for local notifications, even in Expo Go
@@ -27,14 +82,18 @@ async function getNotifications() {
     if (!handlerInitialized && Notifications) {
       try {
         Notifications.setNotificationHandler({
-          handleNotification: async () => ({
-            shouldShowAlert: true,
-            shouldPlaySound: true,
-            shouldSetBadge: true,
-            shouldShowBanner: true,
-            shouldShowList: true,
-            priority: Notifications.AndroidNotificationPriority?.HIGH || 5,
-          }),
+          handleNotification: async (notification) => {
+            // Foreground pushes honor the same preferences as local ones
+            const allowed = shouldNotify(notification?.request?.content?.data?.type);
+            return {
+              shouldShowAlert: allowed,
+              shouldPlaySound: allowed,
+              shouldSetBadge: true,
+              shouldShowBanner: allowed,
+              shouldShowList: allowed,
+              priority: Notifications.AndroidNotificationPriority?.HIGH || 5,
+            };
+          },
         });
         handlerInitialized = true;
       } catch (e) {
@@ -90,20 +149,8 @@ export async function requestNotificationPermissionsOnFirstLaunch() {
             onPress: async () => {
               const { status } = await Notifs.requestPermissionsAsync();
               await AsyncStorage.setItem(PERMISSION_ASKED_KEY, "true");
-              if (status === "granted" && Platform.OS === "android") {
-                // Set up Android channel
-                try {
-                  await Notifs.setNotificationChannelAsync("default", {
-                    name: "Your Meme's Notifications",
-                    description: "Notifications for new posts, likes, comments, friend requests, and messages",
-                    importance: Notifs.AndroidImportance.MAX,
-                    vibrationPattern: [0, 250, 250, 250],
-                    lightColor: "#1976D2",
-                    sound: "default",
-                  });
-                } catch (e) {
-                  // Ignore channel setup errors
-                }
+              if (status === "granted") {
+                await setupNotificationChannelsAsync();
               }
             },
           },
@@ -148,22 +195,7 @@ export async function registerForPushNotificationsAsync() {
       return null;
     }
     
-    if (Platform.OS === "android") {
-      try {
-        await Notifs.setNotificationChannelAsync("default", {
-          name: "Your Meme's Notifications",
-          description: "Notifications for likes, comments, friend requests, and messages",
-          importance: Notifs.AndroidImportance.MAX,
-          vibrationPattern: [0, 250, 250, 250],
-          lightColor: "#1976D2",
-          sound: "default",
-          enableVibrate: true,
-          showBadge: true,
-        });
-      } catch (e) {
-        console.warn("Error setting up notification channel:", e);
-      }
-    }
+    await setupNotificationChannelsAsync();
     
     try {
       const tokenResult = await Notifs.getExpoPushTokenAsync({
@@ -185,19 +217,190 @@ export async function registerForPushNotificationsAsync() {
   }
 }
 
+/**
+ * Create the Android channels and the message reply category, and remove
+ * the old "default" channel. Safe to call repeatedly; existing channels are
+ * updated in place.
+ */
+export async function setupNotificationChannelsAsync() {
+  const Notifs = await getNotifications();
+  if (!Notifs) return;
+
+  if (Platform.OS === "android") {
+    for (const [id, channel] of Object.entries(ANDROID_CHANNELS)) {
+      try {
+        await Notifs.setNotificationChannelAsync(id, {
+          name: channel.name,
+          description: channel.description,
+          importance: Notifs.AndroidImportance[channel.importance],
+          vibrationPattern: channel.vibrationPattern,
+          lightColor: "#1976D2",
+          sound: channel.sound,
+          enableVibrate: true,
+          showBadge: true,
+        });
+      } catch (e) {
+        console.warn(`Error setting up notification channel ${id}:`, e);
+      }
+    }
+    // Deleting a channel that doesn't exist is a no-op
+    try {
+      await Notifs.deleteNotificationChannelAsync(LEGACY_CHANNEL_ID);
+    } catch (e) {
+      console.warn("Error removing the old notification channel:", e);
+    }
+  }
+
+  try {
+    await Notifs.setNotificationCategoryAsync(MESSAGE_CATEGORY, [
+      {
+        identifier: REPLY_ACTION,
+        buttonTitle: "Reply",
+        textInput: { submitButtonTitle: "Send", placeholder: "Message" },
+        options: { opensAppToForeground: false },
+      },
+      {
+        identifier: MARK_READ_ACTION,
+        buttonTitle: "Mark as read",
+        options: { opensAppToForeground: false },
+      },
+    ]);
+  } catch (e) {
+    // Categories are not supported everywhere (e.g. web)
+  }
+}
+
+// groupKey -> { count, actors: [names], actorIds: Set }
+const notificationGroups = new Map();
+
+// One bundle per conversation, per post, or for all friend requests
+export function groupKeyFor(data = {}) {
+  switch (data.type) {
+    case "message":
+      return data.senderId ? `message:${data.senderId}` : null;
+    case "like":
+    case "comment":
+    case "reply":
+      return data.bookId ? `${data.type}:${data.bookId}` : null;
+    case "friend_request":
+      return "friend_request";
+    default:
+      return null;
+  }
+}
+
+const listNames = (names) => {
+  if (names.length <= 2) return names.join(" and ");
+  return `${names.slice(0, 2).join(", ")} and ${names.length - 2} more`;
+};
+
+// Title/body for a bundle, e.g. "5 people liked your post"
+function summarizeGroup(type, group, title, body) {
+  if (group.count <= 1) return { title, body };
+  const people = group.actorIds.size;
+
+  switch (type) {
+    case "message":
+      return { title: `${title} (${group.count} messages)`, body };
+    case "like":
+      return {
+        title: `${people} people liked your post`,
+        body: listNames(group.actors),
+      };
+    case "comment":
+    case "reply":
+      return {
+        title: `${group.count} new ${type === "reply" ? "replies" : "comments"} on your post`,
+        body,
+      };
+    case "friend_request":
+      return {
+        title: `${group.count} new friend requests`,
+        body: listNames(group.actors),
+      };
+    default:
+      return { title, body };
+  }
+}
+
+/**
+ * Set the number shown on the app icon (0 clears it)
+ */
+export async function setAppBadgeCount(count) {
+  try {
+    const Notifs = await getNotifications();
+    await Notifs?.setBadgeCountAsync(Math.max(0, count || 0));
+  } catch (e) {
+    // Not supported on every launcher / platform
+  }
+}
+
+/**
+ * Forget a bundle and dismiss it from the tray (e.g. when the chat opens)
+ */
+export async function clearNotificationGroup(groupKey) {
+  if (!groupKey) return;
+  notificationGroups.delete(groupKey);
+  try {
+    const Notifs = await getNotifications();
+    await Notifs?.dismissNotificationAsync(`group:${groupKey}`);
+  } catch (e) {
+    // Nothing presented
+  }
+}
+
+/**
+ * Show a local notification now.
+ * data.type picks the channel and the bundle; data.actorId / data.actorName
+ * identify who triggered it so bundles can count people.
+ */
 export async function scheduleLocalNotification(title, body, data = {}) {
+  // Respect per-type toggles and quiet hours
+  if (!shouldNotify(data?.type)) return;
+
   try {
     const Notifs = await getNotifications();
     if (!Notifs) return;
+
+    const groupKey = groupKeyFor(data);
+    let content = { title, body };
+    let identifier;
+
+    if (groupKey) {
+      identifier = `group:${groupKey}`;
+      // A bundle the user swiped away starts over
+      const presented = await Notifs.getPresentedNotificationsAsync().catch(() => null);
+      if (presented && !presented.some((n) => n.request.identifier === identifier)) {
+        notificationGroups.delete(groupKey);
+      }
+
+      const group = notificationGroups.get(groupKey) || {
+        count: 0,
+        actors: [],
+        actorIds: new Set(),
+      };
+      const actorId = data.actorId || data.senderId || title;
+      if (!group.actorIds.has(actorId)) {
+        group.actorIds.add(actorId);
+        group.actors.push(data.actorName || title);
+      }
+      group.count += 1;
+      notificationGroups.set(groupKey, group);
+      content = summarizeGroup(data.type, group, title, body);
+    }
+
     await Notifs.scheduleNotificationAsync({
+      // Re-using the identifier replaces the previous notification of the bundle
+      ...(identifier ? { identifier } : {}),
       content: {
-        title,
-        body,
-        data,
+        ...content,
+        data: { ...data, groupKey },
         sound: true,
         priority: Notifs.AndroidNotificationPriority.HIGH,
+        ...(data.type === "message" ? { categoryIdentifier: MESSAGE_CATEGORY } : {}),
       },
-      trigger: null, // Show immediately
+      // Show immediately on the type's channel
+      trigger: Platform.OS === "android" ? { channelId: channelForType(data.type) } : null,
     });
   } catch (e) {
     // Silently fail - notifications may not be available in Expo Go
@@ -206,24 +409,26 @@ export async function scheduleLocalNotification(title, body, data = {}) {
 
 export async function registerPushTokenWithBackend(token, authToken) {
   if (!token || !authToken) return;
-  const { API_URL } = await import("../constants/api");
+  const { api } = await import("./apiClient");
   try {
-    const response = await fetch(`${API_URL}/users/push-token`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${authToken}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ token }),
-    });
-    if (!response.ok) {
-      console.warn("Push token registration failed:", response.status);
-    }
+    const preferences = useNotificationPrefsStore.getState().getPrefs();
+    await api.users.registerPushToken(token, preferences, { token: authToken });
+    registeredPushToken = token;
+    registeredAuthToken = authToken;
   } catch (e) {
-    console.warn("Push token registration failed:", e?.message);
+    console.warn("Push token registration failed:", e?.status || e?.message);
   }
 }
 
+/**
+ * Re-send the current preferences with the registered push token
+ * so the backend applies them to remote pushes too
+ */
+export async function syncNotificationPreferences() {
+  if (!registeredPushToken || !registeredAuthToken) return;
+  await registerPushTokenWithBackend(registeredPushToken, registeredAuthToken);
+}
+
 /**
  * Setup notification response handler
  * This handles when user taps on a notification
@@ -240,9 +445,15 @@ export function setupNotificationResponseHandler(router) {
         handleNotificationTap(lastResponse, router);
       }
 
-      // Listen for future notification taps
+      // Listen for future notification taps and action buttons
       const subscription = Notifs.addNotificationResponseReceivedListener((response) => {
-        handleNotificationTap(response, router);
+        if (response.actionIdentifier === REPLY_ACTION) {
+          handleInlineReply(response);
+        } else if (response.actionIdentifier === MARK_READ_ACTION) {
+          handleMarkReadAction(response);
+        } else {
+          handleNotificationTap(response, router);
+        }
       });
 
       return subscription;
@@ -260,88 +471,61 @@ function handleNotificationTap(response, router) {
   if (!response || !router) return;
 
   const data = response.notification.request.content.data;
-  if (!data || !data.type) return;
+  clearNotificationGroup(data?.groupKey);
+  navigateForNotification(data, router);
+}
+
+/**
+ * "Reply" typed into a message notification
+ */
+async function handleInlineReply(response) {
+  const data = response.notification.request.content.data || {};
+  const text = response.userText;
+  if (!data.senderId || !text?.trim()) return;
 
   try {
-    switch (data.type) {
-      case "like":
-        // Navigate to the post that was liked
-        if (data.bookId) {
-          router.push({
-            pathname: "/(tabs)/index",
-            params: { scrollToBookId: data.bookId },
-          });
-        }
-        break;
-
-      case "comment":
-        // Navigate to the post and open comments
-        if (data.bookId) {
-          try {
-            // Store flag to open comments after scrolling
-            AsyncStorage.setItem("@open_comments_for_book", data.bookId);
-          } catch (e) {
-            // Ignore storage errors
-          }
-          router.push({
-            pathname: "/(tabs)/index",
-            params: { scrollToBookId: data.bookId },
-          });
-        }
-        break;
-
-      case "friend_request":
-        // Navigate to user profile
-        if (data.senderId) {
-          router.push({
-            pathname: "/(tabs)/userProfile",
-            params: { userId: data.senderId },
-          });
-        }
-        break;
-
-      case "friend_accept":
-        // Navigate to user profile who accepted
-        if (data.accepterId) {
-          router.push({
-            pathname: "/(tabs)/userProfile",
-            params: { userId: data.accepterId },
-          });
-        }
-        break;
-
-      case "message":
-        // Navigate to profile tab where messages can be accessed
-        // Store senderId in AsyncStorage so profile screen can open chat
-        if (data.senderId) {
-          try {
-            AsyncStorage.setItem("@open_chat_with_user", data.senderId);
-          } catch (e) {
-            // Ignore storage errors
-          }
-          router.push("/(tabs)/profile");
-        }
-        break;
-
-      case "post":
-        // Navigate to the new post
-        if (data.bookId) {
-          router.push({
-            pathname: "/(tabs)/index",
-            params: { scrollToBookId: data.bookId },
-          });
-        }
-        break;
+    const { sendQuickReply } = await import("./quickReply");
+    await sendQuickReply(data.senderId, text);
+    await clearNotificationGroup(data.groupKey);
+  } catch (e) {
+    console.warn("Inline reply failed:", e?.message || e);
+    // Tell the user instead of silently dropping their message
+    const Notifs = await getNotifications();
+    await Notifs?.scheduleNotificationAsync({
+      content: {
+        title: "Message not sent",
+        body: "Open the chat to try again.",
+        data: { type: "message", senderId: data.senderId },
+      },
+      trigger: Platform.OS === "android" ? { channelId: "messages" } : null,
+    });
+  }
+}
 
-      default:
-        // For unknown types, just navigate to home
-        router.push("/(tabs)/index");
-    }
+async function handleMarkReadAction(response) {
+  const data = response.notification.request.content.data || {};
+  if (!data.senderId) return;
+  const { useSocketStore } = await import("../store/socketStore");
+  useSocketStore.getState().emit("mark_messages_read", { otherUserId: data.senderId });
+  const { useUnreadStore } = await import("../store/unreadStore");
+  useUnreadStore.getState().clearConversation(data.senderId);
+  await clearNotificationGroup(data.groupKey);
+}
+
+/**
+ * Navigate to the screen a notification refers to
+ * Shared by push notification taps and in-app toasts
+ */
+export function navigateForNotification(data, router) {
+  if (!data || !router) return;
+
+  try {
+    const href = routeForNotification(data);
+    if (href) router.push(href);
   } catch (e) {
     console.warn("Error handling notification tap:", e);
-    // Fallback to home screen
     try {
-      router.push("/(tabs)/index");
+      router.push(routes.home());
     } catch (err) {
       // Ignore navigation errors
     }
@@ -0,0 +1,243 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+/**
+ * Local stand-in for the /notifications endpoint
+ *
+ * Builds the same response shapes as the server API from the legacy
+ * endpoints (own posts -> likes/comments, received friend requests), so the
+ * app works against backends that don't ship /notifications yet.
+ * Read state can't sync without the server, so it lives on the device. It
+ * is imported once from the legacy "visitedNotifications" set and pruned to
+ * notifications that still exist on every refresh.
+ *
+ * Contract (shared with api.notifications):
+ *   list({ cursor, limit }) -> { notifications, nextCursor, unreadCount }
+ *   unreadCount()           -> { count }
+ *   markRead(ids)           -> { success, unreadCount }
+ *   markAllRead()           -> { success, unreadCount }
+ */
+
+export const READ_STORAGE_KEY = "notifications_read_ids";
+export const LEGACY_READ_STORAGE_KEY = "visitedNotifications";
+
+// Aggregation fans out to every post, so reuse it across calls briefly
+const AGGREGATE_TTL_MS = 15000;
+
+const toCursor = (item) => `${new Date(item.createdAt).getTime() || 0}:${item._id}`;
+
+// Newest first; ties broken by id so the order (and cursors) are stable
+const compareNewestFirst = (a, b) => {
+  const diff =
+    (new Date(b.createdAt).getTime() || 0) - (new Date(a.createdAt).getTime() || 0);
+  if (diff !== 0) return diff;
+  return a._id < b._id ? 1 : a._id > b._id ? -1 : 0;
+};
+
+const isAfterCursor = (item, cursor) => {
+  const sep = cursor.indexOf(":");
+  const time = Number(cursor.slice(0, sep));
+  const id = cursor.slice(sep + 1);
+  const itemTime = new Date(item.createdAt).getTime() || 0;
+  return itemTime < time || (itemTime === time && item._id < id);
+};
+
+export const createNotificationsMock = ({ api, getCurrentUserId }) => {
+  let cached = null;
+  let cachedAt = 0;
+  let pending = null;
+  let readIds = null;
+
+  const loadReadIds = async () => {
+    if (readIds) return readIds;
+    try {
+      let json = await AsyncStorage.getItem(READ_STORAGE_KEY);
+      if (json === null) {
+        // First run on this version: adopt the legacy set
+        json = await AsyncStorage.getItem(LEGACY_READ_STORAGE_KEY);
+        if (json !== null) {
+          await AsyncStorage.setItem(READ_STORAGE_KEY, json);
+          await AsyncStorage.removeItem(LEGACY_READ_STORAGE_KEY);
+        }
+      }
+      readIds = new Set(json ? JSON.parse(json) : []);
+    } catch (error) {
+      console.error("Error loading read notifications:", error);
+      readIds = new Set();
+    }
+    return readIds;
+  };
+
+  const saveReadIds = async () => {
+    try {
+      await AsyncStorage.setItem(READ_STORAGE_KEY, JSON.stringify(Array.from(readIds)));
+    } catch (error) {
+      console.error("Error saving read notifications:", error);
+    }
+  };
+
+  // Forget read markers for likes/comments/requests that no longer exist
+  const pruneReadIds = async (items) => {
+    const read = await loadReadIds();
+    const live = new Set(items.map((item) => item._id));
+    let changed = false;
+    read.forEach((id) => {
+      if (!live.has(id)) {
+        read.delete(id);
+        changed = true;
+      }
+    });
+    if (changed) await saveReadIds();
+  };
+
+  const collectForBook = async (book, myId, onError) => {
+    const bookInfo = { _id: book._id, title: book.title, image: book.image };
+    const [likesData, commentsData] = await Promise.all([
+      api.likes.list(book._id).catch((error) => {
+        console.error("Error fetching likes:", error);
+        onError();
+        return null;
+      }),
+      api.comments.list(book._id).catch((error) => {
+        console.error("Error fetching comments:", error);
+        onError();
+        return null;
+      }),
+    ]);
+
+    const items = [];
+    (likesData?.likes || []).forEach((like) => {
+      if (like.user?._id === myId) return;
+      items.push({
+        _id: `like_${like._id}`,
+        type: "like",
+        user: like.user,
+        book: bookInfo,
+        createdAt: like.createdAt,
+      });
+    });
+    // Replies are excluded, as before
+    (commentsData?.comments || []).forEach((comment) => {
+      if (comment.user?._id === myId || comment.parentComment) return;
+      items.push({
+        _id: `comment_${comment._id}`,
+        type: "comment",
+        user: comment.user,
+        book: bookInfo,
+        commentText: comment.text,
+        createdAt: comment.createdAt,
+      });
+    });
+    return items;
+  };
+
+  // Returns { items, complete }; complete is false if any source failed
+  const aggregate = async () => {
+    const myId = getCurrentUserId();
+    let complete = true;
+    const onError = () => {
+      complete = false;
+    };
+
+    const [booksData, requestsData] = await Promise.all([
+      api.books.mine(),
+      api.friends.receivedRequests().catch((error) => {
+        console.error("Error fetching friend requests:", error);
+        onError();
+        return null;
+      }),
+    ]);
+
+    const perBook = await Promise.all(
+      (booksData?.books || []).map((book) => collectForBook(book, myId, onError)),
+    );
+    const all = perBook.flat();
+
+    const requests = requestsData?.requests || requestsData || [];
+    (Array.isArray(requests) ? requests : []).forEach((request) => {
+      if (!request.sender || request.sender._id === myId) return;
+      all.push({
+        _id: `friend_request_${request._id}`,
+        type: "friend_request",
+        user: request.sender,
+        createdAt: request.createdAt || request.sentAt,
+      });
+    });
+
+    return { items: all.sort(compareNewestFirst), complete };
+  };
+
+  const getAll = async ({ force = false } = {}) => {
+    if (!force && cached && Date.now() - cachedAt < AGGREGATE_TTL_MS) return cached;
+    // Share one in-flight aggregation between concurrent callers
+    if (!pending) {
+      pending = aggregate()
+        .then(async ({ items, complete }) => {
+          cached = items;
+          cachedAt = Date.now();
+          // A partial snapshot would prune markers that are still valid
+          if (complete) await pruneReadIds(items);
+          return items;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+
+  const countUnread = (items, read) => items.filter((item) => !read.has(item._id)).length;
+
+  return {
+    list: async ({ cursor, limit = 20 } = {}) => {
+      // A first-page request is a refresh; later pages page the same snapshot
+      const [items, read] = await Promise.all([getAll({ force: !cursor }), loadReadIds()]);
+      const remaining = cursor ? items.filter((item) => isAfterCursor(item, cursor)) : items;
+      const page = remaining.slice(0, limit).map((item) => ({
+        ...item,
+        read: read.has(item._id),
+      }));
+      return {
+        notifications: page,
+        nextCursor:
+          remaining.length > limit && page.length ? toCursor(page[page.length - 1]) : null,
+        unreadCount: countUnread(items, read),
+      };
+    },
+
+    unreadCount: async () => {
+      const [items, read] = await Promise.all([getAll(), loadReadIds()]);
+      return { count: countUnread(items, read) };
+    },
+
+    markRead: async (ids = []) => {
+      const read = await loadReadIds();
+      ids.forEach((id) => read.add(id));
+      await saveReadIds();
+      // Without a snapshot the count is unknown; the store keeps its own
+      return {
+        success: true,
+        unreadCount: cached ? countUnread(cached, read) : undefined,
+      };
+    },
+
+    markAllRead: async () => {
+      const [items, read] = await Promise.all([getAll(), loadReadIds()]);
+      items.forEach((item) => read.add(item._id));
+      await saveReadIds();
+      return { success: true, unreadCount: 0 };
+    },
+
+    // Force the next call to re-aggregate (e.g. after a live event)
+    invalidate: () => {
+      cached = null;
+      cachedAt = 0;
+    },
+
+    // Drop cached data (e.g. on logout)
+    reset: () => {
+      cached = null;
+      cachedAt = 0;
+      readIds = null;
+    },
+  };
+};
@@ -5,7 +5,7 @@
  * To use: Import and call verifyPRNG() at app startup
  */
 
-import { generateKeyPair, generateNonce, generateSymmetricKey } from './utils/cryptoUtils';
+import { generateKeyPair, generateNonce, generateSymmetricKey } from './cryptoUtils';
 
 export const verifyPRNG = async () => {
   console.log('\n🔍 ===== PRNG VERIFICATION START =====');
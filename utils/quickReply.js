@@ -0,0 +1,89 @@
+import { api } from "./apiClient";
+import { signOutgoingMessage } from "./messageSigning";
+import { sealTextMessage } from "./messageEnvelopes";
+import { loadStoredKeyPair } from "../hooks/useKeyStorage";
+import { useAuthStore } from "../store/authStore";
+import { useRecipientPublicKeyStore } from "../store/recipientPublicKeyStore";
+import { useSocketStore } from "../store/socketStore";
+import {
+  useVerificationStore,
+  getVerificationStatus,
+} from "../store/verificationStore";
+
+/**
+ * Id the server uses to drop a second copy of the same message, e.g. when
+ * an ack times out and the message is sent again over HTTP
+ */
+export const createClientId = (source) =>
+  `${source}:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Encrypt and sign a text message for `receiverId`, ready to send
+ * replyTo: reference of the message it replies to (utils/messageReplies)
+ * Follows the same rules as ChatModal: never sends plaintext, and holds
+ * messages to verified contacts whose keys changed.
+ */
+export async function prepareTextMessage(receiverId, messageText, replyTo = null) {
+  const { token, user } = useAuthStore.getState();
+  if (!token) throw new Error("Not logged in");
+
+  const keys = await loadStoredKeyPair();
+  if (!keys) throw new Error("E2EE keys not initialized");
+
+  const recipientKey = await useRecipientPublicKeyStore
+    .getState()
+    .fetchRecipientPublicKey(receiverId, token);
+
+  await useVerificationStore.getState().loadVerifications();
+  const status = getVerificationStatus(
+    useVerificationStore.getState().verifications,
+    receiverId,
+    useRecipientPublicKeyStore.getState().cache[receiverId]?.keyset ?? recipientKey,
+  );
+  if (status === "changed") {
+    throw new Error("Their encryption keys changed. Open the chat to verify them again.");
+  }
+
+  const payload = {
+    receiverId,
+    ...(await sealTextMessage(receiverId, recipientKey, messageText, replyTo)),
+    senderPublicKey: keys.publicKey,
+    senderId: user?._id,
+  };
+  if (keys.signingSecretKey) {
+    payload.signature = signOutgoingMessage(payload, keys.signingSecretKey);
+  }
+  return payload;
+}
+
+/**
+ * Send a prepared payload: socket first (queued while reconnecting), HTTP
+ * if that fails. Returns the saved message; throws the HTTP error.
+ * The payload needs a clientId: a late ack means the socket copy was saved
+ * as well.
+ */
+export async function deliverTextMessage(payload) {
+  const viaSocket = await new Promise((resolve) => {
+    useSocketStore.getState().emit("send_message", payload, (err, saved) => {
+      resolve(err ? null : saved || null);
+    });
+  });
+  if (viaSocket) return viaSocket;
+
+  const data = await api.messages.send(payload);
+  if (!data?.message) throw new Error("Failed to send message");
+  return data.message;
+}
+
+/**
+ * Send an encrypted text message without the chat screen open
+ * Used by the inline "Reply" action on message notifications.
+ */
+export async function sendQuickReply(receiverId, text) {
+  const messageText = (text || "").trim();
+  if (!receiverId || !messageText) return null;
+  return deliverTextMessage({
+    ...(await prepareTextMessage(receiverId, messageText)),
+    clientId: createClientId("reply"),
+  });
+}
@@ -0,0 +1,277 @@
+import nacl from "tweetnacl";
+import {
+  base64ToUint8Array,
+  uint8ArrayToBase64,
+  createHmacSha512,
+  hkdfSha512,
+} from "./cryptoUtils";
+
+/**
+ * Forward-secret sessions: X3DH-style key agreement plus a double ratchet
+ * (after Signal's published specs), built on tweetnacl.
+ *
+ * Every message gets its own key, and old chain keys are thrown away, so a
+ * leaked identity key can't decrypt earlier traffic. The functions here are
+ * pure: they take a session state (plain JSON, base64 strings) and return a
+ * new one, so a failed decrypt never corrupts the stored session.
+ */
+
+export const SESSION_VERSION = 1;
+// How far ahead of the receiving chain a message may be
+const MAX_SKIP = 1000;
+// Stored keys for messages that haven't arrived yet, across all chains
+const MAX_SKIPPED_KEYS = 2000;
+
+const X3DH_INFO = new TextEncoder().encode("mobile-x3dh-v1");
+const RATCHET_INFO = new TextEncoder().encode("mobile-ratchet-v1");
+
+export class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionError";
+  }
+}
+
+const toBytes = base64ToUint8Array;
+const toBase64 = uint8ArrayToBase64;
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+};
+
+const newKeyPair = () => {
+  const pair = nacl.box.keyPair();
+  return { publicKey: toBase64(pair.publicKey), secretKey: toBase64(pair.secretKey) };
+};
+
+// X25519; rejects the all-zero output of low-order points
+const dh = (secretKey, publicKey) => {
+  const shared = nacl.scalarMult(toBytes(secretKey), toBytes(publicKey));
+  if (shared.every((b) => b === 0)) throw new SessionError("Invalid public key");
+  return shared;
+};
+
+// Root chain step: new root key and a fresh chain key
+const kdfRoot = (rootKey, dhOutput) => {
+  const out = hkdfSha512(dhOutput, toBytes(rootKey), RATCHET_INFO, 64);
+  return { rootKey: toBase64(out.subarray(0, 32)), chainKey: toBase64(out.subarray(32)) };
+};
+
+// Symmetric chain step: this message's key and the next chain key
+const kdfChain = (chainKey) => {
+  const hmac = createHmacSha512(toBytes(chainKey));
+  return {
+    messageKey: toBase64(hmac(new Uint8Array([1])).subarray(0, 32)),
+    chainKey: toBase64(hmac(new Uint8Array([2])).subarray(0, 32)),
+  };
+};
+
+const encodeHeader = (header) => `${header.dh}.${header.pn}.${header.n}`;
+
+// secretbox has no associated data, so the header and both identities are
+// mixed into the key instead
+const sealKey = (messageKey, ad, header) =>
+  createHmacSha512(toBytes(messageKey))(
+    new TextEncoder().encode(`${ad}|${encodeHeader(header)}`),
+  ).subarray(0, nacl.secretbox.keyLength);
+
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+/**
+ * Fresh one-time prekeys, numbered from `startId`
+ */
+export function generatePreKeys(startId, count) {
+  return Array.from({ length: count }, (_, i) => ({ keyId: startId + i, ...newKeyPair() }));
+}
+
+export function generateSignedPreKey(keyId) {
+  return { keyId, ...newKeyPair(), createdAt: new Date().toISOString() };
+}
+
+const x3dhSecret = (dhOutputs) =>
+  toBase64(
+    hkdfSha512(
+      concat(new Uint8Array(32).fill(0xff), ...dhOutputs),
+      new Uint8Array(64),
+      X3DH_INFO,
+      32,
+    ),
+  );
+
+/**
+ * Start a session with a peer's prekey bundle
+ * identity: our { publicKey, secretKey }
+ * bundle: { identityKey, signedPreKey: { keyId, publicKey }, oneTimePreKey? }
+ * The returned state carries `pendingPrekey` until the peer first replies.
+ */
+export function initiateSession(identity, bundle) {
+  const { identityKey, signedPreKey, oneTimePreKey } = bundle;
+  const base = newKeyPair();
+  const dhOutputs = [
+    dh(identity.secretKey, signedPreKey.publicKey),
+    dh(base.secretKey, identityKey),
+    dh(base.secretKey, signedPreKey.publicKey),
+  ];
+  if (oneTimePreKey) dhOutputs.push(dh(base.secretKey, oneTimePreKey.publicKey));
+
+  const sendingRatchet = newKeyPair();
+  const root = kdfRoot(
+    x3dhSecret(dhOutputs),
+    dh(sendingRatchet.secretKey, signedPreKey.publicKey),
+  );
+
+  return {
+    version: SESSION_VERSION,
+    ad: `${identity.publicKey}|${identityKey}`,
+    remoteIdentityKey: identityKey,
+    rootKey: root.rootKey,
+    dhs: sendingRatchet,
+    dhr: signedPreKey.publicKey,
+    cks: root.chainKey,
+    ckr: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {},
+    pendingPrekey: {
+      identityKey: identity.publicKey,
+      baseKey: base.publicKey,
+      signedPreKeyId: signedPreKey.keyId,
+      oneTimePreKeyId: oneTimePreKey?.keyId ?? null,
+    },
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Answer a session started by a peer's first message
+ * prekey: the `prekey` block of that message
+ * signedPreKey / oneTimePreKey: our keypairs for the ids it names
+ */
+export function acceptSession(identity, prekey, signedPreKey, oneTimePreKey) {
+  const dhOutputs = [
+    dh(signedPreKey.secretKey, prekey.identityKey),
+    dh(identity.secretKey, prekey.baseKey),
+    dh(signedPreKey.secretKey, prekey.baseKey),
+  ];
+  if (oneTimePreKey) dhOutputs.push(dh(oneTimePreKey.secretKey, prekey.baseKey));
+
+  return {
+    version: SESSION_VERSION,
+    ad: `${prekey.identityKey}|${identity.publicKey}`,
+    remoteIdentityKey: prekey.identityKey,
+    rootKey: x3dhSecret(dhOutputs),
+    dhs: { publicKey: signedPreKey.publicKey, secretKey: signedPreKey.secretKey },
+    dhr: null,
+    cks: null,
+    ckr: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {},
+    pendingPrekey: null,
+    baseKey: prekey.baseKey,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Encrypt a UTF-8 string. Returns { state, header, cipherText, nonce, prekey }
+ * where prekey is set while the peer hasn't answered yet.
+ */
+export function ratchetEncrypt(session, plaintext) {
+  const state = cloneState(session);
+  if (!state.cks) {
+    throw new SessionError("Session can't send until the peer's first message arrives");
+  }
+  const { messageKey, chainKey } = kdfChain(state.cks);
+  const header = { dh: state.dhs.publicKey, pn: state.pn, n: state.ns };
+  state.cks = chainKey;
+  state.ns += 1;
+
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const box = nacl.secretbox(
+    new TextEncoder().encode(plaintext),
+    nonce,
+    sealKey(messageKey, state.ad, header),
+  );
+  return {
+    state,
+    header,
+    cipherText: toBase64(box),
+    nonce: toBase64(nonce),
+    prekey: state.pendingPrekey,
+  };
+}
+
+const skipMessageKeys = (state, until) => {
+  if (!state.ckr) return;
+  if (state.nr + MAX_SKIP < until) throw new SessionError("Too many skipped messages");
+  while (state.nr < until) {
+    const { messageKey, chainKey } = kdfChain(state.ckr);
+    state.skipped[`${state.dhr}:${state.nr}`] = messageKey;
+    state.ckr = chainKey;
+    state.nr += 1;
+  }
+  // Oldest first, by insertion order
+  const ids = Object.keys(state.skipped);
+  ids.slice(0, Math.max(0, ids.length - MAX_SKIPPED_KEYS)).forEach((id) => {
+    delete state.skipped[id];
+  });
+};
+
+const dhRatchet = (state, header) => {
+  state.pn = state.ns;
+  state.ns = 0;
+  state.nr = 0;
+  state.dhr = header.dh;
+  const receiving = kdfRoot(state.rootKey, dh(state.dhs.secretKey, state.dhr));
+  state.dhs = newKeyPair();
+  const sending = kdfRoot(receiving.rootKey, dh(state.dhs.secretKey, state.dhr));
+  state.rootKey = sending.rootKey;
+  state.ckr = receiving.chainKey;
+  state.cks = sending.chainKey;
+};
+
+const openBox = (messageKey, state, header, cipherText, nonce) => {
+  const plain = nacl.secretbox.open(
+    toBytes(cipherText),
+    toBytes(nonce),
+    sealKey(messageKey, state.ad, header),
+  );
+  if (!plain) throw new SessionError("Message authentication failed");
+  return new TextDecoder().decode(plain);
+};
+
+/**
+ * Decrypt a message. Returns { state, plaintext }; throws SessionError.
+ */
+export function ratchetDecrypt(session, header, cipherText, nonce) {
+  const state = cloneState(session);
+  const skippedId = `${header.dh}:${header.n}`;
+  const skippedKey = state.skipped[skippedId];
+  if (skippedKey) {
+    const plaintext = openBox(skippedKey, state, header, cipherText, nonce);
+    delete state.skipped[skippedId];
+    return { state, plaintext };
+  }
+
+  if (header.dh !== state.dhr) {
+    skipMessageKeys(state, header.pn);
+    dhRatchet(state, header);
+  }
+  skipMessageKeys(state, header.n);
+  const { messageKey, chainKey } = kdfChain(state.ckr);
+  const plaintext = openBox(messageKey, state, header, cipherText, nonce);
+  state.ckr = chainKey;
+  state.nr += 1;
+  // The peer has our session now; stop attaching the prekey block
+  state.pendingPrekey = null;
+  return { state, plaintext };
+}
@@ -0,0 +1,92 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import nacl from "tweetnacl";
+import { base64ToUint8Array, uint8ArrayToBase64 } from "./cryptoUtils";
+import {
+  getSecureItem,
+  setSecureItem,
+  subscribeVaultStatus,
+} from "./secureStorage";
+
+/**
+ * Encrypted AsyncStorage for secret data too large for secure storage
+ * (the iOS keychain and the web vault are meant for small values).
+ *
+ * Each item is sealed with nacl.secretbox under one random key per install;
+ * only that key is kept in secure storage. Items that can't be opened (the
+ * key was lost, e.g. an unprotected web session was reloaded) read as null.
+ */
+
+const SEALING_KEY_NAME = "sealed_storage_key";
+const ITEM_PREFIX = "sealed:";
+
+let sealingKey = null;
+let sealingKeyPromise = null;
+
+const loadSealingKey = async () => {
+  const stored = await getSecureItem(SEALING_KEY_NAME);
+  if (stored) return base64ToUint8Array(stored);
+  const key = nacl.randomBytes(nacl.secretbox.keyLength);
+  await setSecureItem(SEALING_KEY_NAME, uint8ArrayToBase64(key));
+  return key;
+};
+
+// Throws VaultLockedError on web while the vault is locked
+const getSealingKey = async () => {
+  if (sealingKey) return sealingKey;
+  if (!sealingKeyPromise) {
+    sealingKeyPromise = loadSealingKey().finally(() => {
+      sealingKeyPromise = null;
+    });
+  }
+  sealingKey = await sealingKeyPromise;
+  return sealingKey;
+};
+
+/**
+ * Seal a string under the install key, for storage outside AsyncStorage
+ * (e.g. the message database). Returns a JSON string.
+ */
+export async function sealValue(value) {
+  const key = await getSealingKey();
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const box = nacl.secretbox(new TextEncoder().encode(value), nonce, key);
+  return JSON.stringify({ nonce: uint8ArrayToBase64(nonce), box: uint8ArrayToBase64(box) });
+}
+
+// The string from sealValue, or null when it can't be opened
+export async function openSealedValue(json) {
+  const key = await getSealingKey();
+  try {
+    const { nonce, box } = JSON.parse(json);
+    const plain = nacl.secretbox.open(
+      base64ToUint8Array(box),
+      base64ToUint8Array(nonce),
+      key,
+    );
+    if (plain) return new TextDecoder().decode(plain);
+  } catch {
+    // Corrupted entry; same as a missing key
+  }
+  return null;
+}
+
+export async function getSealedItem(name) {
+  const json = await AsyncStorage.getItem(ITEM_PREFIX + name);
+  if (!json) return null;
+  const value = await openSealedValue(json);
+  if (value === null) console.warn(`Sealed item "${name}" can't be opened on this device`);
+  return value;
+}
+
+export async function setSealedItem(name, value) {
+  await AsyncStorage.setItem(ITEM_PREFIX + name, await sealValue(value));
+}
+
+export async function removeSealedItem(name) {
+  await AsyncStorage.removeItem(ITEM_PREFIX + name);
+}
+
+// Web: forget the key with the rest of the vault's contents
+subscribeVaultStatus((status) => {
+  if (status === "locked") sealingKey = null;
+});
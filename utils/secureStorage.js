@@ -0,0 +1,242 @@
+import { Platform } from "react-native";
+import * as SecureStore from "expo-secure-store";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import nacl from "tweetnacl";
+import { base64ToUint8Array, uint8ArrayToBase64 } from "./cryptoUtils";
+
+/**
+ * Storage for secrets (auth token, E2EE secret key)
+ *
+ * Native: the platform keystore through expo-secure-store.
+ * Web: there is no keystore, so items live in one "vault" blob in
+ * localStorage, encrypted with a key derived from a user passphrase.
+ * Until the user sets a passphrase, web secrets only live in memory.
+ *
+ * Values written by older versions to AsyncStorage are moved over on
+ * first read (see LEGACY_KEYS).
+ */
+
+export const IS_WEB_VAULT = Platform.OS === "web";
+
+// Secure key -> where older versions kept it in AsyncStorage
+const LEGACY_KEYS = {
+  auth_token: "token",
+  e2ee_keys: "e2ee_keys",
+};
+
+const VAULT_STORAGE_KEY = "secure_vault";
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+export class VaultLockedError extends Error {
+  constructor() {
+    super("Secure storage is locked");
+    this.name = "VaultLockedError";
+  }
+}
+
+// ---- Web vault ----
+
+// Decrypted items while unlocked (or not yet protected)
+let vaultItems = {};
+// Deleted while locked; must not come back when the vault is opened
+const deletedWhileLocked = new Set();
+let vaultKey = null;
+let vaultSalt = null;
+let vaultExists = null;
+const statusListeners = new Set();
+
+const readVault = async () => {
+  const json = await AsyncStorage.getItem(VAULT_STORAGE_KEY);
+  vaultExists = !!json;
+  return json ? JSON.parse(json) : null;
+};
+
+const notifyStatus = () => {
+  const status = getVaultStatus();
+  statusListeners.forEach((listener) => listener(status));
+};
+
+async function deriveVaultKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) throw new Error("This browser cannot protect keys (no WebCrypto)");
+
+  const material = await subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+  const bits = await subtle.deriveBits(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    nacl.secretbox.keyLength * 8,
+  );
+  return new Uint8Array(bits);
+}
+
+const persistVault = async () => {
+  if (!vaultKey) return;
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const plain = new TextEncoder().encode(JSON.stringify(vaultItems));
+  const box = nacl.secretbox(plain, nonce, vaultKey);
+  await AsyncStorage.setItem(
+    VAULT_STORAGE_KEY,
+    JSON.stringify({
+      v: VAULT_VERSION,
+      iterations: PBKDF2_ITERATIONS,
+      salt: uint8ArrayToBase64(vaultSalt),
+      nonce: uint8ArrayToBase64(nonce),
+      box: uint8ArrayToBase64(box),
+    }),
+  );
+  vaultExists = true;
+};
+
+/**
+ * "native" - keystore available, no passphrase involved
+ * "none"   - web, no passphrase set yet (secrets are memory-only)
+ * "locked" - web, vault exists but hasn't been unlocked this session
+ * "unlocked"
+ */
+export function getVaultStatus() {
+  if (!IS_WEB_VAULT) return "native";
+  if (vaultKey) return "unlocked";
+  return vaultExists ? "locked" : "none";
+}
+
+export const subscribeVaultStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+// Must run once on web before reading secrets
+export async function loadVault() {
+  if (!IS_WEB_VAULT) return getVaultStatus();
+  await readVault();
+  notifyStatus();
+  return getVaultStatus();
+}
+
+/**
+ * Protect the current (memory-only) web secrets with a new passphrase
+ */
+export async function createVault(passphrase) {
+  if (!IS_WEB_VAULT) return;
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  vaultSalt = nacl.randomBytes(16);
+  vaultKey = await deriveVaultKey(passphrase, vaultSalt);
+  await persistVault();
+  // Plaintext copies from older versions are no longer needed
+  await AsyncStorage.multiRemove(Object.values(LEGACY_KEYS));
+  notifyStatus();
+}
+
+export async function unlockVault(passphrase) {
+  if (!IS_WEB_VAULT) return;
+  const vault = await readVault();
+  if (!vault) throw new Error("No passphrase has been set");
+
+  const salt = base64ToUint8Array(vault.salt);
+  const key = await deriveVaultKey(passphrase, salt, vault.iterations);
+  const plain = nacl.secretbox.open(
+    base64ToUint8Array(vault.box),
+    base64ToUint8Array(vault.nonce),
+    key,
+  );
+  if (!plain) throw new Error("Wrong passphrase");
+
+  // Anything set or deleted while locked (e.g. a fresh login) wins over stored values
+  const stored = JSON.parse(new TextDecoder().decode(plain));
+  deletedWhileLocked.forEach((name) => delete stored[name]);
+  deletedWhileLocked.clear();
+  vaultItems = { ...stored, ...vaultItems };
+  vaultKey = key;
+  vaultSalt = salt;
+  await persistVault();
+  notifyStatus();
+}
+
+export function lockVault() {
+  if (!IS_WEB_VAULT) return;
+  vaultItems = {};
+  vaultKey = null;
+  notifyStatus();
+}
+
+/**
+ * Forgotten passphrase: drop the vault and everything in it
+ */
+export async function resetVault() {
+  if (!IS_WEB_VAULT) return;
+  await AsyncStorage.removeItem(VAULT_STORAGE_KEY);
+  vaultItems = {};
+  vaultKey = null;
+  vaultSalt = null;
+  vaultExists = false;
+  deletedWhileLocked.clear();
+  notifyStatus();
+}
+
+// ---- Public API ----
+
+const readLegacy = async (key) => {
+  const legacyKey = LEGACY_KEYS[key];
+  return legacyKey ? AsyncStorage.getItem(legacyKey) : null;
+};
+
+/**
+ * Read a secret. Throws VaultLockedError on web while the vault is locked.
+ */
+export async function getSecureItem(key) {
+  if (IS_WEB_VAULT) {
+    if (vaultExists === null) await readVault();
+    if (getVaultStatus() === "locked") {
+      if (key in vaultItems) return vaultItems[key];
+      throw new VaultLockedError();
+    }
+    if (key in vaultItems) return vaultItems[key];
+    // Not protected yet: keep using the legacy value until a vault exists
+    const legacy = vaultExists ? null : await readLegacy(key);
+    if (legacy !== null) vaultItems[key] = legacy;
+    return legacy;
+  }
+
+  const value = await SecureStore.getItemAsync(key);
+  if (value !== null) return value;
+
+  // One-time move out of AsyncStorage
+  const legacy = await readLegacy(key);
+  if (legacy === null) return null;
+  await SecureStore.setItemAsync(key, legacy);
+  if ((await SecureStore.getItemAsync(key)) === legacy) {
+    await AsyncStorage.removeItem(LEGACY_KEYS[key]);
+  }
+  return legacy;
+}
+
+export async function setSecureItem(key, value) {
+  if (IS_WEB_VAULT) {
+    vaultItems[key] = value;
+    deletedWhileLocked.delete(key);
+    await persistVault();
+    return;
+  }
+  await SecureStore.setItemAsync(key, value);
+}
+
+export async function deleteSecureItem(key) {
+  if (IS_WEB_VAULT) {
+    delete vaultItems[key];
+    if (getVaultStatus() === "locked") deletedWhileLocked.add(key);
+    await persistVault();
+  } else {
+    await SecureStore.deleteItemAsync(key);
+  }
+  const legacyKey = LEGACY_KEYS[key];
+  if (legacyKey) await AsyncStorage.removeItem(legacyKey);
+}